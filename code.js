@@ -2,22 +2,33 @@
 // Localyse — Figma Plugin Main Code
 // Runs in the Figma sandbox (no DOM, no fetch)
 var _a;
-figma.showUI(__html__, { width: 480, height: 800, themeColors: true });
-// Send the current user's ID to the UI for rate-limiting identification
-figma.ui.postMessage({
-    type: "user-info",
-    userId: ((_a = figma.currentUser) === null || _a === void 0 ? void 0 : _a.id) || "anonymous",
-});
-// P2.2: Send saved locales to the UI on launch
-(async () => {
-    try {
-        const savedLocales = await figma.clientStorage.getAsync("savedLocales");
-        if (Array.isArray(savedLocales) && savedLocales.length > 0) {
-            figma.ui.postMessage({ type: "restore-locales", locales: savedLocales });
+// The "Toggle do-not-translate" menu command runs without UI (see end of file)
+const HEADLESS_COMMAND = figma.command === "toggle-do-not-translate";
+if (!HEADLESS_COMMAND) {
+    figma.showUI(__html__, { width: 480, height: 800, themeColors: true });
+    // Send the current user's ID to the UI for rate-limiting identification
+    figma.ui.postMessage({
+        type: "user-info",
+        userId: ((_a = figma.currentUser) === null || _a === void 0 ? void 0 : _a.id) || "anonymous",
+    });
+    // P2.2: Send saved locales to the UI on launch
+    (async () => {
+        try {
+            const savedLocales = await figma.clientStorage.getAsync("savedLocales");
+            if (Array.isArray(savedLocales) && savedLocales.length > 0) {
+                figma.ui.postMessage({ type: "restore-locales", locales: savedLocales });
+            }
+            const teamKey = await figma.clientStorage.getAsync("teamApiKey");
+            if (typeof teamKey === "string" && teamKey) {
+                figma.ui.postMessage({ type: "restore-team-key", teamKey });
+            }
+            if ((await figma.clientStorage.getAsync("reviewMode")) === true) {
+                figma.ui.postMessage({ type: "restore-review-mode", reviewMode: true });
+            }
         }
-    }
-    catch ( /* first launch or storage unavailable */_a) { /* first launch or storage unavailable */ }
-})();
+        catch ( /* first launch or storage unavailable */_a) { /* first launch or storage unavailable */ }
+    })();
+}
 // ------------------------------------------------------------------
 // Helpers
 // ------------------------------------------------------------------
@@ -93,13 +104,325 @@ function mirrorForRtl(node) {
         mirrorForRtl(child);
     }
 }
-/** Build a serialisable description of every text layer in a frame. */
+const STYLE_FIELDS = [
+    "fontName", "fontSize", "fills", "fillStyleId", "textStyleId", "textDecoration",
+    "textCase", "letterSpacing", "lineHeight", "hyperlink", "listOptions", "indentation",
+];
+/** Read the distinct styled runs of a text node. */
+function readTextStyles(node) {
+    const raw = node.getStyledTextSegments(STYLE_FIELDS);
+    const styles = [];
+    const keys = [];
+    const lengths = [];
+    const segments = raw.map((seg) => {
+        const style = {};
+        for (const field of STYLE_FIELDS) {
+            style[field] = seg[field];
+        }
+        const key = JSON.stringify(style);
+        let idx = keys.indexOf(key);
+        if (idx === -1) {
+            idx = styles.length;
+            keys.push(key);
+            styles.push(style);
+            lengths.push(0);
+        }
+        lengths[idx] += seg.end - seg.start;
+        return { characters: seg.characters, style: idx };
+    });
+    const base = lengths.indexOf(Math.max(0, ...lengths));
+    return { segments, styles, base: Math.max(0, base) };
+}
+/** Escape text for the markup payload. Line breaks become explicit tags. */
+function escapeMarkup(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/\n/g, "<br/>")
+        .replace(/\u2028/g, '<br class="ls"/>');
+}
+function decodeMarkupEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp);/gi, (_m, ent) => {
+        const e = ent.toLowerCase();
+        if (e === "amp")
+            return "&";
+        if (e === "lt")
+            return "<";
+        if (e === "gt")
+            return ">";
+        if (e === "quot")
+            return "\"";
+        if (e === "apos")
+            return "'";
+        if (e === "nbsp")
+            return "\u00a0";
+        const code = e.startsWith("#x") ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : "";
+    });
+}
+/**
+ * Encode a text node as inline markup: runs in a non-base style are wrapped
+ * in <span class="sN">, where N indexes the node's style table. Returns null
+ * for uniformly styled text, which is translated as plain text.
+ */
+function toStyledMarkup(node) {
+    if (node.characters.length === 0)
+        return null;
+    const table = readTextStyles(node);
+    if (table.styles.length < 2)
+        return null;
+    return table.segments
+        .map((seg) => {
+        const inner = escapeMarkup(seg.characters);
+        return seg.style === table.base ? inner : `<span class="s${seg.style}">${inner}</span>`;
+    })
+        .join("");
+}
+/**
+ * Parse translated markup back into plain text plus styled ranges.
+ * Lenient about what the translation services send back: unknown tags are
+ * dropped, attribute quoting and <br>/<br/> variants are accepted.
+ */
+function parseStyledMarkup(markup) {
+    const TAG = /<\s*(\/?)\s*([a-z][\w:-]*)\b([^>]*)>/gi;
+    const runs = [];
+    const stack = [];
+    let text = "";
+    let last = 0;
+    const append = (chunk) => {
+        if (!chunk)
+            return;
+        const start = text.length;
+        text += chunk;
+        const style = stack.length > 0 ? stack[stack.length - 1] : -1;
+        if (style >= 0)
+            runs.push({ start, end: text.length, style });
+    };
+    let m;
+    while ((m = TAG.exec(markup)) !== null) {
+        append(decodeMarkupEntities(markup.slice(last, m.index)));
+        last = TAG.lastIndex;
+        const closing = m[1] === "/";
+        const tag = m[2].toLowerCase();
+        if (tag === "br") {
+            append(/class\s*=\s*["']?ls/i.test(m[3]) ? "\u2028" : "\n");
+        }
+        else if (tag === "span") {
+            if (closing) {
+                stack.pop();
+            }
+            else {
+                const cls = /class\s*=\s*["']?s(\d+)/i.exec(m[3]);
+                stack.push(cls ? parseInt(cls[1], 10) : (stack.length > 0 ? stack[stack.length - 1] : -1));
+            }
+        }
+    }
+    append(decodeMarkupEntities(markup.slice(last)));
+    return { text, runs };
+}
+/** Apply one style to a character range. Fonts must already be loaded. */
+async function applyTextStyle(node, start, end, style) {
+    if (start >= end)
+        return;
+    try {
+        if (style.textStyleId) {
+            await node.setRangeTextStyleIdAsync(start, end, style.textStyleId);
+        }
+        else {
+            node.setRangeFontName(start, end, style.fontName);
+            node.setRangeFontSize(start, end, style.fontSize);
+            node.setRangeTextCase(start, end, style.textCase);
+            node.setRangeLetterSpacing(start, end, style.letterSpacing);
+            node.setRangeLineHeight(start, end, style.lineHeight);
+        }
+        node.setRangeTextDecoration(start, end, style.textDecoration);
+        if (style.fillStyleId) {
+            await node.setRangeFillStyleIdAsync(start, end, style.fillStyleId);
+        }
+        else {
+            node.setRangeFills(start, end, style.fills);
+        }
+        node.setRangeHyperlink(start, end, style.hyperlink);
+        node.setRangeListOptions(start, end, style.listOptions);
+        node.setRangeIndentation(start, end, style.indentation);
+    }
+    catch (err) {
+        console.error(`[Localyse] Could not restore styling on "${node.name}": ${err}`);
+    }
+}
+/**
+ * Set translated text on a node. Markup translations are re-styled from the
+ * source node's style table; plain translations keep the node's own style.
+ */
+async function setTranslatedText(target, source, translated, format) {
+    if (format !== "html") {
+        target.characters = translated;
+        return;
+    }
+    const table = readTextStyles(source);
+    const parsed = parseStyledMarkup(translated);
+    target.characters = parsed.text;
+    if (parsed.text.length === 0)
+        return;
+    await applyTextStyle(target, 0, parsed.text.length, table.styles[table.base]);
+    for (const run of parsed.runs) {
+        const style = table.styles[run.style];
+        if (style && run.style !== table.base) {
+            await applyTextStyle(target, run.start, run.end, style);
+        }
+    }
+}
+/**
+ * Layer path from the frame down to the node, e.g. "Checkout / Footer / Label".
+ * Repeated paths inside the same frame get an occurrence suffix ("… [2]") so
+ * the path stays unique when exported.
+ */
+function layerPaths(frame, nodes) {
+    const seen = new Map();
+    return nodes.map((node) => {
+        const names = [];
+        let current = node;
+        while (current && current.id !== frame.id) {
+            names.unshift(current.name);
+            current = current.parent;
+        }
+        names.unshift(frame.name);
+        const path = names.join(" / ");
+        const count = (seen.get(path) || 0) + 1;
+        seen.set(path, count);
+        return count > 1 ? `${path} [${count}]` : path;
+    });
+}
+// Locked layers are never sent for translation: a name starting with "#nt"
+// (e.g. "#nt Brand name") or the plugin-data flag set from the plugin menu.
+const LOCK_PLUGIN_DATA = "localyse.doNotTranslate";
+const LOCK_NAME_PREFIX = /^#nt(?![A-Za-z0-9])\s*/i;
+function isLockedNode(node) {
+    return node.getPluginData(LOCK_PLUGIN_DATA) === "1" || LOCK_NAME_PREFIX.test(node.name);
+}
+/** Name patterns per role. Controls (button, tab, link, input) describe their text layers, whatever those are named. */
+const ROLE_PATTERNS = [
+    ["placeholder", /placeholder|\binput\b|text ?field|search ?(bar|field)/i],
+    ["button", /button|\bbtn\b|\bcta\b/i],
+    ["tab", /\btabs?\b/i],
+    ["link", /\blink\b/i],
+    ["heading", /heading|headline|title|\bh[1-6]\b/i],
+    ["label", /label|caption|badge|chip/i],
+];
+const CONTROL_ROLES = ["placeholder", "button", "tab", "link"];
+const MAX_CONTEXT_SIBLINGS = 3;
+const MAX_SIBLING_LENGTH = 80;
+const HEADING_FONT_SIZE = 24;
+function roleFromName(name, roles) {
+    const match = ROLE_PATTERNS.find(([role, pattern]) => (!roles || roles.includes(role)) && pattern.test(name));
+    return match ? match[0] : null;
+}
+function variantLabel(node) {
+    let props = null;
+    try {
+        if (node.type === "INSTANCE" || node.type === "COMPONENT")
+            props = node.variantProperties;
+    }
+    catch ( /* not a variant */_a) { /* not a variant */ }
+    if (!props)
+        return null;
+    return Object.keys(props).map((key) => key + "=" + props[key]).join(", ") || null;
+}
+/** Structural context of a text layer inside `root` (the frame being localised). */
+function layerContext(node, root) {
+    const ancestors = [];
+    let current = node.parent;
+    while (current && current.type !== "PAGE" && current.type !== "DOCUMENT") {
+        ancestors.push(current);
+        if (current.id === root.id)
+            break;
+        current = current.parent;
+    }
+    // Nearest component: an instance, or a component (named after its set when it is a variant)
+    let component = null;
+    let variant = null;
+    const owner = ancestors.find((a) => a.type === "INSTANCE" || a.type === "COMPONENT" || a.type === "COMPONENT_SET");
+    if (owner) {
+        const inSet = owner.type === "COMPONENT" && owner.parent && owner.parent.type === "COMPONENT_SET";
+        component = inSet ? owner.parent.name : owner.name;
+        variant = variantLabel(owner);
+    }
+    // The enclosing control first, then the layer's own name, then any other ancestor.
+    // The frame being localised is left out: its name describes the screen, not this layer.
+    const enclosing = ancestors.filter((a) => a.id !== root.id);
+    let role = null;
+    for (const candidate of enclosing) {
+        role = roleFromName(candidate.name, CONTROL_ROLES);
+        if (role)
+            break;
+    }
+    for (const candidate of [node, ...enclosing]) {
+        if (role)
+            break;
+        role = roleFromName(candidate.name);
+    }
+    if (!role && typeof node.fontSize === "number" && node.fontSize >= HEADING_FONT_SIZE)
+        role = "heading";
+    // Nearest other text layers, from the smallest enclosing container that has any
+    let texts = [];
+    for (const container of ancestors) {
+        texts = collectTextNodes(container).filter((t) => t.id === node.id || (!isLockedNode(t) && t.characters.trim()));
+        if (texts.length > 1)
+            break;
+    }
+    const own = texts.findIndex((t) => t.id === node.id);
+    const siblings = texts
+        .map((t, i) => ({ t, distance: Math.abs(i - own) }))
+        .filter(({ t }) => t.id !== node.id)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_CONTEXT_SIBLINGS)
+        .sort((a, b) => texts.indexOf(a.t) - texts.indexOf(b.t))
+        .map(({ t }) => t.characters.replace(/\s+/g, " ").trim().slice(0, MAX_SIBLING_LENGTH));
+    return {
+        path: ancestors.map((a) => a.name).reverse(),
+        component,
+        variant,
+        role,
+        siblings,
+    };
+}
+function firstRangeValue(node, value, read) {
+    if (value !== figma.mixed)
+        return value;
+    return node.characters.length > 0 ? read(node) : null;
+}
+function layerGeometry(node) {
+    const fontSize = firstRangeValue(node, node.fontSize, (n) => n.getRangeFontSize(0, 1));
+    const lineHeight = firstRangeValue(node, node.lineHeight, (n) => n.getRangeLineHeight(0, 1));
+    let linePx = null;
+    if (fontSize && lineHeight) {
+        linePx = lineHeight.unit === "PIXELS" ? lineHeight.value
+            : lineHeight.unit === "PERCENT" ? fontSize * lineHeight.value / 100
+                : fontSize * 1.2; // AUTO
+    }
+    let maxLines = null;
+    if (node.textTruncation === "ENDING" && node.maxLines) {
+        maxLines = node.maxLines;
+    }
+    else if ((node.textAutoResize === "NONE" || node.textAutoResize === "TRUNCATE") && linePx) {
+        maxLines = Math.max(1, Math.floor((node.height + OVERFLOW_TOLERANCE) / linePx));
+    }
+    return { width: Math.round(node.width), fontSize, maxLines, autoResize: node.textAutoResize };
+}
+/** Build a serialisable description of every translatable text layer in a frame. */
 function extractTextLayers(frame) {
-    const textNodes = collectTextNodes(frame);
-    return textNodes.map((t) => ({
+    const textNodes = collectTextNodes(frame).filter((t) => !isLockedNode(t));
+    const paths = layerPaths(frame, textNodes);
+    return textNodes.map((t, i) => ({
         id: t.id,
         name: t.name,
+        path: paths[i],
         characters: t.characters,
+        // Inline markup for mixed styling (bold words, links, bullets) — null when uniform
+        markup: toStyledMarkup(t),
+        context: layerContext(t, frame),
+        geometry: layerGeometry(t),
         x: t.absoluteTransform[0][2],
         y: t.absoluteTransform[1][2],
         width: t.width,
@@ -132,168 +455,691 @@ async function exportFrameImage(node) {
     return bytes;
 }
 // ------------------------------------------------------------------
+// Overflow detection & auto-fit
+// ------------------------------------------------------------------
+/** Smallest change (px) treated as a real size difference. */
+const OVERFLOW_TOLERANCE = 0.5;
+/** Load every font used by the given text nodes, in parallel (P3.1). */
+async function loadFontsForNodes(nodes) {
+    const fontsToLoad = new Set();
+    for (const node of nodes) {
+        if (node.characters.length === 0)
+            continue;
+        try {
+            const fonts = node.getRangeAllFontNames(0, node.characters.length);
+            for (const font of fonts) {
+                fontsToLoad.add(JSON.stringify(font));
+            }
+        }
+        catch ( /* ignore — setting text will fail and be logged instead */_a) { /* ignore — setting text will fail and be logged instead */ }
+    }
+    await Promise.all(Array.from(fontsToLoad).map((key) => figma.loadFontAsync(JSON.parse(key)).catch(() => { })));
+}
+/**
+ * Height the text actually needs. Fixed boxes don't report this, so the
+ * node is briefly switched to auto-height and restored. Fonts must be loaded.
+ */
+function measureNeededHeight(node) {
+    if (node.textAutoResize !== "NONE" && node.textAutoResize !== "TRUNCATE")
+        return node.height;
+    const { width, height } = node;
+    const mode = node.textAutoResize;
+    node.textAutoResize = "HEIGHT";
+    const needed = node.height;
+    node.textAutoResize = mode;
+    node.resize(width, height);
+    return needed;
+}
+/** Compare a translated clone text node with its source; null if it still fits. */
+function detectOverflow(source, clone) {
+    const reasons = [];
+    let overflowX = 0;
+    let overflowY = 0;
+    if (clone.textAutoResize === "NONE" || clone.textAutoResize === "TRUNCATE") {
+        // Designer-truncated boxes are allowed to overflow by design
+        if (clone.textTruncation !== "ENDING") {
+            const needed = measureNeededHeight(clone);
+            if (needed > clone.height + OVERFLOW_TOLERANCE) {
+                reasons.push("box");
+                overflowY = Math.max(overflowY, needed - clone.height);
+            }
+        }
+    }
+    else {
+        const dw = clone.width - source.width;
+        const dh = clone.height - source.height;
+        if (dw > OVERFLOW_TOLERANCE || dh > OVERFLOW_TOLERANCE) {
+            reasons.push("grew");
+            overflowX = Math.max(overflowX, dw);
+            overflowY = Math.max(overflowY, dh);
+        }
+    }
+    const parent = clone.parent;
+    const sourceParent = source.parent;
+    if (parent && sourceParent && parent.type === "FRAME" && sourceParent.type === "FRAME") {
+        if (parent.layoutMode !== "NONE") {
+            const dw = parent.width - sourceParent.width;
+            const dh = parent.height - sourceParent.height;
+            if (dw > OVERFLOW_TOLERANCE || dh > OVERFLOW_TOLERANCE) {
+                reasons.push("parent-grew");
+                overflowX = Math.max(overflowX, dw);
+                overflowY = Math.max(overflowY, dh);
+            }
+        }
+        else {
+            const right = clone.x + clone.width - parent.width;
+            const bottom = clone.y + clone.height - parent.height;
+            if (right > OVERFLOW_TOLERANCE || bottom > OVERFLOW_TOLERANCE) {
+                reasons.push("outside-parent");
+                overflowX = Math.max(overflowX, right);
+                overflowY = Math.max(overflowY, bottom);
+            }
+        }
+    }
+    if (reasons.length === 0)
+        return null;
+    return {
+        nodeId: clone.id,
+        sourceId: source.id,
+        name: clone.name,
+        reasons,
+        overflowX: Math.round(overflowX),
+        overflowY: Math.round(overflowY),
+    };
+}
+function postOverflowReport(clone, source, locale, localeCode, layers) {
+    figma.ui.postMessage({
+        type: "overflow-report",
+        cloneId: clone.id,
+        cloneName: clone.name,
+        sourceFrameId: source.id,
+        locale,
+        localeCode,
+        layers,
+    });
+}
+/** Shrink every font size in the node by `factor`, never below `minSize`. Returns false at the floor. */
+function scaleFontSizes(node, factor, minSize) {
+    let changed = false;
+    for (const seg of node.getStyledTextSegments(["fontSize"])) {
+        const next = Math.max(minSize, Math.round(seg.fontSize * factor * 10) / 10);
+        if (next < seg.fontSize) {
+            node.setRangeFontSize(seg.start, seg.end, next);
+            changed = true;
+        }
+    }
+    return changed;
+}
+function fitsSourceBox(source, clone) {
+    if (clone.textAutoResize === "NONE" || clone.textAutoResize === "TRUNCATE") {
+        return measureNeededHeight(clone) <= clone.height + OVERFLOW_TOLERANCE;
+    }
+    return clone.width <= source.width + OVERFLOW_TOLERANCE && clone.height <= source.height + OVERFLOW_TOLERANCE;
+}
+/**
+ * Auto-fit one overflowing text node.
+ *  - "shrink":      step the font size down until the text fits, stopping at minFontSize
+ *  - "truncate":    restore the source box size and end with an ellipsis
+ *  - "auto-height": keep the source width and let the box grow vertically
+ */
+function fitTextNode(source, clone, strategy, minFontSize) {
+    if (strategy === "shrink") {
+        for (let step = 0; step < 30 && !fitsSourceBox(source, clone); step++) {
+            if (!scaleFontSizes(clone, 0.95, minFontSize))
+                break;
+        }
+    }
+    else if (strategy === "truncate") {
+        clone.textAutoResize = "NONE";
+        clone.resize(source.width, source.height);
+        clone.textTruncation = "ENDING";
+    }
+    else if (strategy === "auto-height") {
+        if (clone.textAutoResize === "WIDTH_AND_HEIGHT") {
+            clone.resize(source.width, clone.height);
+        }
+        clone.textTruncation = "DISABLED";
+        clone.textAutoResize = "HEIGHT";
+    }
+}
+// ------------------------------------------------------------------
+// Source ↔ clone linkage (plugin data)
+// ------------------------------------------------------------------
+// Stored on each localised clone frame
+const LINK_SOURCE_FRAME = "localyse.sourceFrameId";
+const LINK_LOCALE = "localyse.locale";
+const LINK_LOCALE_CODE = "localyse.localeCode";
+const LINK_CURRENCY = "localyse.currency";
+// Stored on each translated text node inside a clone
+const LINK_SOURCE_NODE = "localyse.sourceNodeId";
+const LINK_SOURCE_HASH = "localyse.sourceHash";
+// Stored on each reviewed text node inside a clone, for auditing
+const REVIEW_STATUS = "localyse.reviewStatus";
+const REVIEW_REVIEWER = "localyse.reviewer";
+const REVIEW_REVIEWER_ID = "localyse.reviewerId";
+const REVIEW_DATE = "localyse.reviewedAt";
+const REVIEW_STATUSES = ["approved", "edited", "rejected", "pending"];
+/** 32-bit FNV-1a hash, hex encoded — enough to notice a changed source string. */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+}
+/** What was sent for translation — markup for mixed styles, otherwise the plain text. */
+function sourceContent(node) {
+    return toStyledMarkup(node) || node.characters;
+}
+function linkClone(clone, source, locale, localeCode, currency) {
+    clone.setPluginData(LINK_SOURCE_FRAME, source.id);
+    clone.setPluginData(LINK_LOCALE, locale);
+    clone.setPluginData(LINK_LOCALE_CODE, localeCode);
+    clone.setPluginData(LINK_CURRENCY, currency);
+}
+/**
+ * Link a clone text node to its source. `translatedFrom` is the source text
+ * the translation was made from, as extracted before the run — the source
+ * node may have been edited since, and must then still count as changed.
+ */
+function linkTextNode(clone, source, translatedFrom) {
+    clone.setPluginData(LINK_SOURCE_NODE, source.id);
+    clone.setPluginData(LINK_SOURCE_HASH, hashText(translatedFrom !== null && translatedFrom !== void 0 ? translatedFrom : sourceContent(source)));
+}
+/**
+ * Record a review decision on a clone text node: the status, who applied it
+ * (the current user) and when. `null` clears it — the text is no longer the
+ * reviewed one.
+ */
+function recordReview(node, status) {
+    const user = figma.currentUser;
+    node.setPluginData(REVIEW_STATUS, status || "");
+    node.setPluginData(REVIEW_REVIEWER, status && user ? user.name : "");
+    node.setPluginData(REVIEW_REVIEWER_ID, status && user && user.id ? user.id : "");
+    node.setPluginData(REVIEW_DATE, status ? new Date().toISOString() : "");
+}
+/** Clones on the current page linked to the given source frames, keyed by source ID. */
+function findLinkedClones(sourceIds) {
+    const wanted = new Set(sourceIds);
+    const result = new Map();
+    const clones = figma.currentPage.findAll((node) => wanted.has(node.getPluginData(LINK_SOURCE_FRAME)));
+    for (const clone of clones) {
+        const sourceId = clone.getPluginData(LINK_SOURCE_FRAME);
+        if (!result.has(sourceId))
+            result.set(sourceId, []);
+        result.get(sourceId).push(clone);
+    }
+    return result;
+}
+// ------------------------------------------------------------------
+// Source frame resolution — selection, whole section or whole page
+// ------------------------------------------------------------------
+/** Node types that can be localised as a whole frame. */
+const FRAME_TYPES = ["FRAME", "COMPONENT", "INSTANCE", "GROUP", "SECTION"];
+let selectionScope = "selection";
+function isFrameLike(node) {
+    return FRAME_TYPES.includes(node.type);
+}
+/**
+ * True if the node is a clone created by a previous apply. Older clones have
+ * no plugin data and are recognised by name instead
+ * ("<source name> — <locale>" next to a sibling called "<source name>").
+ */
+function isLocaleClone(node) {
+    if (node.getPluginData(LINK_SOURCE_FRAME))
+        return true;
+    const sep = node.name.lastIndexOf(" — ");
+    if (sep <= 0 || !node.parent || !("children" in node.parent))
+        return false;
+    const sourceName = node.name.slice(0, sep);
+    return node.parent.children.some((sibling) => sibling.id !== node.id && sibling.name === sourceName);
+}
+/** Top-level frames inside a section. Nested sections are expanded. */
+function framesInSection(section) {
+    const frames = [];
+    for (const child of section.children) {
+        if (child.type === "SECTION") {
+            frames.push(...framesInSection(child));
+        }
+        else if (isFrameLike(child) && !isLocaleClone(child)) {
+            frames.push(child);
+        }
+    }
+    return frames;
+}
+/** The selected section, or the closest section containing the selection. */
+function findScopeSection(sel) {
+    for (const node of sel) {
+        let current = node;
+        while (current && current.type !== "PAGE" && current.type !== "DOCUMENT") {
+            if (current.type === "SECTION")
+                return current;
+            current = current.parent;
+        }
+    }
+    return null;
+}
+/** Resolve the list of frames to localise for the given scope. */
+function resolveSourceFrames(scope) {
+    const sel = figma.currentPage.selection;
+    const section = findScopeSection(sel);
+    if (scope === "page") {
+        const frames = [];
+        for (const child of figma.currentPage.children) {
+            if (child.type === "SECTION") {
+                frames.push(...framesInSection(child));
+            }
+            else if (isFrameLike(child) && !isLocaleClone(child)) {
+                frames.push(child);
+            }
+        }
+        return { frames, section };
+    }
+    if (scope === "section") {
+        return { frames: section ? framesInSection(section) : [], section };
+    }
+    // A selected section on its own is still cloned as a whole (original behaviour)
+    return { frames: sel.filter(isFrameLike), section };
+}
+// ------------------------------------------------------------------
 // Selection watcher — with generation counter to prevent races
 // ------------------------------------------------------------------
 let selectionGeneration = 0;
 async function handleSelectionChange() {
     const gen = ++selectionGeneration;
-    const sel = figma.currentPage.selection;
-    if (sel.length === 1 &&
-        (sel[0].type === "FRAME" ||
-            sel[0].type === "COMPONENT" ||
-            sel[0].type === "INSTANCE" ||
-            sel[0].type === "GROUP" ||
-            sel[0].type === "SECTION")) {
-        const node = sel[0];
-        // Export image — with error handling (P1.4)
-        let imageBase64 = "";
-        try {
-            const imageBytes = await exportFrameImage(node);
-            // Convert to base64 for more efficient postMessage transfer (P3.2)
-            imageBase64 = uint8ArrayToBase64(imageBytes);
-        }
-        catch (err) {
-            console.error(`[Localyse] Frame export failed: ${err}`);
-            // Continue with empty image — UI will show a placeholder
-        }
-        // Bail if selection changed while we were exporting
-        if (gen !== selectionGeneration)
-            return;
-        // Extract text layers
-        const textLayers = extractTextLayers(node);
-        // Send to UI
+    const { frames, section } = resolveSourceFrames(selectionScope);
+    if (frames.length === 0) {
         figma.ui.postMessage({
-            type: "frame-selected",
-            payload: {
+            type: "no-selection",
+            scope: selectionScope,
+            sectionName: section ? section.name : null,
+        });
+        return;
+    }
+    // Export a preview of the first frame only — exporting every frame of a
+    // 40-screen flow would stall the UI. Errors are non-fatal (P1.4).
+    let imageBase64 = "";
+    try {
+        const imageBytes = await exportFrameImage(frames[0]);
+        // Convert to base64 for more efficient postMessage transfer (P3.2)
+        imageBase64 = uint8ArrayToBase64(imageBytes);
+    }
+    catch (err) {
+        console.error(`[Localyse] Frame export failed: ${err}`);
+        // Continue with empty image — UI will show a placeholder
+    }
+    // Bail if selection changed while we were exporting
+    if (gen !== selectionGeneration)
+        return;
+    figma.ui.postMessage({
+        type: "frames-selected",
+        payload: {
+            scope: selectionScope,
+            sectionName: section ? section.name : null,
+            imageBase64,
+            frames: frames.map((node) => ({
                 id: node.id,
                 name: node.name,
                 width: Math.round(node.width),
                 height: Math.round(node.height),
-                imageBase64,
-                textLayers,
-            },
-        });
-    }
-    else {
-        figma.ui.postMessage({ type: "no-selection" });
-    }
+                textLayers: extractTextLayers(node),
+            })),
+        },
+    });
+}
+if (!HEADLESS_COMMAND) {
+    figma.on("selectionchange", handleSelectionChange);
+    figma.on("currentpagechange", handleSelectionChange);
+    // Fire once at launch in case something is already selected
+    handleSelectionChange();
 }
-figma.on("selectionchange", handleSelectionChange);
-// Fire once at launch in case something is already selected
-handleSelectionChange();
 // ------------------------------------------------------------------
 // Messages from the UI
 // ------------------------------------------------------------------
+// RTL locale prefixes — languages that read right-to-left
+const RTL_CODES = ["ar", "he", "fa", "ur", "ps", "yi", "sd", "ku"];
+// Full codes that are RTL regardless of their prefix (the mirrored pseudo-locale)
+const RTL_FULL_CODES = ["qps-plocm"];
+function isRtlLocale(code) {
+    if (!code)
+        return false;
+    if (RTL_FULL_CODES.includes(code.toLowerCase()))
+        return true;
+    const base = code.split("-")[0].toLowerCase();
+    return RTL_CODES.includes(base);
+}
+/** True if a translation entry from the UI has the expected shape. */
+function isValidTranslationEntry(t) {
+    if (!t || typeof t.locale !== "string" || !Array.isArray(t.layers))
+        return false;
+    // Reviewed runs: { [layerId]: status } for every reviewed layer, applied or not
+    if (t.review !== undefined && (!t.review || typeof t.review !== "object" ||
+        !Object.values(t.review).every((status) => REVIEW_STATUSES.includes(status))))
+        return false;
+    return t.layers.every((layer) => typeof layer.id === "string" &&
+        typeof layer.translated === "string" &&
+        (layer.source === undefined || typeof layer.source === "string") &&
+        (layer.format === undefined || layer.format === null || layer.format === "html"));
+}
+/**
+ * Clone one source frame per translation entry and apply the translated text.
+ * Single-frame runs place clones in a row to the right of the source; batch
+ * runs (many frames) stack each locale as a new row below the flow so the
+ * clones don't land on top of neighbouring frames.
+ * Returns the number of clones created.
+ */
+async function applyToFrame(source, translations, rowHeight) {
+    const GAP = 50;
+    // Count existing locale clones of this frame to calculate correct offset
+    // (handles incremental apply where locales arrive one at a time)
+    let existingClones = 0;
+    if (source.parent && "children" in source.parent) {
+        const prefix = source.name + " — ";
+        for (const sibling of source.parent.children) {
+            if (sibling.id === source.id)
+                continue;
+            const linkedTo = sibling.getPluginData(LINK_SOURCE_FRAME);
+            if (linkedTo ? linkedTo === source.id : sibling.name.startsWith(prefix)) {
+                existingClones++;
+            }
+        }
+    }
+    let offsetX = (source.width + GAP) * (existingClones + 1);
+    let offsetY = rowHeight !== null ? (rowHeight + GAP) * (existingClones + 1) : 0;
+    for (const t of translations) {
+        // clone() automatically inserts into the same parent
+        const clone = source.clone();
+        clone.name = `${source.name} — ${t.locale}`;
+        linkClone(clone, source, t.locale, t.localeCode || "", typeof t.currency === "string" ? t.currency : "");
+        if (rowHeight !== null) {
+            clone.x = source.x;
+            clone.y = source.y + offsetY;
+            offsetY += rowHeight + GAP;
+        }
+        else {
+            clone.x = source.x + offsetX;
+            clone.y = source.y;
+            offsetX += clone.width + GAP;
+        }
+        const rtl = isRtlLocale(t.localeCode || "");
+        // Walk text layers in the clone and apply translated text
+        const cloneTextNodes = collectTextNodes(clone);
+        const sourceTextNodes = collectTextNodes(source);
+        // Build a map from original node id → translated text (+ markup format and the source it was translated from)
+        const layerMap = new Map();
+        for (const layer of t.layers) {
+            layerMap.set(layer.id, { translated: layer.translated, format: layer.format, source: layer.source });
+        }
+        await loadFontsForNodes(cloneTextNodes);
+        // Match clone text nodes by index (clone preserves tree structure/order)
+        const translatedPairs = [];
+        for (let i = 0; i < sourceTextNodes.length && i < cloneTextNodes.length; i++) {
+            const originalId = sourceTextNodes[i].id;
+            // Rejected and unreviewed strings keep the source text, but their status is recorded too
+            if (t.review && Object.prototype.hasOwnProperty.call(t.review, originalId)) {
+                recordReview(cloneTextNodes[i], t.review[originalId]);
+            }
+            if (!layerMap.has(originalId))
+                continue;
+            const cloneText = cloneTextNodes[i];
+            const layer = layerMap.get(originalId);
+            // Skip empty text nodes
+            if (cloneText.characters.length === 0)
+                continue;
+            try {
+                await setTranslatedText(cloneText, sourceTextNodes[i], layer.translated, layer.format);
+                linkTextNode(cloneText, sourceTextNodes[i], layer.source);
+                translatedPairs.push({ source: sourceTextNodes[i], clone: cloneText });
+            }
+            catch (err) {
+                // If text can't be set, skip this layer but continue
+                console.error(`[Localyse] Could not set text for "${cloneText.name}": ${err}`);
+            }
+        }
+        // Full RTL layout mirroring — applied after all text is set
+        if (rtl) {
+            mirrorForRtl(clone);
+        }
+        // Report layout breakages (long German/Finnish strings etc.) to the UI
+        const overflowing = translatedPairs
+            .map(({ source: s, clone: c }) => detectOverflow(s, c))
+            .filter((entry) => entry !== null);
+        if (overflowing.length > 0) {
+            postOverflowReport(clone, source, t.locale, t.localeCode || "", overflowing);
+        }
+    }
+    return translations.length;
+}
 figma.ui.onmessage = async (msg) => {
     // --- Apply translations to duplicated frames ---
+    // Accepts { frames: [{ sourceFrameId, translations }] } for batch runs, or
+    // the single-frame { sourceFrameId, translations } shape.
     if (msg.type === "apply-translations") {
-        const { sourceFrameId, translations } = msg;
-        // RTL locale prefixes — languages that read right-to-left
-        const RTL_CODES = ["ar", "he", "fa", "ur", "ps", "yi", "sd", "ku"];
-        function isRtlLocale(code) {
-            if (!code)
-                return false;
-            const base = code.split("-")[0].toLowerCase();
-            return RTL_CODES.includes(base);
-        }
+        const jobs = Array.isArray(msg.frames)
+            ? msg.frames
+            : [{ sourceFrameId: msg.sourceFrameId, translations: msg.translations }];
         // --- Input validation ---
-        if (typeof sourceFrameId !== "string" || !Array.isArray(translations)) {
-            figma.notify("Invalid translation payload.", { error: true });
-            figma.ui.postMessage({ type: "apply-done" });
-            return;
-        }
-        // Validate each translation entry
-        for (const t of translations) {
-            if (typeof t.locale !== "string" || !Array.isArray(t.layers)) {
+        for (const job of jobs) {
+            if (!job || typeof job.sourceFrameId !== "string" || !Array.isArray(job.translations)) {
+                figma.notify("Invalid translation payload.", { error: true });
+                figma.ui.postMessage({ type: "apply-done", summary: [] });
+                return;
+            }
+            if (!job.translations.every(isValidTranslationEntry)) {
                 figma.notify("Invalid translation entry.", { error: true });
-                figma.ui.postMessage({ type: "apply-done" });
+                figma.ui.postMessage({ type: "apply-done", summary: [] });
                 return;
             }
-            for (const layer of t.layers) {
-                if (typeof layer.id !== "string" || typeof layer.translated !== "string") {
-                    figma.notify("Invalid translation layer data.", { error: true });
-                    figma.ui.postMessage({ type: "apply-done" });
-                    return;
-                }
+        }
+        // Resolve every source frame up front so the batch layout can use the
+        // tallest frame as the row height
+        const sources = [];
+        for (const job of jobs) {
+            const node = await figma.getNodeByIdAsync(job.sourceFrameId);
+            sources.push(node && "clone" in node ? node : null);
+        }
+        const rowHeight = jobs.length > 1
+            ? Math.max(0, ...sources.map((s) => (s ? s.height : 0)))
+            : null;
+        const summary = [];
+        let created = 0;
+        for (let i = 0; i < jobs.length; i++) {
+            const source = sources[i];
+            if (!source) {
+                summary.push({ sourceFrameId: jobs[i].sourceFrameId, name: "", created: 0, error: "Original frame not found." });
+                continue;
+            }
+            try {
+                const count = await applyToFrame(source, jobs[i].translations, rowHeight);
+                created += count;
+                summary.push({ sourceFrameId: source.id, name: source.name, created: count, error: null });
+            }
+            catch (err) {
+                console.error(`[Localyse] Apply failed for "${source.name}": ${err}`);
+                summary.push({ sourceFrameId: source.id, name: source.name, created: 0, error: String(err) });
             }
         }
-        const sourceNode = await figma.getNodeByIdAsync(sourceFrameId);
-        if (!sourceNode || !("clone" in sourceNode)) {
-            figma.notify("Original frame not found.", { error: true });
-            figma.ui.postMessage({ type: "apply-done" });
-            return;
+        const failed = summary.filter((entry) => entry.error);
+        if (created === 0 && failed.length > 0) {
+            figma.notify(failed[0].error, { error: true });
+        }
+        else if (jobs.length > 1) {
+            figma.notify(`Created ${created} localised frame(s) from ${jobs.length} frames ✓`);
         }
-        const source = sourceNode;
-        const GAP = 50;
-        // Count existing locale clones of this frame to calculate correct offset
-        // (handles incremental apply where locales arrive one at a time)
-        let existingClones = 0;
-        if (source.parent && "children" in source.parent) {
-            const prefix = source.name + " — ";
-            for (const sibling of source.parent.children) {
-                if (sibling.id !== source.id && sibling.name.startsWith(prefix)) {
-                    existingClones++;
+        else {
+            figma.notify(`Created ${created} localised frame(s) ✓`);
+        }
+        figma.ui.postMessage({ type: "apply-done", summary });
+    }
+    // --- Sync: find linked clones and the source strings that changed since apply ---
+    if (msg.type === "find-clones") {
+        const frameIds = Array.isArray(msg.frameIds) ? msg.frameIds.map(String) : [];
+        const linked = findLinkedClones(frameIds);
+        const clones = [];
+        let unlinked = 0;
+        for (const frameId of frameIds) {
+            const source = await figma.getNodeByIdAsync(frameId);
+            if (!source)
+                continue;
+            // Clones from before linkage existed can't be matched reliably
+            if (source.parent && "children" in source.parent) {
+                const prefix = source.name + " — ";
+                unlinked += source.parent.children.filter((sibling) => sibling.id !== source.id && !sibling.getPluginData(LINK_SOURCE_FRAME) && sibling.name.startsWith(prefix)).length;
+            }
+            for (const clone of linked.get(frameId) || []) {
+                const changed = [];
+                for (const node of collectTextNodes(clone)) {
+                    const sourceNodeId = node.getPluginData(LINK_SOURCE_NODE);
+                    if (!sourceNodeId)
+                        continue;
+                    const sourceNode = await figma.getNodeByIdAsync(sourceNodeId);
+                    if (!sourceNode || sourceNode.type !== "TEXT" || sourceNode.characters.length === 0)
+                        continue;
+                    if (isLockedNode(sourceNode))
+                        continue;
+                    if (hashText(sourceContent(sourceNode)) === node.getPluginData(LINK_SOURCE_HASH))
+                        continue;
+                    changed.push({
+                        nodeId: node.id,
+                        sourceId: sourceNode.id,
+                        name: sourceNode.name,
+                        characters: sourceNode.characters,
+                        markup: toStyledMarkup(sourceNode),
+                        context: layerContext(sourceNode, source),
+                        geometry: layerGeometry(sourceNode),
+                    });
                 }
+                clones.push({
+                    cloneId: clone.id,
+                    cloneName: clone.name,
+                    sourceFrameId: frameId,
+                    locale: clone.getPluginData(LINK_LOCALE),
+                    localeCode: clone.getPluginData(LINK_LOCALE_CODE),
+                    currency: clone.getPluginData(LINK_CURRENCY) || null,
+                    changed,
+                });
             }
         }
-        let offsetX = (source.width + GAP) * (existingClones + 1);
-        for (const t of translations) {
-            // clone() automatically inserts into the same parent
-            const clone = source.clone();
-            clone.name = `${source.name} — ${t.locale}`;
-            clone.x = source.x + offsetX;
-            clone.y = source.y;
-            offsetX += clone.width + GAP;
-            const rtl = isRtlLocale(t.localeCode || "");
-            // Walk text layers in the clone and apply translated text
-            const cloneTextNodes = collectTextNodes(clone);
-            const sourceTextNodes = collectTextNodes(source);
-            // Build a map from original node id → translated text
-            const layerMap = new Map();
-            for (const layer of t.layers) {
-                layerMap.set(layer.id, layer.translated);
-            }
-            // P3.1: Batch font loading — collect all unique fonts first, load in parallel
-            const fontsToLoad = new Set();
-            for (let i = 0; i < cloneTextNodes.length; i++) {
-                const cloneText = cloneTextNodes[i];
-                if (cloneText.characters.length === 0)
+        figma.ui.postMessage({ type: "sync-plan", clones, unlinked });
+    }
+    // --- Sync: update changed strings in place on existing clones ---
+    // { clones: [{ cloneId, locale, localeCode, layers: [{ nodeId, sourceId, source, translated, format }] }] }
+    if (msg.type === "sync-translations") {
+        if (!Array.isArray(msg.clones))
+            return;
+        let updated = 0;
+        for (const entry of msg.clones) {
+            const clone = await figma.getNodeByIdAsync(String(entry.cloneId));
+            if (!clone || !Array.isArray(entry.layers))
+                continue;
+            const jobs = [];
+            for (const layer of entry.layers) {
+                if (typeof layer.translated !== "string")
                     continue;
+                const c = await figma.getNodeByIdAsync(String(layer.nodeId));
+                const s = await figma.getNodeByIdAsync(String(layer.sourceId));
+                if (c && s && c.type === "TEXT" && s.type === "TEXT") {
+                    jobs.push({
+                        source: s,
+                        clone: c,
+                        translated: layer.translated,
+                        format: layer.format === "html" ? "html" : undefined,
+                        translatedFrom: typeof layer.source === "string" ? layer.source : undefined,
+                    });
+                }
+            }
+            await loadFontsForNodes(jobs.map((job) => job.clone));
+            const overflowing = [];
+            for (const job of jobs) {
                 try {
-                    const fonts = cloneText.getRangeAllFontNames(0, cloneText.characters.length);
-                    for (const font of fonts) {
-                        fontsToLoad.add(JSON.stringify(font));
-                    }
+                    await setTranslatedText(job.clone, job.source, job.translated, job.format);
+                    linkTextNode(job.clone, job.source, job.translatedFrom);
+                    recordReview(job.clone, null); // re-translated without review
+                    updated++;
+                    const overflow = detectOverflow(job.source, job.clone);
+                    if (overflow)
+                        overflowing.push(overflow);
+                }
+                catch (err) {
+                    console.error(`[Localyse] Could not sync text for "${job.clone.name}": ${err}`);
                 }
-                catch ( /* ignore — will be caught below */_a) { /* ignore — will be caught below */ }
             }
-            // Load all unique fonts in parallel
-            await Promise.all(Array.from(fontsToLoad).map((key) => figma.loadFontAsync(JSON.parse(key)).catch(() => { })));
-            // Match clone text nodes by index (clone preserves tree structure/order)
-            for (let i = 0; i < sourceTextNodes.length && i < cloneTextNodes.length; i++) {
-                const originalId = sourceTextNodes[i].id;
-                if (!layerMap.has(originalId))
-                    continue;
-                const cloneText = cloneTextNodes[i];
-                const newText = layerMap.get(originalId);
-                // Skip empty text nodes
-                if (cloneText.characters.length === 0)
-                    continue;
+            const source = await figma.getNodeByIdAsync(clone.getPluginData(LINK_SOURCE_FRAME));
+            if (source && overflowing.length > 0) {
+                postOverflowReport(clone, source, String(entry.locale || ""), String(entry.localeCode || ""), overflowing);
+            }
+        }
+        figma.notify(`Updated ${updated} layer(s) on localised frames ✓`);
+        figma.ui.postMessage({ type: "sync-done", updated });
+    }
+    // --- Auto-fit overflowing layers on localised clones ---
+    // { clones: [{ cloneId, layers: [{ nodeId, sourceId }] }], strategy, minFontSize }
+    if (msg.type === "fix-overflow") {
+        const strategy = msg.strategy;
+        const minFontSize = Math.max(1, Number(msg.minFontSize) || 10);
+        if (!Array.isArray(msg.clones) || !["shrink", "truncate", "auto-height"].includes(strategy))
+            return;
+        let fixed = 0;
+        for (const entry of msg.clones) {
+            const clone = await figma.getNodeByIdAsync(String(entry.cloneId));
+            if (!clone || !Array.isArray(entry.layers))
+                continue;
+            const pairs = [];
+            for (const layer of entry.layers) {
+                const c = await figma.getNodeByIdAsync(String(layer.nodeId));
+                const s = await figma.getNodeByIdAsync(String(layer.sourceId));
+                if (c && s && c.type === "TEXT" && s.type === "TEXT")
+                    pairs.push({ source: s, clone: c });
+            }
+            await loadFontsForNodes(pairs.map((p) => p.clone));
+            const remaining = [];
+            for (const pair of pairs) {
                 try {
-                    cloneText.characters = newText;
+                    fitTextNode(pair.source, pair.clone, strategy, minFontSize);
                 }
                 catch (err) {
-                    // If text can't be set, skip this layer but continue
-                    console.error(`[Localyse] Could not set text for "${cloneText.name}": ${err}`);
+                    console.error(`[Localyse] Auto-fit failed for "${pair.clone.name}": ${err}`);
                 }
+                const still = detectOverflow(pair.source, pair.clone);
+                if (still)
+                    remaining.push(still);
+                else
+                    fixed++;
             }
-            // Full RTL layout mirroring — applied after all text is set
-            if (rtl) {
-                mirrorForRtl(clone);
+            // Always report back so the UI can clear layers that now fit
+            const sourceFrameId = String(entry.sourceFrameId || "");
+            figma.ui.postMessage({
+                type: "overflow-report",
+                cloneId: clone.id,
+                cloneName: clone.name,
+                sourceFrameId,
+                locale: String(entry.locale || ""),
+                localeCode: String(entry.localeCode || ""),
+                layers: remaining,
+            });
+        }
+        figma.notify(`Auto-fit ${fixed} layer(s) ✓`);
+    }
+    // --- Select and zoom to a layer (from the overflow report) ---
+    if (msg.type === "focus-node") {
+        const node = await figma.getNodeByIdAsync(String(msg.nodeId));
+        if (node && "visible" in node) {
+            let page = node;
+            while (page && page.type !== "PAGE")
+                page = page.parent;
+            if (page && page.id === figma.currentPage.id) {
+                figma.currentPage.selection = [node];
+                figma.viewport.scrollAndZoomIntoView([node]);
             }
         }
-        figma.notify(`Created ${translations.length} localised frame(s) ✓`);
-        figma.ui.postMessage({ type: "apply-done" });
+    }
+    // --- Switch source scope: selection / section / page ---
+    if (msg.type === "set-scope") {
+        if (msg.scope === "selection" || msg.scope === "section" || msg.scope === "page") {
+            selectionScope = msg.scope;
+            handleSelectionChange();
+        }
     }
     // --- Resize plugin window ---
     if (msg.type === "resize") {
@@ -303,6 +1149,17 @@ figma.ui.onmessage = async (msg) => {
             figma.ui.resize(w, h);
         }
     }
+    // --- Save settings to client storage ---
+    // Team API key selects the team's glossary and plan on the worker
+    if (msg.type === "save-team-key") {
+        if (typeof msg.teamKey === "string" && msg.teamKey.length <= 200) {
+            figma.clientStorage.setAsync("teamApiKey", msg.teamKey).catch(() => { });
+        }
+    }
+    // Review mode holds results for approval before they are applied
+    if (msg.type === "save-review-mode") {
+        figma.clientStorage.setAsync("reviewMode", msg.reviewMode === true).catch(() => { });
+    }
     // --- Save locales to client storage (P2.2) ---
     if (msg.type === "save-locales") {
         if (Array.isArray(msg.locales)) {
@@ -352,3 +1209,34 @@ figma.ui.onmessage = async (msg) => {
         figma.closePlugin();
     }
 };
+// ------------------------------------------------------------------
+// Menu command: toggle do-not-translate
+// ------------------------------------------------------------------
+/**
+ * Lock every text layer in the selection, or unlock them if all are locked
+ * already. Unlocking also drops a "#nt" name prefix so the layer really is
+ * translated on the next run.
+ */
+function toggleDoNotTranslate() {
+    const nodes = [];
+    for (const node of figma.currentPage.selection) {
+        nodes.push(...collectTextNodes(node));
+    }
+    if (nodes.length === 0) {
+        figma.closePlugin("Select text layers (or frames containing them) to lock.");
+        return;
+    }
+    const unlock = nodes.every(isLockedNode);
+    for (const node of nodes) {
+        node.setPluginData(LOCK_PLUGIN_DATA, unlock ? "" : "1");
+        if (unlock && LOCK_NAME_PREFIX.test(node.name)) {
+            node.name = node.name.replace(LOCK_NAME_PREFIX, "") || "Text";
+        }
+    }
+    figma.closePlugin(unlock
+        ? `${nodes.length} layer(s) will be translated again`
+        : `${nodes.length} layer(s) marked do-not-translate 🔒`);
+}
+if (HEADLESS_COMMAND) {
+    toggleDoNotTranslate();
+}
@@ -0,0 +1,81 @@
+/**
+ * Point the plugin at a different translation proxy.
+ *
+ * Rewrites every place the proxy origin is baked in: WORKER_URL, the
+ * privacy-policy links and the CSP connect-src in ui.html, and
+ * networkAccess.allowedDomains in manifest.json. No rebuild is needed;
+ * Figma loads both files as they are.
+ *
+ * Usage:
+ *   npm run configure:proxy -- https://localyse.example.com
+ *   npm run configure:proxy -- http://localhost:8787     # local development
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const UI_PATH = path.join(ROOT, "ui.html");
+const MANIFEST_PATH = path.join(ROOT, "manifest.json");
+
+/** Validate the new proxy URL; returns its origin. https is required except for localhost. */
+export function parseProxyUrl(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch {
+        throw new Error(`Not a valid URL: "${input}"`);
+    }
+    const local = url.hostname === "localhost" || url.hostname === "127.0.0.1";
+    if (url.protocol !== "https:" && !(local && url.protocol === "http:")) {
+        throw new Error("The proxy URL must use https:// (http:// is only allowed for localhost).");
+    }
+    if (url.pathname !== "/" || url.search || url.hash) {
+        throw new Error("Give the proxy origin only, without a path (e.g. https://localyse.example.com).");
+    }
+    return url.origin;
+}
+
+/** The origin ui.html currently talks to, read from its WORKER_URL constant. */
+export function currentProxyOrigin(html) {
+    const match = html.match(/const WORKER_URL = "([^"]+)";/);
+    if (!match) throw new Error("Could not find WORKER_URL in ui.html.");
+    return match[1];
+}
+
+/** Replace the old proxy origin everywhere in ui.html (WORKER_URL, CSP, privacy links). */
+export function rewriteUiHtml(html, origin) {
+    return html.split(currentProxyOrigin(html)).join(origin);
+}
+
+/** Set networkAccess.allowedDomains (and devAllowedDomains for localhost) in the manifest. */
+export function rewriteManifest(manifest, origin) {
+    const local = new URL(origin).protocol === "http:";
+    const networkAccess = { ...manifest.networkAccess, allowedDomains: local ? ["none"] : [origin] };
+    if (local) networkAccess.devAllowedDomains = [origin];
+    else delete networkAccess.devAllowedDomains;
+    return { ...manifest, networkAccess };
+}
+
+function main() {
+    const input = process.argv[2];
+    if (!input) {
+        console.error("Usage: npm run configure:proxy -- <proxy URL>");
+        process.exit(1);
+    }
+    try {
+        const origin = parseProxyUrl(input);
+        const html = readFileSync(UI_PATH, "utf8");
+        const previous = currentProxyOrigin(html);
+        writeFileSync(UI_PATH, rewriteUiHtml(html, origin));
+        const manifest = JSON.parse(readFileSync(MANIFEST_PATH, "utf8"));
+        writeFileSync(MANIFEST_PATH, JSON.stringify(rewriteManifest(manifest, origin), null, 2));
+        console.log(`Proxy URL changed: ${previous} → ${origin}`);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
@@ -0,0 +1,113 @@
+/**
+ * Tests for team API keys and the admin routes (worker/auth.js).
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import { authenticate, writeAccessError, generateKey, validateKeyRequest, handleAdminRequest, KEY_PREFIX } from "../worker/auth.js";
+import { createMemoryStorage } from "../worker/storage/memory.js";
+
+const ADMIN_TOKEN = "admin-secret";
+
+function request(method, path, { body, token, headers = {} } = {}) {
+  return new Request(`https://proxy.test${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+function admin(env, method, path, body) {
+  return handleAdminRequest(request(method, path, { body, token: ADMIN_TOKEN }), env, {});
+}
+
+describe("generateKey", () => {
+  it("creates distinct url-safe keys with the lk_ prefix", () => {
+    const a = generateKey();
+    expect(a.startsWith(KEY_PREFIX)).toBe(true);
+    expect(a).toMatch(/^lk_[A-Za-z0-9_-]{43}$/);
+    expect(generateKey()).not.toBe(a);
+  });
+});
+
+describe("validateKeyRequest", () => {
+  it("requires a valid team and a known plan", () => {
+    expect(validateKeyRequest({ team: " acme " }, {}).value).toEqual({ team: "acme", name: "acme", plan: null });
+    expect(validateKeyRequest({ team: "acme", name: "Design", plan: "pro" }, {}).value.plan).toBe("pro");
+    expect(validateKeyRequest({ team: "a b" }, {}).error).toMatch(/team/);
+    expect(validateKeyRequest({ team: "acme", plan: "gold" }, {}).error).toBe('Unknown plan "gold".');
+    expect(validateKeyRequest({ team: "acme", plan: "gold" }, { RATE_LIMIT_PLANS: '{"gold": {"limit": 10}}' }).error).toBeUndefined();
+  });
+});
+
+describe("admin routes", () => {
+  it("are disabled without ADMIN_TOKEN and require it otherwise", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    expect((await admin(env, "GET", "/admin/keys")).status).toBe(404);
+
+    env.ADMIN_TOKEN = ADMIN_TOKEN;
+    expect((await handleAdminRequest(request("GET", "/admin/keys"), env, {})).status).toBe(401);
+    expect((await handleAdminRequest(request("GET", "/admin/keys", { token: "wrong" }), env, {})).status).toBe(401);
+    expect((await admin(env, "GET", "/admin/keys")).status).toBe(200);
+  });
+
+  it("issues, lists and revokes keys without storing them in plain text", async () => {
+    const storage = createMemoryStorage();
+    const env = { RATE_LIMIT: storage, ADMIN_TOKEN };
+
+    const issued = await admin(env, "POST", "/admin/keys", { team: "acme", name: "Design", plan: "pro" });
+    expect(issued.status).toBe(201);
+    const { key, id, ...record } = await issued.json();
+    expect(record).toMatchObject({ team: "acme", name: "Design", plan: "pro", prefix: key.slice(0, 9) });
+    expect(await storage.get("apikeys")).not.toContain(key);
+
+    await admin(env, "POST", "/admin/keys", { team: "other" });
+    const listed = await (await admin(env, "GET", "/admin/keys?team=acme")).json();
+    expect(listed.keys).toEqual([{ id, ...record }]);
+    expect(JSON.stringify(listed)).not.toContain("hash");
+
+    const { identity } = await authenticate(request("POST", "/", { token: key }), env);
+    expect(identity).toEqual({ team: "team:acme", anonymous: false, plan: "pro" });
+
+    expect((await admin(env, "DELETE", `/admin/keys/${id}`)).status).toBe(200);
+    expect((await admin(env, "DELETE", `/admin/keys/${id}`)).status).toBe(404);
+    expect((await authenticate(request("POST", "/", { token: key }), env)).error).toMatch(/revoked/);
+    expect((await (await admin(env, "GET", "/admin/keys")).json()).keys).toHaveLength(1);
+  });
+
+  it("rejects invalid bodies and unknown routes", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage(), ADMIN_TOKEN };
+    expect((await admin(env, "POST", "/admin/keys", { team: "" })).status).toBe(400);
+    expect((await admin(env, "GET", "/admin/users")).status).toBe(404);
+    expect((await admin(env, "PUT", "/admin/keys")).status).toBe(405);
+  });
+});
+
+describe("authenticate", () => {
+  it("treats requests without a key as the anonymous X-User-Id", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    const { identity } = await authenticate(request("POST", "/", { headers: { "X-User-Id": "42" } }), env);
+    expect(identity).toEqual({ team: "user:42", anonymous: true, plan: null });
+  });
+
+  it("refuses unknown keys instead of falling back to anonymous", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    expect((await authenticate(request("POST", "/", { token: generateKey() }), env)).error).toMatch(/Invalid/);
+    expect((await authenticate(request("POST", "/", { token: "not-a-key" }), env)).error).toMatch(/Invalid/);
+  });
+});
+
+describe("writeAccessError", () => {
+  it("lets anonymous requests read but not change stored data", () => {
+    const anonymous = { team: "user:42", anonymous: true, plan: null };
+    const team = { team: "team:acme", anonymous: false, plan: null };
+    expect(writeAccessError(request("GET", "/glossary"), anonymous, "Changing the glossary")).toBeNull();
+    expect(writeAccessError(request("POST", "/glossary/terms"), anonymous, "Changing the glossary"))
+      .toBe("Changing the glossary needs a team API key.");
+    expect(writeAccessError(request("DELETE", "/tm"), anonymous, "Changing the translation memory")).toMatch(/team API key/);
+    expect(writeAccessError(request("POST", "/glossary/terms"), team, "Changing the glossary")).toBeNull();
+  });
+});
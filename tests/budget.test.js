@@ -0,0 +1,71 @@
+/**
+ * Tests for length budgets from layer geometry (worker/budget.js).
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import { estimateWidth, layerBudget, exceedsBudget, MAX_GROWTH } from "../worker/budget.js";
+
+function layer(text, geometry, role) {
+  return { text, geometry, ...(role ? { context: { role } } : {}) };
+}
+
+describe("estimateWidth", () => {
+  it("weights narrow, wide and uppercase characters", () => {
+    expect(estimateWidth("iii", 10)).toBeCloseTo(9);
+    expect(estimateWidth("AAA", 10)).toBeCloseTo(19.5);
+    expect(estimateWidth("予約", 10)).toBe(20);
+  });
+
+  it("ignores inline markup and line breaks", () => {
+    expect(estimateWidth('<span class="s1">ab</span><br/>c', 10)).toBeCloseTo(estimateWidth("abc", 10));
+    expect(estimateWidth("a &amp; b", 10)).toBeCloseTo(estimateWidth("a & b", 10));
+  });
+});
+
+describe("layerBudget", () => {
+  it("fills fixed boxes: width × lines", () => {
+    const budget = layerBudget(layer("Book now", { width: 110, fontSize: 10, maxLines: 1, autoResize: "NONE" }), "fr");
+    expect(budget).toEqual({ capacity: 110, fontSize: 10, maxLines: 1, maxChars: 20 });
+    const twoLines = layerBudget(layer("Book now", { width: 100, fontSize: 10, maxLines: 2, autoResize: "TRUNCATE" }), "fr");
+    expect(twoLines.capacity).toBe(180);
+  });
+
+  it("uses wider characters for CJK targets", () => {
+    expect(layerBudget(layer("Book", { width: 100, fontSize: 10, maxLines: 1, autoResize: "NONE" }), "ja-JP").maxChars).toBe(10);
+  });
+
+  it("only limits growing boxes of controls, relative to the source", () => {
+    const geometry = { width: 40, fontSize: 16, maxLines: null, autoResize: "WIDTH_AND_HEIGHT" };
+    expect(layerBudget(layer("Book", geometry), "de")).toBeNull();
+    const budget = layerBudget(layer("Book", geometry, "button"), "de");
+    expect(budget.capacity).toBe(Math.round(estimateWidth("Book", 16) * MAX_GROWTH));
+    expect(budget.maxLines).toBe(1);
+    expect(layerBudget(layer("Long paragraph", { ...geometry, autoResize: "HEIGHT" }, null), "de")).toBeNull();
+  });
+
+  it("never budgets less than the source text takes", () => {
+    const budget = layerBudget(layer("Subscribe", { width: 10, fontSize: 16, maxLines: 1, autoResize: "NONE" }), "de");
+    expect(budget.capacity).toBe(Math.round(estimateWidth("Subscribe", 16)));
+    expect(exceedsBudget("Subscribe", budget)).toBe(false);
+  });
+
+  it("ignores missing or invalid geometry", () => {
+    expect(layerBudget({ text: "Hi" }, "fr")).toBeNull();
+    expect(layerBudget(layer("Hi", { width: "wide", fontSize: 10, maxLines: 1, autoResize: "NONE" }), "fr")).toBeNull();
+    expect(layerBudget(layer("Hi", { width: 100, fontSize: null, maxLines: 1, autoResize: "NONE" }), "fr")).toBeNull();
+    expect(layerBudget(layer("Hi", { width: 100, fontSize: 10, maxLines: 1, autoResize: "FILL" }), "fr")).toBeNull();
+  });
+});
+
+describe("exceedsBudget", () => {
+  const budget = layerBudget(layer("Book", { width: 60, fontSize: 16, maxLines: 1, autoResize: "NONE" }), "de");
+
+  it("flags only clear overflows", () => {
+    expect(exceedsBudget("Buchen", budget)).toBe(false);
+    expect(exceedsBudget("Jetzt verbindlich reservieren", budget)).toBe(true);
+  });
+
+  it("is false without a budget", () => {
+    expect(exceedsBudget("anything at all", null)).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the per-segment translation cache (worker/cache.js).
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import { segmentCacheKey, readCachedSegments, writeCachedSegments } from "../worker/cache.js";
+import { createMemoryStorage } from "../worker/storage/memory.js";
+
+const hello = { id: "1", text: "Hello", layerName: "Title" };
+
+describe("segmentCacheKey", () => {
+  it("depends on text, layer name, locale and request scope", async () => {
+    const base = await segmentCacheKey(hello, "fr");
+    expect(base).toMatch(/^cache:fr:[0-9a-f]{24}$/);
+    expect(await segmentCacheKey({ ...hello, id: "other" }, "fr")).toBe(base);
+    expect(await segmentCacheKey({ ...hello, layerName: "Button" }, "fr")).not.toBe(base);
+    expect(await segmentCacheKey({ ...hello, text: "Hello!" }, "fr")).not.toBe(base);
+    expect(await segmentCacheKey(hello, "de")).not.toBe(base);
+    expect(await segmentCacheKey(hello, "fr", { localeCurrencies: ["EUR"] })).not.toBe(base);
+    expect(await segmentCacheKey(hello, "fr", { glossaryTag: "team:acme@2" })).not.toBe(base);
+    expect(await segmentCacheKey(hello, "fr", { formality: "formal" })).not.toBe(base);
+  });
+
+  it("depends on where the layer sits, not on the text next to it", async () => {
+    const button = { ...hello, context: { role: "button", path: ["Checkout"], siblings: ["Total", "€20"] } };
+    const base = await segmentCacheKey(button, "fr");
+    expect(base).not.toBe(await segmentCacheKey(hello, "fr"));
+    expect(await segmentCacheKey({ ...button, context: { ...button.context, siblings: ["Total", "€25"] } }, "fr")).toBe(base);
+    expect(await segmentCacheKey({ ...button, context: { ...button.context, role: "heading" } }, "fr")).not.toBe(base);
+    expect(await segmentCacheKey({ ...button, context: { ...button.context, path: ["Cart"] } }, "fr")).not.toBe(base);
+  });
+});
+
+describe("readCachedSegments / writeCachedSegments", () => {
+  it("returns hits by layer id, marked as cached", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    const scope = { localeCurrencies: ["EUR"] };
+    await writeCachedSegments(env, [{ layer: hello, result: { id: "1", translated: "Bonjour", memory: true } }], "fr", scope);
+
+    const moved = { ...hello, id: "9" };
+    const hits = await readCachedSegments(env, [moved, { id: "2", text: "Bye", layerName: "Footer" }], "fr", scope);
+    expect([...hits.entries()]).toEqual([["9", { id: "9", translated: "Bonjour", cached: true }]]);
+    expect((await readCachedSegments(env, [hello], "fr")).size).toBe(0);
+  });
+
+  it("keeps styling and plural forms, and skips rejected results", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    const styled = { id: "s", text: "<b>Hi</b>", layerName: "Bold", format: "html" };
+    const broken = { id: "b", text: "Hi {name}", layerName: "Greeting" };
+    await writeCachedSegments(env, [
+      { layer: styled, result: { id: "s", translated: "<b>Salut</b>", format: "html" } },
+      { layer: broken, result: { id: "b", translated: "Hi {name}", rejected: "Placeholder {name} was lost in translation." } },
+    ], "fr");
+    const hits = await readCachedSegments(env, [styled, broken], "fr");
+    expect(hits.get("s")).toEqual({ id: "s", translated: "<b>Salut</b>", format: "html", cached: true });
+    expect(hits.has("b")).toBe(false);
+  });
+
+  it("treats storage errors as misses", async () => {
+    const env = { RATE_LIMIT: { get: async () => { throw new Error("down"); }, put: async () => { throw new Error("down"); } } };
+    await expect(writeCachedSegments(env, [{ layer: hello, result: { id: "1", translated: "Bonjour" } }], "fr")).resolves.toBeUndefined();
+    expect((await readCachedSegments(env, [hello], "fr")).size).toBe(0);
+  });
+});
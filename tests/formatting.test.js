@@ -0,0 +1,102 @@
+/**
+ * Unit tests for deterministic number, date and currency formatting.
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import { localiseFormats, layerFormats, missingValues } from "../worker/formatting.js";
+
+// Intl's no-break spaces (U+00A0, U+202F) differ between ICU versions
+const spaced = text => text.replace(/[\u00a0\u202f]/g, " ");
+const format = (...args) => spaced(localiseFormats(...args).text);
+
+describe("localiseFormats", () => {
+  it("formats currency amounts in the selected currency, keeping the value", () => {
+    const { text, values } = localiseFormats("Only $49.99/month", "de-DE", { currency: "EUR" });
+    expect([text, ...values].map(spaced)).toEqual(["Only 49,99 €/month", "49,99 €"]);
+    expect(format("Total: $1,200.50", "de-DE")).toBe("Total: 1.200,50 $");
+    expect(format("$49.99", "hi-IN", { currency: "INR" })).toBe("₹49.99");
+    expect(format("USD 1,200 or 49.99 USD", "ja-JP", { currency: "JPY" })).toBe("￥1,200 or ￥49.99");
+  });
+
+  it("formats negative and abbreviated amounts", () => {
+    expect(format("Was -$5", "fr-FR", { currency: "EUR" })).toBe("Was -5 €");
+    expect(format("Raised $1.2M", "de-DE")).toBe("Raised 1,2 Mio. $");
+  });
+
+  it("formats percentages and grouped numbers", () => {
+    expect(format("Save 12.5% today", "fr-FR")).toBe("Save 12,5 % today");
+    expect(format("Save 20% today", "tr")).toBe("Save %20 today");
+    expect(format("1,234,567 users", "en-IN")).toBe("12,34,567 users");
+    expect(format("2.5 GB free", "de-DE")).toBe("2,5 GB free");
+  });
+
+  it("formats US numeric dates and dates with month names", () => {
+    expect(format("Due 12/25/2024", "de-DE")).toBe("Due 25.12.2024");
+    expect(format("Due 03/05/24", "en-GB")).toBe("Due 05/03/24");
+    expect(format("Dec 25, 2024", "fr-FR")).toBe("25 déc. 2024");
+    expect(format("December 25th", "de-DE")).toBe("25. Dezember");
+    expect(format("25 December 2024", "ja-JP")).toBe("2024年12月25日");
+    expect(format("Since March 2023", "es-ES")).toBe("Since marzo de 2023");
+  });
+
+  it("formats times for the locale's clock", () => {
+    expect(format("Opens 3:30 PM", "de-DE")).toBe("Opens 15:30");
+    expect(format("Meet at 15:30", "en-US")).toBe("Meet at 3:30 PM");
+  });
+
+  it("leaves integers, versions, ranges and ambiguous values alone", () => {
+    for (const text of ["Step 1 of 3", "iOS 17.2", "v2.0.1", "Dec 5–8", "16:9 ratio", "May I help?", "Year 2024", "Call 555-1234", "2024-12-25"]) {
+      expect(localiseFormats(text, "de-DE")).toEqual({ text, values: [], converted: false, unconverted: [] });
+    }
+    expect(localiseFormats("Feb 30, 2024", "de-DE").values).toEqual([]);
+  });
+
+  it("skips placeholders, URLs and markup", () => {
+    expect(format("{count} files for $5", "de-DE", { currency: "EUR" })).toBe("{count} files for 5 €");
+    expect(localiseFormats("https://x.com/a?p=1,000", "de").values).toEqual([]);
+    expect(format('Total<br/><span class="s1">$49.99</span>', "de", { html: true })).toBe('Total<br/><span class="s1">49,99 $</span>');
+  });
+
+  it("leaves text alone for locales Intl doesn't know", () => {
+    expect(localiseFormats("$5", "zz")).toEqual({ text: "$5", values: [], converted: false, unconverted: [] });
+  });
+});
+
+describe("currency conversion", () => {
+  const rates = { base: "USD", rates: { EUR: 0.9168, INR: 83.2, JPY: 149.6 } };
+
+  it("converts amounts with the rate table, in the target currency's minor unit", () => {
+    const result = localiseFormats("Only $49.99/month", "de-DE", { currency: "EUR", mode: "convert", rates });
+    expect(spaced(result.text)).toBe("Only 45,83 €/month");
+    expect(result.converted).toBe(true);
+    expect(format("$49.99", "ja-JP", { currency: "JPY", mode: "convert", rates })).toBe("￥7,479");
+    expect(format("$49", "de-DE", { currency: "EUR", mode: "convert", rates })).toBe("45 €");
+  });
+
+  it("rounds converted prices to price points", () => {
+    const mode = "convert-and-round-to-price-points";
+    expect(format("$49.99", "de-DE", { currency: "EUR", mode, rates })).toBe("45,99 €");
+    expect(format("$49.99", "ja-JP", { currency: "JPY", mode, rates })).toBe("￥7,480");
+    expect(format("$49.99", "hi-IN", { currency: "INR", mode, rates })).toBe("₹4,159");
+  });
+
+  it("keeps the value when the table has no rate", () => {
+    const result = localiseFormats("$5", "pl-PL", { currency: "PLN", mode: "convert", rates });
+    expect(spaced(result.text)).toBe("5 zł");
+    expect(result).toMatchObject({ converted: false, unconverted: ["USD→PLN"] });
+  });
+});
+
+describe("layerFormats", () => {
+  it("uses the first selected currency and the layer's format", () => {
+    expect(spaced(layerFormats({ text: "<b>$5</b>", format: "html" }, "fr-FR", ["EUR", "XPF"]).text)).toBe("<b>5 €</b>");
+  });
+});
+
+describe("missingValues", () => {
+  it("counts repeats and ignores spacing differences", () => {
+    const value = "49,99\u00a0€";
+    expect(missingValues([value, value], "Nur 49,99 € statt 49,99&nbsp;€")).toEqual([]);
+    expect(missingValues([value, value], `Nur ${value}`)).toEqual([value]);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Unit tests for the team glossary module.
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import {
+  validateTerm,
+  resolveTarget,
+  matchTerms,
+  applyDictionaryMarkup,
+  missingTerms,
+  handleGlossaryRequest,
+} from "../worker/glossary.js";
+
+const WORKSPACE = { id: "t1", source: "Workspace", targets: { fr: "Espace de travail", "fr-CA": "Espace collaboratif" }, doNotTranslate: false, caseSensitive: false };
+const PULSE = { id: "t2", source: "Pulse", targets: {}, doNotTranslate: true, caseSensitive: true };
+
+/** Minimal in-memory stand-in for the RATE_LIMIT KV binding. */
+function memoryEnv() {
+  const store = new Map();
+  return {
+    RATE_LIMIT: {
+      get: async key => (store.has(key) ? store.get(key) : null),
+      put: async (key, value) => { store.set(key, value); },
+    },
+  };
+}
+
+function request(method, path, body) {
+  return new Request(`https://proxy.test${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+describe("validateTerm", () => {
+  it("normalises a valid term and assigns an id", () => {
+    const { term, error } = validateTerm({ source: "  Workspace ", targets: { fr: " Espace de travail " } });
+    expect(error).toBeUndefined();
+    expect(term.source).toBe("Workspace");
+    expect(term.targets).toEqual({ fr: "Espace de travail" });
+    expect(term.id).toBeTruthy();
+  });
+
+  it("requires a translation unless the term is do-not-translate", () => {
+    expect(validateTerm({ source: "Pulse" }).error).toBeTruthy();
+    expect(validateTerm({ source: "Pulse", doNotTranslate: true }).term.doNotTranslate).toBe(true);
+  });
+
+  it("rejects invalid locale codes and oversized terms", () => {
+    expect(validateTerm({ source: "Plan", targets: { "not a locale": "x" } }).error).toBeTruthy();
+    expect(validateTerm({ source: "x".repeat(101), doNotTranslate: true }).error).toBeTruthy();
+  });
+});
+
+describe("resolveTarget", () => {
+  it("prefers the exact locale, then the base language", () => {
+    expect(resolveTarget(WORKSPACE, "fr-CA")).toBe("Espace collaboratif");
+    expect(resolveTarget(WORKSPACE, "fr-FR")).toBe("Espace de travail");
+    expect(resolveTarget(WORKSPACE, "fr")).toBe("Espace de travail");
+  });
+
+  it("returns null when the locale has no translation", () => {
+    expect(resolveTarget(WORKSPACE, "de")).toBeNull();
+  });
+
+  it("keeps do-not-translate terms in every locale", () => {
+    expect(resolveTarget(PULSE, "ja")).toBe("Pulse");
+  });
+});
+
+describe("matchTerms", () => {
+  it("matches whole words only", () => {
+    expect(matchTerms([PULSE], "Open Pulse now", "de")).toHaveLength(1);
+    expect(matchTerms([PULSE], "Impulse control", "de")).toHaveLength(0);
+  });
+
+  it("respects case sensitivity", () => {
+    expect(matchTerms([PULSE], "check your pulse", "de")).toHaveLength(0);
+    expect(matchTerms([WORKSPACE], "your workspace", "fr")).toHaveLength(1);
+  });
+
+  it("skips terms without a target for the locale", () => {
+    expect(matchTerms([WORKSPACE], "Workspace", "de")).toHaveLength(0);
+  });
+});
+
+describe("applyDictionaryMarkup", () => {
+  it("wraps terms in Azure dynamic dictionary markup", () => {
+    const matches = matchTerms([WORKSPACE], "Open your Workspace", "fr");
+    expect(applyDictionaryMarkup("Open your Workspace", matches, false))
+      .toBe('Open your <mstrans:dictionary translation="Espace de travail">Workspace</mstrans:dictionary>');
+  });
+
+  it("leaves HTML tags untouched", () => {
+    const term = { id: "t3", source: "span", targets: { fr: "portée" }, doNotTranslate: false, caseSensitive: false };
+    const text = 'A <span class="s1">span</span>';
+    expect(applyDictionaryMarkup(text, matchTerms([term], text, "fr"), true))
+      .toBe('A <span class="s1"><mstrans:dictionary translation="portée">span</mstrans:dictionary></span>');
+  });
+
+  it("skips protected placeholder spans", () => {
+    const term = { id: "t4", source: "name", targets: { fr: "nom" }, doNotTranslate: false, caseSensitive: false };
+    const text = 'Your name: <span class="notranslate" translate="no" data-ph="0">{name}</span>';
+    expect(applyDictionaryMarkup(text, matchTerms([term], text, "fr"), true))
+      .toBe('Your <mstrans:dictionary translation="nom">name</mstrans:dictionary>: <span class="notranslate" translate="no" data-ph="0">{name}</span>');
+  });
+
+  it("returns the text unchanged when nothing matches", () => {
+    expect(applyDictionaryMarkup("Hello", [], false)).toBe("Hello");
+  });
+});
+
+describe("missingTerms", () => {
+  it("lists required targets absent from a translation", () => {
+    const matches = matchTerms([WORKSPACE, PULSE], "Pulse for your Workspace", "fr");
+    expect(missingTerms("Pulse pour votre espace de travail", matches)).toHaveLength(0);
+    expect(missingTerms("Impulsion pour votre bureau", matches)).toHaveLength(2);
+  });
+});
+
+describe("handleGlossaryRequest", () => {
+  it("creates, lists, updates and deletes terms", async () => {
+    const env = memoryEnv();
+    const created = await handleGlossaryRequest(request("POST", "/glossary/terms", { source: "Workspace", targets: { fr: "Espace" } }), env, "team:acme", {});
+    expect(created.status).toBe(201);
+    const { version, terms } = await created.json();
+    expect(version).toBe(1);
+    expect(terms).toHaveLength(1);
+
+    const updated = await handleGlossaryRequest(request("PUT", `/glossary/terms/${terms[0].id}`, { source: "Workspace", targets: { fr: "Espace de travail" } }), env, "team:acme", {});
+    expect((await updated.json()).terms[0].targets.fr).toBe("Espace de travail");
+
+    const listed = await handleGlossaryRequest(request("GET", "/glossary"), env, "team:acme", {});
+    expect((await listed.json()).version).toBe(2);
+
+    const deleted = await handleGlossaryRequest(request("DELETE", `/glossary/terms/${terms[0].id}`), env, "team:acme", {});
+    expect((await deleted.json()).terms).toHaveLength(0);
+  });
+
+  it("replaces a term with the same source instead of duplicating it", async () => {
+    const env = memoryEnv();
+    await handleGlossaryRequest(request("POST", "/glossary/terms", { source: "Pulse", doNotTranslate: true }), env, "team:acme", {});
+    const res = await handleGlossaryRequest(request("POST", "/glossary/terms", { source: "pulse", targets: { de: "Puls" } }), env, "team:acme", {});
+    expect(res.status).toBe(200);
+    expect((await res.json()).terms).toHaveLength(1);
+  });
+
+  it("keeps glossaries of different teams apart", async () => {
+    const env = memoryEnv();
+    await handleGlossaryRequest(request("POST", "/glossary/terms", { source: "Pulse", doNotTranslate: true }), env, "team:a", {});
+    const other = await handleGlossaryRequest(request("GET", "/glossary"), env, "team:b", {});
+    expect((await other.json()).terms).toHaveLength(0);
+  });
+
+  it("rejects invalid input", async () => {
+    const env = memoryEnv();
+    const res = await handleGlossaryRequest(request("POST", "/glossary/terms", { source: "" }), env, "team:a", {});
+    expect(res.status).toBe(400);
+    const missing = await handleGlossaryRequest(request("DELETE", "/glossary/terms/nope"), env, "team:a", {});
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for ICU MessageFormat and plural-aware translation.
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import {
+  parseIcuMessage,
+  detectNumericPlural,
+  detectPlural,
+  sampleNumber,
+  pluralSamples,
+  assemblePlural,
+  expandPluralLayers,
+  collapsePluralResults,
+} from "../worker/icu.js";
+
+/** Fake "translator" for Polish samples: enough to tell the forms apart. */
+function toPolish(text) {
+  return text
+    .replace(/^1 file$/, "1 plik")
+    .replace(/^(\d+) files$/, (_, n) => n + (/^[234]$/.test(n) ? " pliki" : " plików"))
+    .replace(/^1\.5 files$/, "1,5 pliku");
+}
+
+describe("parseIcuMessage", () => {
+  it("parses a plural with exact matches, offset and surrounding text", () => {
+    const message = parseIcuMessage("You have {count, plural, offset:1 =0 {no files} one {# file} other {# files}} left");
+    expect(message).toMatchObject({
+      kind: "icu",
+      type: "plural",
+      argument: "count",
+      offset: 1,
+      prefix: "You have ",
+      suffix: " left",
+      options: { "=0": "no files", one: "# file", other: "# files" },
+    });
+  });
+
+  it("parses select messages", () => {
+    expect(parseIcuMessage("{gender, select, female {She} other {They}} replied").options)
+      .toEqual({ female: "She", other: "They" });
+  });
+
+  it("rejects nested or incomplete messages", () => {
+    expect(parseIcuMessage("{a, plural, one {{b, select, x {y} other {z}}} other {#}}")).toBeNull();
+    expect(parseIcuMessage("{count, plural, one {# file}}")).toBeNull();
+    expect(parseIcuMessage("Hello {name}")).toBeNull();
+  });
+});
+
+describe("detectNumericPlural", () => {
+  it("derives English singular and plural forms from the design text", () => {
+    expect(detectNumericPlural("3 files selected")).toMatchObject({
+      value: 3,
+      options: { one: "# file", other: "# files" },
+      suffix: " selected",
+    });
+    expect(detectNumericPlural("1 entry").options).toEqual({ one: "# entry", other: "# entries" });
+  });
+
+  it("treats a {var} before a word as a plural argument", () => {
+    expect(detectNumericPlural("{count} items")).toMatchObject({ argument: "count", token: "{count}", value: null });
+  });
+
+  it("ignores prices, percentages and strings with several numbers", () => {
+    expect(detectNumericPlural("$5 off")).toBeNull();
+    expect(detectNumericPlural("Save 20% today")).toBeNull();
+    expect(detectNumericPlural("Step 2 of 5")).toBeNull();
+  });
+
+  it("ignores numbers whose word doesn't change with the count", () => {
+    expect(detectNumericPlural("iPhone 15 Pro")).toBeNull();
+    expect(detectNumericPlural("Room 101 booking")).toBeNull();
+    expect(detectNumericPlural("Call 911 now")).toBeNull();
+    expect(detectPlural({ text: "Windows 11 Home" })).toBeNull();
+  });
+
+  it("ignores titles, numbered names and verbs after a number", () => {
+    expect(detectNumericPlural("Step 1 Complete")).toBeNull();
+    expect(detectNumericPlural("iPhone 1 Pro")).toBeNull();
+    expect(detectNumericPlural("Bus 42 departs")).toBeNull();
+    expect(detectNumericPlural("Delete 3 files")).toMatchObject({ prefix: "Delete ", options: { other: "# files" } });
+    expect(detectNumericPlural("Showing 1 result")).toMatchObject({ value: 1, options: { one: "# result" } });
+  });
+
+  it("skips styled layers", () => {
+    expect(detectPlural({ text: "3 files", format: "html" })).toBeNull();
+  });
+});
+
+describe("pluralSamples", () => {
+  it("samples every CLDR category of the target locale", () => {
+    const samples = pluralSamples(detectNumericPlural("3 files"), "pl");
+    expect(samples.map(s => s.key).sort()).toEqual(["few", "many", "one", "other"]);
+    expect(samples.find(s => s.key === "few").text).toBe("3 files"); // the design's own number
+    expect(samples.find(s => s.key === "other").n).toBe(1.5);
+  });
+
+  it("needs a single form for languages without plurals", () => {
+    expect(pluralSamples(detectNumericPlural("3 files"), "ja")).toHaveLength(1);
+  });
+
+  it("finds representative numbers", () => {
+    const rules = new Intl.PluralRules("ar");
+    expect(sampleNumber(rules, "two")).toBe(2);
+    expect(rules.select(sampleNumber(rules, "many"))).toBe("many");
+  });
+});
+
+describe("assemblePlural", () => {
+  it("builds a target ICU string and renders the design's number", () => {
+    const message = detectNumericPlural("3 files");
+    const samples = pluralSamples(message, "pl");
+    const translated = new Map(samples.map(s => [s.key, toPolish(s.text)]));
+    const plural = assemblePlural(message, samples, translated, "pl");
+    expect(plural.icu).toBe("{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}");
+    expect(plural.rendered).toBe("3 pliki");
+  });
+
+  it("fails when a translation lost its number", () => {
+    const message = detectNumericPlural("3 files");
+    const samples = pluralSamples(message, "fr");
+    const translated = new Map(samples.map(s => [s.key, "des fichiers"]));
+    expect(assemblePlural(message, samples, translated, "fr")).toBeNull();
+  });
+});
+
+describe("expandPluralLayers / collapsePluralResults", () => {
+  it("round-trips plural and ordinary layers in their original order", () => {
+    const layers = [
+      { id: "1", layerName: "Count", text: "5 files" },
+      { id: "2", layerName: "Title", text: "Files" },
+    ];
+    const { layers: sent, plans } = expandPluralLayers(layers, "pl");
+    expect(sent).toHaveLength(5);
+    const results = sent.map(l => ({ id: l.id, translated: l.id === "2" ? "Pliki" : toPolish(l.text) }));
+    const [count, title] = collapsePluralResults(layers, results, plans, "pl");
+    expect(count.translated).toBe("5 plików");
+    expect(count.plural.categories.few).toBe("# pliki");
+    expect(title).toEqual({ id: "2", translated: "Pliki" });
+  });
+
+  it("keeps the source text of an ICU layer that can't be rebuilt", () => {
+    const layers = [{ id: "1", layerName: "Count", text: "{n, plural, one {# file} other {# files}}" }];
+    const { layers: sent, plans } = expandPluralLayers(layers, "fr");
+    const [result] = collapsePluralResults(layers, sent.map(l => ({ id: l.id, translated: "fichiers" })), plans, "fr");
+    expect(result.translated).toBe(layers[0].text);
+    expect(result.rejected).toBeTruthy();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for styled-text markup: the plugin encodes mixed styling as
+ * <span class="sN"> and <br/> (code.ts), the worker checks that translations
+ * keep those tags (worker/index.js), and the plugin parses them back.
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+
+// ──────────────────────────────────────────────────────────────────────
+// Import-free copies of functions under test (code.ts is compiled into the
+// plugin bundle and the worker doesn't export its helpers — we copy them
+// here for testing, with the TypeScript annotations removed)
+// ──────────────────────────────────────────────────────────────────────
+
+// --- code.ts: escapeMarkup / decodeMarkupEntities ---
+
+function escapeMarkup(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\n/g, "<br/>")
+    .replace(/\u2028/g, '<br class="ls"/>');
+}
+
+function decodeMarkupEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp);/gi, (_m, ent) => {
+    const e = ent.toLowerCase();
+    if (e === "amp") return "&";
+    if (e === "lt") return "<";
+    if (e === "gt") return ">";
+    if (e === "quot") return "\"";
+    if (e === "apos") return "'";
+    if (e === "nbsp") return "\u00a0";
+    const code = e.startsWith("#x") ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : "";
+  });
+}
+
+// --- code.ts: toStyledMarkup (from a style table rather than a TextNode) ---
+
+function toStyledMarkup(table) {
+  if (table.segments.length === 0 || table.styles.length < 2) return null;
+  return table.segments
+    .map((seg) => {
+      const inner = escapeMarkup(seg.characters);
+      return seg.style === table.base ? inner : `<span class="s${seg.style}">${inner}</span>`;
+    })
+    .join("");
+}
+
+// --- code.ts: parseStyledMarkup ---
+
+function parseStyledMarkup(markup) {
+  const TAG = /<\s*(\/?)\s*([a-z][\w:-]*)\b([^>]*)>/gi;
+  const runs = [];
+  const stack = [];
+  let text = "";
+  let last = 0;
+
+  const append = (chunk) => {
+    if (!chunk) return;
+    const start = text.length;
+    text += chunk;
+    const style = stack.length > 0 ? stack[stack.length - 1] : -1;
+    if (style >= 0) runs.push({ start, end: text.length, style });
+  };
+
+  let m;
+  while ((m = TAG.exec(markup)) !== null) {
+    append(decodeMarkupEntities(markup.slice(last, m.index)));
+    last = TAG.lastIndex;
+    const closing = m[1] === "/";
+    const tag = m[2].toLowerCase();
+    if (tag === "br") {
+      append(/class\s*=\s*["']?ls/i.test(m[3]) ? "\u2028" : "\n");
+    } else if (tag === "span") {
+      if (closing) {
+        stack.pop();
+      } else {
+        const cls = /class\s*=\s*["']?s(\d+)/i.exec(m[3]);
+        stack.push(cls ? parseInt(cls[1], 10) : (stack.length > 0 ? stack[stack.length - 1] : -1));
+      }
+    }
+  }
+  append(decodeMarkupEntities(markup.slice(last)));
+  return { text, runs };
+}
+
+// --- worker/index.js: markupTags / hasSameMarkup ---
+
+function markupTags(text) {
+  const tags = String(text).match(/<\s*\/?\s*(span|br)\b[^>]*>/gi) || [];
+  return tags
+    .map(tag => tag.toLowerCase().replace(/\s+/g, "").replace(/["']/g, "").replace(/\/>$/, ">"))
+    .sort();
+}
+
+function hasSameMarkup(reference, translated) {
+  const a = markupTags(reference);
+  const b = markupTags(translated);
+  return a.length === b.length && a.every((tag, i) => tag === b[i]);
+}
+
+// ══════════════════════════════════════════════════════════════════════
+// TESTS
+// ══════════════════════════════════════════════════════════════════════
+
+// "Read the <bold>terms & conditions</bold> first" + line break + "<link>More</link>"
+const TABLE = {
+  segments: [
+    { characters: "Read the ", style: 0 },
+    { characters: "terms & conditions", style: 1 },
+    { characters: " first\n", style: 0 },
+    { characters: "More", style: 2 },
+  ],
+  styles: [{}, {}, {}],
+  base: 0,
+};
+const MARKUP = 'Read the <span class="s1">terms &amp; conditions</span> first<br/><span class="s2">More</span>';
+
+describe("toStyledMarkup", () => {
+  it("wraps non-base runs in spans and escapes text", () => {
+    expect(toStyledMarkup(TABLE)).toBe(MARKUP);
+  });
+
+  it("returns null for uniformly styled text", () => {
+    expect(toStyledMarkup({ segments: [{ characters: "Plain", style: 0 }], styles: [{}], base: 0 })).toBeNull();
+  });
+
+  it("writes line separators as their own break tag", () => {
+    const table = { segments: [{ characters: "a\u2028b", style: 0 }, { characters: "c", style: 1 }], styles: [{}, {}], base: 0 };
+    expect(toStyledMarkup(table)).toBe('a<br class="ls"/>b<span class="s1">c</span>');
+  });
+});
+
+describe("parseStyledMarkup", () => {
+  it("reads back what toStyledMarkup writes", () => {
+    expect(parseStyledMarkup(MARKUP)).toEqual({
+      text: "Read the terms & conditions first\nMore",
+      runs: [{ start: 9, end: 27, style: 1 }, { start: 34, end: 38, style: 2 }],
+    });
+    expect(parseStyledMarkup('a<br class="ls"/>b')).toEqual({ text: "a\u2028b", runs: [] });
+  });
+
+  it("maps styles onto translated text with moved and repeated runs", () => {
+    const { text, runs } = parseStyledMarkup('<span class="s2">Plus</span><br/>Lisez d\'abord les <span class="s1">conditions</span> et <span class="s1">termes</span>');
+    expect(text).toBe("Plus\nLisez d'abord les conditions et termes");
+    expect(runs.map(r => [text.slice(r.start, r.end), r.style])).toEqual([["Plus", 2], ["conditions", 1], ["termes", 1]]);
+  });
+
+  it("accepts the tag variants translation services send back", () => {
+    expect(parseStyledMarkup("a<br>b<BR />c<br/>d").text).toBe("a\nb\nc\nd");
+    const spans = parseStyledMarkup("<span class=s1>x</span><SPAN class='s2' >y</SPAN>");
+    expect(spans.runs).toEqual([{ start: 0, end: 1, style: 1 }, { start: 1, end: 2, style: 2 }]);
+  });
+
+  it("drops unknown tags and keeps their text", () => {
+    expect(parseStyledMarkup('<b>Hi</b> <span class="s1"><i>there</i></span><mrk id="1"/>')).toEqual({
+      text: "Hi there",
+      runs: [{ start: 3, end: 8, style: 1 }],
+    });
+  });
+
+  it("lets a nested span without a class inherit its parent's style", () => {
+    const { text, runs } = parseStyledMarkup('<span class="s1">a <span>b</span> <span class="s2">c</span> d</span>');
+    expect(text).toBe("a b c d");
+    expect(runs.map(r => [text.slice(r.start, r.end), r.style])).toEqual([["a ", 1], ["b", 1], [" ", 1], ["c", 2], [" d", 1]]);
+  });
+
+  it("decodes named and numeric entities", () => {
+    expect(parseStyledMarkup("&lt;a&gt; &quot;b&quot; &apos;c&apos; d&nbsp;e &#233; &#x1F600; &amp;amp;").text)
+      .toBe("<a> \"b\" 'c' d\u00a0e é 😀 &amp;");
+  });
+});
+
+describe("hasSameMarkup with plugin markup", () => {
+  it("accepts a translation that keeps every tag toStyledMarkup emitted", () => {
+    const translated = '<span class="s2">Plus</span> — lisez d\'abord les <span class="s1">conditions</span><br>';
+    expect(hasSameMarkup(MARKUP, translated)).toBe(true);
+    expect(parseStyledMarkup(translated).runs.map(r => r.style)).toEqual([2, 1]);
+  });
+
+  it("rejects a translation that dropped a break or a style", () => {
+    expect(hasSameMarkup(MARKUP, 'Lisez les <span class="s1">conditions</span> <span class="s2">Plus</span>')).toBe(false);
+    expect(hasSameMarkup(MARKUP, "Lisez les conditions<br/>Plus")).toBe(false);
+  });
+
+  it("tells line separators from line breaks", () => {
+    expect(hasSameMarkup('a<br class="ls"/>b<span class="s1">c</span>', 'x<br/>y<span class="s1">z</span>')).toBe(false);
+  });
+});
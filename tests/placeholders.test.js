@@ -0,0 +1,96 @@
+/**
+ * Unit tests for placeholder protection and locked layers.
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import {
+  findTokens,
+  isLockedLayer,
+  plainToMarkup,
+  markupToPlain,
+  protectTokens,
+  restoreTokens,
+  missingTokens,
+} from "../worker/placeholders.js";
+
+describe("findTokens", () => {
+  it("finds template variables and format specifiers", () => {
+    expect(findTokens("Hi {name}, you have {{count}} new %s")).toEqual(["{name}", "{{count}}", "%s"]);
+    expect(findTokens("Total: ${amount} (%1$d items, %.2f, %(user)s)")).toEqual(["${amount}", "%1$d", "%.2f", "%(user)s"]);
+  });
+
+  it("finds ICU arguments and positional placeholders", () => {
+    expect(findTokens("{count, number} files in {0}")).toEqual(["{count, number}", "{0}"]);
+  });
+
+  it("finds URLs without trailing punctuation, and emails", () => {
+    expect(findTokens("Visit https://example.com/help. Or mail support@example.com!"))
+      .toEqual(["https://example.com/help", "support@example.com"]);
+  });
+
+  it("ignores ordinary text and percentages", () => {
+    expect(findTokens("Save 20% today")).toEqual([]);
+    expect(findTokens("Hello world")).toEqual([]);
+  });
+});
+
+describe("isLockedLayer", () => {
+  it("locks layers with the #nt name prefix or the doNotTranslate flag", () => {
+    expect(isLockedLayer({ layerName: "#nt Brand" })).toBe(true);
+    expect(isLockedLayer({ layerName: "#NT" })).toBe(true);
+    expect(isLockedLayer({ layerName: "Title", doNotTranslate: true })).toBe(true);
+  });
+
+  it("does not lock other layers", () => {
+    expect(isLockedLayer({ layerName: "#ntext" })).toBe(false);
+    expect(isLockedLayer({ layerName: "Title" })).toBe(false);
+  });
+});
+
+describe("protectTokens / restoreTokens", () => {
+  it("wraps tokens in notranslate spans and restores them", () => {
+    const { text, tokens } = protectTokens(plainToMarkup("Hi {name} & welcome"));
+    expect(text).toBe('Hi <span class="notranslate" translate="no" data-ph="0">{name}</span> &amp; welcome');
+    expect(tokens).toEqual(["{name}"]);
+
+    const translated = 'Bonjour <span class="notranslate" translate="no" data-ph="0">{name}</span> &amp; bienvenue';
+    const restored = restoreTokens(translated, tokens);
+    expect(restored.missing).toEqual([]);
+    expect(markupToPlain(restored.text)).toBe("Bonjour {name} & bienvenue");
+  });
+
+  it("leaves styling markup untouched", () => {
+    const { text, tokens } = protectTokens('Pay <span class="s1">%s</span><br/>now');
+    expect(text).toBe('Pay <span class="s1"><span class="notranslate" translate="no" data-ph="0">%s</span></span><br/>now');
+    expect(restoreTokens(text, tokens).text).toBe('Pay <span class="s1">%s</span><br/>now');
+  });
+
+  it("protects literal values before the token patterns", () => {
+    const { text, tokens } = protectTokens("Only 49,99 € for {name}", ["49,99 €"]);
+    expect(text).toBe('Only <span class="notranslate" translate="no" data-ph="0">49,99 €</span> for ' +
+      '<span class="notranslate" translate="no" data-ph="1">{name}</span>');
+    expect(tokens).toEqual(["49,99 €", "{name}"]);
+  });
+
+  it("reports tokens the translation dropped or duplicated", () => {
+    const { tokens } = protectTokens("{a} and {b}");
+    expect(restoreTokens('<span data-ph="0">x</span> et', tokens).missing).toEqual(["{b}"]);
+    expect(restoreTokens('<span data-ph="0"></span><span data-ph="0"></span><span data-ph="1"></span>', tokens).missing)
+      .toEqual(["{a}"]);
+  });
+});
+
+describe("plainToMarkup / markupToPlain", () => {
+  it("round-trips line breaks and special characters", () => {
+    const plain = "A < B & C\nnext line";
+    expect(markupToPlain(plainToMarkup(plain))).toBe(plain);
+  });
+});
+
+describe("missingTokens", () => {
+  it("lists placeholders lost between two translations", () => {
+    expect(missingTokens("Bonjour {name}", "Salut {name} !")).toEqual([]);
+    expect(missingTokens("Bonjour {name}", "Salut !")).toEqual(["{name}"]);
+    expect(missingTokens("{n} / {n}", "{n}")).toEqual(["{n}"]);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for the translation provider layer.
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import { providerChain, parseFormality, translateWithFallback, translateManyWithFallback, listLanguages } from "../worker/providers/index.js";
+import { chunkTexts } from "../worker/providers/http.js";
+import { deeplTargetLang } from "../worker/providers/deepl.js";
+import { googleTargetLang } from "../worker/providers/google.js";
+import { libreTargetLang } from "../worker/providers/libretranslate.js";
+import { mock, mockTranslate } from "../worker/providers/mock.js";
+
+const AZURE_ENV = { AZURE_TRANSLATOR_KEY: "k", AZURE_TRANSLATOR_REGION: "westeurope" };
+
+function fakeProvider(name, translate, extra = {}) {
+  return { name, label: name, formality: false, dictionaryMarkup: false, isConfigured: () => true, translate, languages: async () => [], ...extra };
+}
+
+function memoryKv() {
+  const store = new Map();
+  return {
+    get: async key => (store.has(key) ? store.get(key) : null),
+    put: async (key, value) => { store.set(key, value); },
+  };
+}
+
+describe("providerChain", () => {
+  it("uses configured providers in the default order", () => {
+    const { chain } = providerChain({ ...AZURE_ENV, DEEPL_API_KEY: "d" });
+    expect(chain.map(p => p.name)).toEqual(["azure", "deepl"]);
+  });
+
+  it("follows TRANSLATION_PROVIDERS and skips unconfigured entries", () => {
+    const { chain } = providerChain({ ...AZURE_ENV, DEEPL_API_KEY: "d", TRANSLATION_PROVIDERS: "google, deepl,azure" });
+    expect(chain.map(p => p.name)).toEqual(["deepl", "azure"]);
+  });
+
+  it("works without Azure credentials", () => {
+    expect(providerChain({ LIBRETRANSLATE_URL: "https://lt.example" }).chain.map(p => p.name)).toEqual(["libretranslate"]);
+    expect(providerChain({}).chain).toEqual([]);
+  });
+
+  it("only includes the mock provider when listed", () => {
+    expect(providerChain({ TRANSLATION_PROVIDERS: "mock" }).chain.map(p => p.name)).toEqual(["mock"]);
+  });
+
+  it("moves a requested provider to the front", () => {
+    const { chain } = providerChain({ ...AZURE_ENV, DEEPL_API_KEY: "d" }, "DeepL");
+    expect(chain.map(p => p.name)).toEqual(["deepl", "azure"]);
+  });
+
+  it("rejects unknown or disabled providers", () => {
+    expect(providerChain(AZURE_ENV, "bing").error).toMatch(/Unknown/);
+    expect(providerChain(AZURE_ENV, "deepl").error).toMatch(/not enabled/);
+  });
+});
+
+describe("parseFormality", () => {
+  it("accepts formal, informal or nothing", () => {
+    expect(parseFormality("formal")).toEqual({ formality: "formal" });
+    expect(parseFormality(undefined)).toEqual({ formality: null });
+    expect(parseFormality("polite").error).toBeTruthy();
+  });
+});
+
+describe("translateWithFallback", () => {
+  it("falls back to the next provider when one fails", async () => {
+    const failing = fakeProvider("a", async () => { throw new Error("a is down"); });
+    const working = fakeProvider("b", async (_env, texts) => texts.map(t => t.toUpperCase()));
+    const result = await translateWithFallback({}, [failing, working], "fr", () => ["hi"], { textType: "plain" });
+    expect(result).toEqual({ provider: "b", translations: ["HI"] });
+  });
+
+  it("treats a short result as a failure", async () => {
+    const short = fakeProvider("a", async () => []);
+    await expect(translateWithFallback({}, [short], "fr", () => ["hi"], { textType: "plain" })).rejects.toThrow(/0\/1/);
+  });
+
+  it("reports every error when all providers fail", async () => {
+    const a = fakeProvider("a", async () => { throw new Error("a is down"); });
+    const b = fakeProvider("b", async () => { throw new Error("b is down"); });
+    await expect(translateWithFallback({}, [a, b], "fr", () => ["hi"], { textType: "plain" })).rejects.toThrow("a is down; b is down");
+  });
+
+  it("builds texts per provider and only passes formality where supported", async () => {
+    const seen = [];
+    const plain = fakeProvider("a", async (_env, texts, _locale, options) => { seen.push(["a", texts, options]); throw new Error("down"); });
+    const rich = fakeProvider("b", async (_env, texts, _locale, options) => { seen.push(["b", texts, options]); return texts; }, { formality: true, dictionaryMarkup: true });
+    await translateWithFallback({}, [plain, rich], "de", p => [p.dictionaryMarkup ? "<markup>" : "text"], { textType: "html", formality: "formal" });
+    expect(seen).toEqual([
+      ["a", ["text"], { textType: "html" }],
+      ["b", ["<markup>"], { textType: "html", formality: "formal" }],
+    ]);
+  });
+});
+
+describe("translateManyWithFallback", () => {
+  const request = (targetLocale, texts) => ({ targetLocale, buildTexts: () => texts });
+
+  it("sends texts shared by several targets in one multi-target call, and the rest only to their own target", async () => {
+    const calls = [];
+    const multi = fakeProvider("a", null, {
+      translateMany: async (_env, texts, locales) => {
+        calls.push([texts, locales]);
+        return locales.map(locale => texts.map(t => `${t}:${locale}`));
+      },
+    });
+    const result = await translateManyWithFallback({}, [multi], [
+      request("fr", ["Hi", "Bye", "1 fichier"]),
+      request("de", ["Hi", "49,99 €"]),
+      request("ja", ["Hi"]),
+      request("fr", ["Bye"]),
+    ], { textType: "plain" });
+    expect(calls).toEqual([
+      [["Hi"], ["de", "fr", "ja"]],
+      [["Bye", "1 fichier"], ["fr"]],
+      [["49,99 €"], ["de"]],
+    ]);
+    expect(result.translations).toEqual([["Hi:fr", "Bye:fr", "1 fichier:fr"], ["Hi:de", "49,99 €:de"], ["Hi:ja"], ["Bye:fr"]]);
+  });
+
+  it("calls single-target providers once per locale", async () => {
+    const seen = [];
+    const single = fakeProvider("a", async (_env, texts, locale) => { seen.push(locale); return texts.map(t => `${t}:${locale}`); });
+    const result = await translateManyWithFallback({}, [single], [request("fr", ["Hi"]), request("ja", ["Hi"])], { textType: "plain" });
+    expect(seen.sort()).toEqual(["fr", "ja"]);
+    expect(result.translations).toEqual([["Hi:fr"], ["Hi:ja"]]);
+  });
+
+  it("moves the whole batch to the next provider when one locale fails", async () => {
+    const flaky = fakeProvider("a", async (_env, texts, locale) => {
+      if (locale === "ja") throw new Error("ja unsupported");
+      return texts;
+    });
+    const working = fakeProvider("b", async (_env, texts) => texts.map(t => t.toUpperCase()));
+    const result = await translateManyWithFallback({}, [flaky, working], [request("fr", ["hi"]), request("ja", ["yo"])], { textType: "plain" });
+    expect(result).toEqual({ provider: "b", translations: [["HI"], ["YO"]] });
+  });
+});
+
+describe("listLanguages", () => {
+  it("caches the language list in KV", async () => {
+    let calls = 0;
+    const provider = fakeProvider("a", null, { languages: async () => { calls++; return [{ code: "fr", name: "French" }]; } });
+    const env = { RATE_LIMIT: memoryKv() };
+    await listLanguages(env, [provider]);
+    const second = await listLanguages(env, [provider]);
+    expect(second).toEqual({ provider: "a", languages: [{ code: "fr", name: "French" }] });
+    expect(calls).toBe(1);
+  });
+});
+
+describe("mock provider", () => {
+  it("is deterministic and keeps markup and context prefixes", async () => {
+    expect(await mock.translate({}, ['[Title] Hi <span class="s1">you</span>'], "fr", { textType: "html" }))
+      .toEqual(['[Title] Hi <span class="s1">you</span> (fr)']);
+  });
+
+  it("translates into several targets at once", async () => {
+    expect(await mock.translateMany({}, ["Hi"], ["fr", "de"], { textType: "plain" })).toEqual([["Hi (fr)"], ["Hi (de)"]]);
+  });
+
+  it("resolves dictionary markup to the glossary translation", () => {
+    expect(mockTranslate('Open <mstrans:dictionary translation="Espace">Workspace</mstrans:dictionary>', "fr", "plain"))
+      .toBe("Open Espace (fr)");
+  });
+});
+
+describe("locale mapping", () => {
+  it("maps worker locales to DeepL target languages", () => {
+    expect(deeplTargetLang("fr-ca")).toBe("FR");
+    expect(deeplTargetLang("pt")).toBe("PT-BR");
+    expect(deeplTargetLang("pt-PT")).toBe("PT-PT");
+    expect(deeplTargetLang("zh-Hant")).toBe("ZH-HANT");
+  });
+
+  it("maps worker locales to Google and LibreTranslate codes", () => {
+    expect(googleTargetLang("zh-Hans")).toBe("zh-CN");
+    expect(googleTargetLang("fr-ca")).toBe("fr-CA");
+    expect(libreTargetLang("zh-Hant")).toBe("zt");
+    expect(libreTargetLang("de")).toBe("de");
+  });
+});
+
+describe("chunkTexts", () => {
+  it("splits by count and size", () => {
+    expect(chunkTexts(["a", "b", "c"], 2, 100)).toEqual([["a", "b"], ["c"]]);
+    expect(chunkTexts(["aaaa", "bbbb", "c"], 10, 5)).toEqual([["aaaa"], ["bbbb", "c"]]);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for the translation QA checks (worker/qa.js).
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import { qaWarnings } from "../worker/qa.js";
+
+function checks(text, translated, targetLocale = "fr", extra = {}) {
+  return qaWarnings({ text, ...extra.layer }, { translated, ...extra.result }, targetLocale, extra.terms).map(w => w.check);
+}
+
+describe("qaWarnings", () => {
+  it("passes a normal translation", () => {
+    expect(qaWarnings({ text: "Save 3 items to {list}" }, { translated: "Enregistrer 3 articles dans {list}" }, "fr")).toEqual([]);
+  });
+
+  it("flags missing or changed numbers", () => {
+    expect(qaWarnings({ text: "Only 5 seats left" }, { translated: "Plus que 6 places" }, "fr")).toEqual([
+      { check: "numbers", message: "Number 5 missing or changed." },
+    ]);
+    expect(checks("Order 2 of 3", "Commande 2")).toEqual(["numbers"]);
+  });
+
+  it("accepts reformatted numbers, reordered dates and native digits", () => {
+    expect(checks("Total: $1,234.50", "Total : 1 234,50 $")).toEqual([]);
+    expect(checks("Due 12/25/2024", "Échéance le 25.12.2024")).toEqual([]);
+    expect(checks("Rated 4.5", "Note 4,5")).toEqual([]);
+    expect(checks("1.234 users", "1,234 utilisateurs")).toEqual([]);
+    expect(checks("Page 12", "صفحة ١٢", "ar")).toEqual([]);
+    expect(checks("Step 05", "Étape 5")).toEqual([]);
+  });
+
+  it("ignores digits inside placeholders and markup", () => {
+    expect(checks("Hi {user1}", "Salut {user1}")).toEqual([]);
+    expect(checks('<span class="s1">New</span>', '<span class="s2">Nouveau</span>', "fr", { layer: { format: "html" } })).toEqual([]);
+  });
+
+  it("flags placeholders that don't match", () => {
+    expect(qaWarnings({ text: "Hello {name}" }, { translated: "Bonjour {nom}" }, "fr")).toEqual([
+      { check: "placeholders", message: "Missing {name}." },
+    ]);
+    expect(qaWarnings({ text: "Hello" }, { translated: "Bonjour %s" }, "fr")).toEqual([
+      { check: "placeholders", message: "Unexpected %s, not in the source." },
+    ]);
+  });
+
+  it("flags output identical to the source, except for English targets and glossary terms", () => {
+    expect(checks("Settings", "Settings", "de")).toEqual(["untranslated"]);
+    expect(checks("Settings", "Settings", "en-GB")).toEqual([]);
+    expect(checks("OK", "OK", "de")).toEqual([]);
+    const terms = [{ source: "Pulse Pro", target: "Pulse Pro", doNotTranslate: true, caseSensitive: false }];
+    expect(checks("Pulse Pro", "Pulse Pro", "de", { terms })).toEqual([]);
+  });
+
+  it("flags suspicious length ratios on longer strings", () => {
+    expect(checks("Manage your notification settings", "Gérer")).toEqual(["length"]);
+    expect(checks("Manage your notification settings", "Gérez vos paramètres de notification ici")).toEqual([]);
+    expect(checks("Manage your notification settings", "通知設定を管理", "ja")).toEqual([]);
+    expect(checks("Yes", "Oui, bien sûr, absolument")).toEqual([]);
+  });
+
+  it("flags a leftover [Layer name] prefix", () => {
+    expect(qaWarnings({ text: "Book now" }, { translated: "[Button] Réserver" }, "fr")).toEqual([
+      { check: "prefix", message: "Starts with \"[Button]\", which isn't in the source." },
+    ]);
+    expect(checks("[Beta] New editor", "[Beta] Nouvel éditeur")).toEqual([]);
+  });
+
+  it("flags output in the wrong script", () => {
+    expect(checks("Sign in", "Anmelden", "ru")).toEqual(["script"]);
+    expect(checks("Sign in", "Войти", "ru")).toEqual([]);
+    expect(checks("Sign in", "Войти", "de")).toEqual(["script"]);
+    expect(checks("Sign in", "Prijavi se", "sr-Latn")).toEqual([]);
+    expect(checks("Open Figma", "Figmaを開く", "ja")).toEqual([]);
+  });
+
+  it("flags amounts kept at their value for lack of an exchange rate", () => {
+    const localised = { text: "Nur 5 zł", values: ["5 zł"], converted: false, unconverted: ["USD→PLN"] };
+    expect(qaWarnings({ text: "Only $5" }, { translated: "Tylko 5 zł" }, "pl", [], localised)).toEqual([
+      { check: "currency", message: "No exchange rate for USD→PLN — the amount keeps its value." },
+    ]);
+    expect(qaWarnings({ text: "Only $5" }, { translated: "Tylko 5 zł" }, "pl", [], { ...localised, unconverted: [] })).toEqual([]);
+  });
+
+  it("skips rejected, locked and plural results", () => {
+    expect(checks("Settings", "Settings", "de", { result: { rejected: "Placeholder lost." } })).toEqual([]);
+    expect(checks("Settings", "Settings", "de", { result: { locked: true } })).toEqual([]);
+    expect(checks("{n, plural, one {# file} other {# files}}", "{n, plural, one {# Datei} other {# Dateien}}", "de", {
+      result: { plural: { icu: "" } },
+    })).toEqual([]);
+    expect(qaWarnings({ text: "Hi" }, undefined, "de")).toEqual([]);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for rate limiting: plans, request weighting, the sliding window and
+ * the RateLimiter counter (worker/ratelimit.js).
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_PLANS,
+  ratePlans,
+  planFor,
+  requestCost,
+  pendingCost,
+  consumeWindow,
+  refundWindow,
+  requestUsage,
+  addUsage,
+  createMemoryRateLimiter,
+  checkRateLimit,
+  readUsage,
+  rateLimitHeaders,
+  rateLimitMessage,
+} from "../worker/ratelimit.js";
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+describe("plans", () => {
+  it("merges RATE_LIMIT_PLANS over the defaults and ignores invalid entries", () => {
+    const plans = ratePlans({
+      RATE_LIMIT_PLANS: JSON.stringify({
+        pro: { limit: 100000, weight: "characters" },
+        burst: { limit: 10, window: 60, weight: "requests" },
+        broken: { limit: -1 },
+        odd: { limit: 5, weight: "pixels" },
+      }),
+    });
+    expect(plans.free).toEqual(DEFAULT_PLANS.free);
+    expect(plans.pro).toEqual({ name: "pro", limit: 100000, window: 86400, weight: "characters" });
+    expect(plans.burst).toEqual({ name: "burst", limit: 10, window: 60, weight: "requests" });
+    expect(plans.broken).toBeUndefined();
+    expect(plans.odd).toBeUndefined();
+    expect(ratePlans({ RATE_LIMIT_PLANS: "not json" })).toEqual(DEFAULT_PLANS);
+  });
+
+  it("assigns plans to teams, keeping anonymous users on free", () => {
+    const env = { PLAN_ASSIGNMENTS: JSON.stringify({ "team:acme": "pro", "team:big": "team", "team:odd": "gold", "user:42": "pro" }) };
+    const team = (id, plan = null) => ({ team: `team:${id}`, anonymous: false, plan });
+    expect(planFor(env, team("acme")).name).toBe("pro");
+    expect(planFor(env, team("big")).name).toBe("team");
+    expect(planFor(env, team("odd")).name).toBe("free");
+    expect(planFor(env, team("new")).name).toBe("free");
+    expect(planFor({ ...env, DEFAULT_PLAN: "pro" }, team("new")).name).toBe("pro");
+    // The plan on the team's API key wins
+    expect(planFor(env, team("acme", "team")).name).toBe("team");
+    // Anonymous user IDs can be spoofed, so they never get a paid plan
+    const anonymous = { team: "user:42", anonymous: true, plan: null };
+    expect(planFor({ ...env, DEFAULT_PLAN: "pro" }, anonymous).name).toBe("free");
+  });
+
+  it("weights requests by layers, characters or flat count", () => {
+    const layers = [{ text: "Hello" }, { text: "Sign in" }, { id: "x" }];
+    expect(requestCost({ weight: "layers" }, layers, 3)).toBe(9);
+    expect(requestCost({ weight: "characters" }, layers, 2)).toBe(24);
+    expect(requestCost({ weight: "requests" }, layers, 5)).toBe(1);
+    expect(requestCost({ weight: "layers" }, [], 1)).toBe(1);
+  });
+
+  it("bills only the layers left to translate per locale", () => {
+    const pending = [[{ text: "Hello" }], [], [{ text: "Hi" }, { text: "Sign in" }]];
+    expect(pendingCost({ weight: "layers" }, pending)).toBe(3);
+    expect(pendingCost({ weight: "characters" }, pending)).toBe(14);
+    expect(pendingCost({ weight: "requests" }, pending)).toBe(1);
+    expect(pendingCost({ weight: "layers" }, [[], []])).toBe(0);
+    expect(pendingCost({ weight: "requests" }, [[]])).toBe(0);
+  });
+});
+
+describe("sliding window", () => {
+  const plan = { limit: 10, window: 86400 };
+  const t0 = Date.UTC(2026, 0, 1);
+
+  it("counts usage and refuses requests that don't fit", () => {
+    let { buckets, quota } = consumeWindow([], { ...plan, cost: 6 }, t0);
+    expect(quota).toMatchObject({ allowed: true, limit: 10, remaining: 4, retryAfter: null });
+    expect(quota.resetAt).toBe((t0 + DAY) / 1000);
+
+    ({ buckets, quota } = consumeWindow(buckets, { ...plan, cost: 5 }, t0 + HOUR));
+    expect(quota).toMatchObject({ allowed: false, remaining: 4 });
+    // The 6 units from t0 leave the window a day later
+    expect(quota.retryAfter).toBe((DAY - HOUR) / 1000);
+    expect(buckets).toEqual([[t0, 6]]);
+
+    ({ quota } = consumeWindow(buckets, { ...plan, cost: 4 }, t0 + HOUR));
+    expect(quota).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it("frees quota bucket by bucket as the window slides", () => {
+    let { buckets } = consumeWindow([], { ...plan, cost: 5 }, t0);
+    ({ buckets } = consumeWindow(buckets, { ...plan, cost: 5 }, t0 + 12 * HOUR));
+    expect(consumeWindow(buckets, { ...plan, cost: 1 }, t0 + DAY - 1).quota.allowed).toBe(false);
+    const { quota } = consumeWindow(buckets, { ...plan, cost: 5 }, t0 + DAY);
+    expect(quota).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it("never allows a request larger than the limit", () => {
+    const { quota } = consumeWindow([], { ...plan, cost: 11 }, t0);
+    expect(quota).toMatchObject({ allowed: false, remaining: 10, retryAfter: null });
+  });
+
+  it("refunds the newest units first", () => {
+    expect(refundWindow([[t0, 4], [t0 + HOUR, 3]], { cost: 5 })).toEqual([[t0, 2]]);
+  });
+});
+
+describe("daily usage", () => {
+  const now = Date.UTC(2026, 9, 18, 12);
+  const usage = requestUsage([{ text: "Hello" }, { text: "Sign in" }], ["fr", "de"]);
+
+  it("counts a request's layers and characters per locale", () => {
+    expect(usage).toEqual({
+      requests: 1,
+      layers: 4,
+      characters: 24,
+      locales: { fr: { requests: 1, layers: 2, characters: 12 }, de: { requests: 1, layers: 2, characters: 12 } },
+    });
+  });
+
+  it("adds and refunds usage, restarting each UTC day", () => {
+    const once = addUsage(null, usage, 1, now);
+    const twice = addUsage(once, requestUsage([{ text: "Hi" }], ["fr"]), 1, now);
+    expect(twice).toMatchObject({ date: "2026-10-18", requests: 2, layers: 5, characters: 26 });
+    expect(twice.locales.fr).toEqual({ requests: 2, layers: 3, characters: 14 });
+
+    const refunded = addUsage(twice, usage, -1, now);
+    expect(refunded).toEqual({ date: "2026-10-18", requests: 1, layers: 1, characters: 2, locales: { fr: { requests: 1, layers: 1, characters: 2 } } });
+
+    const tomorrow = now + DAY;
+    expect(addUsage(twice, usage, 1, tomorrow)).toMatchObject({ date: "2026-10-19", requests: 1, layers: 4 });
+    expect(addUsage(twice, usage, -1, tomorrow)).toMatchObject({ date: "2026-10-19", requests: 0, locales: {} });
+  });
+});
+
+describe("RateLimiter counter", () => {
+  const plan = { name: "free", limit: 10, window: 86400, weight: "layers" };
+
+  it("serialises concurrent increments so the limit holds", async () => {
+    const env = { RATE_LIMITER: createMemoryRateLimiter() };
+    const results = await Promise.all(
+      Array.from({ length: 8 }, () => checkRateLimit(env, { subject: "user:1", ipAddress: "", plan, cost: 3 }))
+    );
+    expect(results.filter(quota => quota.allowed)).toHaveLength(3);
+    expect(Math.min(...results.map(quota => quota.remaining))).toBe(1);
+  });
+
+  it("reports quota and today's usage without charging", async () => {
+    const env = { RATE_LIMITER: createMemoryRateLimiter() };
+    const usage = requestUsage([{ text: "Hello" }], ["fr", "de"]);
+    await checkRateLimit(env, { subject: "team:acme", ipAddress: "", plan, cost: 2, usage });
+    // Refused requests aren't counted
+    await checkRateLimit(env, { subject: "team:acme", ipAddress: "", plan, cost: 20, usage });
+
+    const report = await readUsage(env, { subject: "team:acme", plan });
+    expect(report).toMatchObject({ limit: 10, remaining: 8 });
+    expect(report.usage).toMatchObject({ requests: 1, layers: 2, characters: 10 });
+    expect(Object.keys(report.usage.locales)).toEqual(["fr", "de"]);
+    expect((await readUsage(env, { subject: "team:acme", plan })).remaining).toBe(8);
+  });
+
+  it("keeps a separate counter per subject", async () => {
+    const env = { RATE_LIMITER: createMemoryRateLimiter() };
+    await checkRateLimit(env, { subject: "user:1", ipAddress: "", plan, cost: 10 });
+    const other = await checkRateLimit(env, { subject: "user:2", ipAddress: "", plan, cost: 1 });
+    expect(other).toMatchObject({ allowed: true, remaining: 9 });
+  });
+
+  it("limits per IP at twice the plan and refunds the subject when the IP is over", async () => {
+    const env = { RATE_LIMITER: createMemoryRateLimiter() };
+    for (const subject of ["user:1", "user:2"]) {
+      expect((await checkRateLimit(env, { subject, ipAddress: "10.0.0.1", plan, cost: 10 })).allowed).toBe(true);
+    }
+    const refused = await checkRateLimit(env, { subject: "user:3", ipAddress: "10.0.0.1", plan, cost: 4 });
+    expect(refused).toMatchObject({ allowed: false, limit: 10, remaining: 0 });
+    // user:3 was refunded, so it still has its full quota from another address
+    const elsewhere = await checkRateLimit(env, { subject: "user:3", ipAddress: "10.0.0.2", plan, cost: 4 });
+    expect(elsewhere).toMatchObject({ allowed: true, remaining: 6 });
+  });
+});
+
+describe("responses", () => {
+  const plan = { name: "free", limit: 2000, window: 86400, weight: "layers" };
+
+  it("builds X-RateLimit-* headers and Retry-After for refusals", () => {
+    const allowed = { allowed: true, limit: 2000, remaining: 1500, resetAt: 1767312000, retryAfter: null };
+    expect(rateLimitHeaders(allowed)).toEqual({
+      "X-RateLimit-Limit": "2000",
+      "X-RateLimit-Remaining": "1500",
+      "X-RateLimit-Reset": "1767312000",
+    });
+    expect(rateLimitHeaders({ ...allowed, allowed: false, remaining: 0, retryAfter: 5400 })["Retry-After"]).toBe("5400");
+  });
+
+  it("explains when to retry, or that the request is too large", () => {
+    expect(rateLimitMessage(plan, { retryAfter: 5400 }, 40))
+      .toBe("Rate limit reached (2000 text layers per day on the free plan). Try again in 1h 30min.");
+    expect(rateLimitMessage(plan, { retryAfter: null }, 2500)).toMatch(/needs 2500 text layers, more than the free plan allows/);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for exchange rates and price points (worker/rates.js).
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import {
+  parseCurrencyMode,
+  convertAmount,
+  roundToPricePoint,
+  validateRates,
+  loadRates,
+  ratesKey,
+  ratesTag,
+  handleRatesRequest,
+} from "../worker/rates.js";
+import { createMemoryStorage } from "../worker/storage/memory.js";
+
+const TABLE = { base: "USD", rates: { EUR: 0.92, INR: 83.2, JPY: 150 }, updatedAt: "2025-01-01T00:00:00.000Z" };
+
+describe("parseCurrencyMode", () => {
+  it("defaults to keep and rejects unknown modes", () => {
+    expect(parseCurrencyMode(undefined)).toEqual({ mode: "keep" });
+    expect(parseCurrencyMode("convert-and-round-to-price-points")).toEqual({ mode: "convert-and-round-to-price-points" });
+    expect(parseCurrencyMode("exchange").error).toMatch(/currencyMode/);
+  });
+});
+
+describe("convertAmount", () => {
+  it("converts from and to the base, and across it", () => {
+    expect(convertAmount(10, "USD", "EUR", TABLE)).toBeCloseTo(9.2);
+    expect(convertAmount(92, "EUR", "USD", TABLE)).toBeCloseTo(100);
+    expect(convertAmount(9.2, "EUR", "JPY", TABLE)).toBeCloseTo(1500);
+  });
+
+  it("returns null without a rate, but converts a currency to itself", () => {
+    expect(convertAmount(5, "USD", "PLN", TABLE)).toBeNull();
+    expect(convertAmount(5, "USD", "EUR", null)).toBeNull();
+    expect(convertAmount(5, "PLN", "PLN", null)).toBe(5);
+  });
+});
+
+describe("roundToPricePoint", () => {
+  it("ends prices in .99, or .90 in Swiss francs", () => {
+    expect(roundToPricePoint(45.83, "EUR", 2, true)).toEqual({ value: 45.99, fractionDigits: 2 });
+    expect(roundToPricePoint(19.8, "CHF", 2, true).value).toBeCloseTo(19.9);
+  });
+
+  it("keeps whole prices whole", () => {
+    expect(roundToPricePoint(43.1, "EUR", 2, false)).toEqual({ value: 44, fractionDigits: 0 });
+  });
+
+  it("rounds currencies priced in whole units to their steps", () => {
+    expect(roundToPricePoint(7479.2, "JPY", 0, true)).toEqual({ value: 7480, fractionDigits: 0 });
+    expect(roundToPricePoint(4159.2, "INR", 2, true)).toEqual({ value: 4159, fractionDigits: 0 });
+    expect(roundToPricePoint(1.2, "INR", 2, true).value).toBe(9);
+    expect(roundToPricePoint(-45.83, "EUR", 2, true).value).toBe(-45.99);
+  });
+});
+
+describe("validateRates", () => {
+  it("normalises codes and rejects bad rates", () => {
+    expect(validateRates({ base: "usd", rates: { eur: 0.92 } })).toEqual({ value: { base: "USD", rates: { EUR: 0.92 } } });
+    expect(validateRates({ base: "USD", rates: {} }).error).toMatch(/rates/);
+    expect(validateRates({ base: "USD", rates: { EUR: -1 } }).error).toMatch(/EUR/);
+    expect(validateRates({ base: "dollars", rates: { EUR: 1 } }).error).toMatch(/base/);
+  });
+});
+
+describe("loadRates and /rates", () => {
+  it("prefers the team's table over the shared one", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    expect(await loadRates(env, "team:acme")).toBeNull();
+
+    await env.RATE_LIMIT.put("rates", JSON.stringify(TABLE));
+    expect(await loadRates(env, "team:acme")).toMatchObject({ base: "USD", source: "shared" });
+
+    await env.RATE_LIMIT.put(ratesKey("team:acme"), JSON.stringify({ ...TABLE, base: "EUR" }));
+    const own = await loadRates(env, "team:acme");
+    expect(own).toMatchObject({ base: "EUR", source: "team" });
+    expect(ratesTag(own)).toBe("team@2025-01-01T00:00:00.000Z");
+  });
+
+  it("stores, reads and deletes a team's table", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    const request = (method, body) => new Request("https://worker.test/rates", {
+      method, ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    const put = await handleRatesRequest(request("PUT", { base: "USD", rates: { EUR: 0.92 } }), env, "team:acme", {});
+    expect(put.status).toBe(200);
+    expect(await put.json()).toMatchObject({ base: "USD", rates: { EUR: 0.92 }, source: "team" });
+    expect((await handleRatesRequest(request("PUT", { base: "USD" }), env, "team:acme", {})).status).toBe(400);
+
+    expect(await (await handleRatesRequest(request("GET"), env, "team:acme", {})).json()).toMatchObject({ rates: { EUR: 0.92 } });
+    await handleRatesRequest(request("DELETE"), env, "team:acme", {});
+    expect(await (await handleRatesRequest(request("GET"), env, "team:acme", {})).json()).toMatchObject({ base: null, source: null });
+  });
+});
@@ -0,0 +1,485 @@
+/**
+ * Integration tests for the self-hosted Node server (worker/server.js).
+ * Run with: npx vitest run
+ */
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { createServer } from "../worker/server.js";
+import { createMemoryStorage } from "../worker/storage/memory.js";
+import { createMemoryRateLimiter } from "../worker/ratelimit.js";
+
+const servers = [];
+
+/**
+ * Start a server on a free port with the mock provider; returns its base URL,
+ * the storage keys written and the rate-limit counters charged.
+ */
+async function start(env = {}) {
+  const storage = createMemoryStorage();
+  const keys = [];
+  const recording = { ...storage, put: (key, ...rest) => { keys.push(key); return storage.put(key, ...rest); } };
+  const limiter = createMemoryRateLimiter();
+  const counters = [];
+  const recordingLimiter = { ...limiter, idFromName: name => { counters.push(name); return limiter.idFromName(name); } };
+  const server = createServer({ TRANSLATION_PROVIDERS: "mock", ...env, RATE_LIMIT: recording, RATE_LIMITER: recordingLimiter });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  servers.push(server);
+  return { url: `http://127.0.0.1:${server.address().port}`, keys, counters };
+}
+
+afterEach(async () => {
+  await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+});
+
+/** Issue a team API key through the admin route; the server needs ADMIN_TOKEN "admin-secret". */
+async function teamAuth(url, team = "acme") {
+  const issued = await fetch(`${url}/admin/keys`, {
+    method: "POST",
+    headers: { Authorization: "Bearer admin-secret" },
+    body: JSON.stringify({ team }),
+  });
+  return { Authorization: `Bearer ${(await issued.json()).key}` };
+}
+
+function translate(url, body, headers = {}) {
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-User-Id": "user-1", ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("Node server", () => {
+  it("translates through the worker handler", async () => {
+    const { url } = await start();
+    const res = await translate(url, { textLayers: [{ id: "1", text: "Hello", layerName: "Title" }], targetLocale: "fr" });
+    expect(res.status).toBe(200);
+    expect(res.headers.get("access-control-allow-origin")).toBe("*");
+    expect(await res.json()).toEqual([{ id: "1", translated: "Hello (fr)" }]);
+  });
+
+  it("sends layer text without a context prefix, so bracketed text survives", async () => {
+    const { url } = await start();
+    const res = await translate(url, {
+      textLayers: [
+        { id: "1", text: "[Beta] New editor", layerName: "Badge", context: { role: "label", path: ["Home", "Header"] } },
+        { id: "2", text: "Book" },
+      ],
+      targetLocale: "fr",
+    });
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual([
+      { id: "1", translated: "[Beta] New editor (fr)" },
+      { id: "2", translated: "Book (fr)" },
+    ]);
+  });
+
+  it("asks for a shorter translation when a refined string overflows its box", async () => {
+    const { url } = await start({ OPENAI_API_KEY: "sk-test" });
+    const prompts = [];
+    const realFetch = fetch;
+    vi.stubGlobal("fetch", async (target, init) => {
+      if (!String(target).startsWith("https://api.openai.com/")) return realFetch(target, init);
+      const { messages } = JSON.parse(init.body);
+      const items = JSON.parse(messages[1].content);
+      prompts.push({ system: messages[0].content, items });
+      const shorten = messages[0].content.startsWith("You shorten");
+      const answer = items.map(item => ({ id: item.id, translated: shorten ? "Buchen" : "Jetzt verbindlich reservieren" }));
+      return Response.json({ choices: [{ message: { content: JSON.stringify(answer) } }] });
+    });
+    try {
+      const res = await translate(url, {
+        textLayers: [{
+          id: "1", text: "Book", layerName: "Label",
+          context: { role: "button" },
+          geometry: { width: 40, fontSize: 16, maxLines: 1, autoResize: "NONE" },
+        }],
+        targetLocale: "de",
+      });
+      expect(await res.json()).toEqual([{ id: "1", translated: "Buchen" }]);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+    expect(prompts).toHaveLength(2);
+    expect(prompts[0].system).toContain("Length budget");
+    expect(prompts[0].items[0].budget).toEqual({ maxChars: 4, maxLines: 1 });
+    expect(prompts[1].items[0]).toMatchObject({ original: "Book", translated: "Jetzt verbindlich reservieren" });
+  });
+
+  it("formats prices, dates and times for the locale without the LLM", async () => {
+    const { url } = await start();
+    const spaced = text => text.replace(/[\u00a0\u202f]/g, " ");
+    const res = await translate(url, {
+      textLayers: [
+        { id: "1", text: "Only $49.99/month", layerName: "Price" },
+        { id: "2", text: "$1,200", layerName: "Total" },
+        { id: "3", text: "Opens 3:30 PM on 12/25/2024", layerName: "Hours" },
+      ],
+      targetLocales: [{ targetLocale: "de-DE", localeCurrencies: ["EUR"] }, { targetLocale: "en-IN", localeCurrencies: ["INR"] }],
+    });
+    const { results: [de, en] } = await res.json();
+    expect(de.translations.map(t => spaced(t.translated))).toEqual([
+      "Only 49,99 €/month (de-DE)",
+      "1.200 €",
+      "Opens 15:30 on 25.12.2024 (de-DE)",
+    ]);
+    // The reformatted time and date aren't reported as changed numbers
+    expect(de.translations[2].warnings).toBeUndefined();
+    expect(en.translations.map(t => spaced(t.translated))).toEqual(["Only ₹49.99/month", "₹1,200", "Opens 3:30 pm on 25/12/2024"]);
+  });
+
+  it("converts prices with the team's exchange rates when asked", async () => {
+    const { url } = await start({ ADMIN_TOKEN: "admin-secret" });
+    const auth = await teamAuth(url);
+    const spaced = text => text.replace(/[\u00a0\u202f]/g, " ");
+    const put = await fetch(`${url}/rates`, {
+      method: "PUT",
+      headers: auth,
+      body: JSON.stringify({ base: "USD", rates: { EUR: 0.9168 } }),
+    });
+    expect(put.status).toBe(200);
+
+    const layers = [{ id: "1", text: "$49.99", layerName: "Price" }];
+    const res = await translate(url, {
+      textLayers: layers,
+      targetLocales: [
+        { targetLocale: "de-DE", localeCurrencies: ["EUR"] },
+        { targetLocale: "pl-PL", localeCurrencies: ["PLN"] },
+        { targetLocale: "fr-FR", localeCurrencies: ["EUR"], currencyMode: "keep" },
+      ],
+      currencyMode: "convert-and-round-to-price-points",
+    }, auth);
+    const { results: [de, pl, fr] } = await res.json();
+    expect(spaced(de.translations[0].translated)).toBe("45,99 €");
+    expect(spaced(pl.translations[0].translated)).toBe("49,99 zł");
+    expect(pl.translations[0].warnings).toEqual([
+      { check: "currency", message: "No exchange rate for USD→PLN — the amount keeps its value." },
+    ]);
+    expect(spaced(fr.translations[0].translated)).toBe("49,99 €");
+
+    const invalid = await translate(url, { textLayers: layers, targetLocale: "de-DE", currencyMode: "exchange" });
+    expect(invalid.status).toBe(400);
+  });
+
+  it("keeps formatted values when the LLM changes them", async () => {
+    const { url } = await start({ OPENAI_API_KEY: "sk-test" });
+    const prompts = [];
+    const realFetch = fetch;
+    vi.stubGlobal("fetch", async (target, init) => {
+      if (!String(target).startsWith("https://api.openai.com/")) return realFetch(target, init);
+      const { messages } = JSON.parse(init.body);
+      const items = JSON.parse(messages[1].content);
+      prompts.push({ system: messages[0].content, items });
+      const answer = items.map(item => ({ id: item.id, translated: "Nur 49.99 $ im Monat" }));
+      return Response.json({ choices: [{ message: { content: JSON.stringify(answer) } }] });
+    });
+    let translations;
+    try {
+      const res = await translate(url, {
+        textLayers: [{ id: "1", text: "Only $49.99/month", layerName: "Price" }],
+        targetLocale: "de-DE",
+        localeCurrencies: ["EUR"],
+      });
+      translations = await res.json();
+    } finally {
+      vi.unstubAllGlobals();
+    }
+    expect(translations[0].translated.replace(/\u00a0/g, " ")).toBe("Only 49,99 €/month (de-DE)");
+    expect(prompts[0].system).toContain("Formatted values");
+    expect(prompts[0].items[0].formatted.map(v => v.replace(/\u00a0/g, " "))).toEqual(["49,99 €"]);
+  });
+
+  it("translates a batch of locales in one request", async () => {
+    const { url, counters } = await start();
+    const res = await translate(url, {
+      textLayers: [{ id: "1", text: "Hello", layerName: "Title" }],
+      targetLocales: [{ targetLocale: "fr", localeCurrencies: ["EUR"] }, { targetLocale: "de" }],
+    });
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({
+      results: [
+        { targetLocale: "fr", translations: [{ id: "1", translated: "Hello (fr)" }] },
+        { targetLocale: "de", translations: [{ id: "1", translated: "Hello (de)" }] },
+      ],
+    });
+    expect(counters.filter(name => name === "user:user-1")).toHaveLength(1);
+    expect(res.headers.get("x-ratelimit-remaining")).toBe("1998"); // 1 layer × 2 locales
+  });
+
+  it("streams NDJSON progress, partial and final results", async () => {
+    const { url } = await start();
+    const res = await translate(url, {
+      textLayers: [{ id: "1", text: "Hello", layerName: "Title" }, { id: "2", text: "Acme", layerName: "#nt Logo" }],
+      targetLocales: ["fr", "de"],
+    }, { Accept: "application/x-ndjson" });
+    expect(res.headers.get("content-type")).toContain("application/x-ndjson");
+    const events = (await res.text()).trim().split("\n").map(line => JSON.parse(line));
+    expect(events[events.length - 1]).toEqual({ type: "done" });
+    const progress = events.filter(e => e.type === "progress");
+    expect(progress[progress.length - 1]).toEqual({ type: "progress", done: 4, total: 4 });
+    expect(events.find(e => e.type === "partial" && e.index === 1).translations)
+      .toEqual(expect.arrayContaining([{ id: "1", translated: "Hello (de)" }]));
+    expect(events.filter(e => e.type === "result").map(e => [e.index, e.translations[1]])).toEqual(expect.arrayContaining([
+      [0, { id: "2", translated: "Acme", locked: true }],
+      [1, { id: "2", translated: "Acme", locked: true }],
+    ]));
+  });
+
+  it("reports failures inside the stream", async () => {
+    const { url } = await start({ TRANSLATION_PROVIDERS: "libretranslate", LIBRETRANSLATE_URL: "http://127.0.0.1:9" });
+    const res = await translate(url, { textLayers: [{ id: "1", text: "Hello" }], targetLocale: "fr" }, { Accept: "application/x-ndjson" });
+    const events = (await res.text()).trim().split("\n").map(line => JSON.parse(line));
+    expect(events[events.length - 1]).toMatchObject({ type: "error", error: expect.stringMatching(/^Translation error/) });
+  });
+
+  it("serves GET routes and CORS preflight", async () => {
+    const { url } = await start();
+    expect((await fetch(`${url}/privacy`)).headers.get("content-type")).toContain("text/html");
+    expect((await (await fetch(`${url}/languages`)).json()).provider).toBe("mock");
+    expect((await fetch(url, { method: "OPTIONS" })).status).toBe(204);
+  });
+
+  it("refuses requests over the plan quota with rate-limit headers", async () => {
+    const { url } = await start({ RATE_LIMIT_PLANS: JSON.stringify({ free: { limit: 3 } }) });
+    const layers = [{ id: "1", text: "Hi", layerName: "Greeting" }, { id: "2", text: "Bye", layerName: "Farewell" }];
+    const first = await translate(url, { textLayers: layers, targetLocale: "de" });
+    expect(first.status).toBe(200);
+    expect(first.headers.get("x-ratelimit-limit")).toBe("3");
+    expect(first.headers.get("x-ratelimit-remaining")).toBe("1");
+    expect(first.headers.get("access-control-expose-headers")).toContain("X-RateLimit-Remaining");
+
+    const second = await translate(url, { textLayers: layers, targetLocale: "fr" });
+    expect(second.status).toBe(429);
+    expect(Number(second.headers.get("retry-after"))).toBeGreaterThan(0);
+    expect(Number(second.headers.get("x-ratelimit-reset"))).toBeGreaterThan(Date.now() / 1000);
+    expect((await second.json()).error).toMatch(/3 text layers per day on the free plan/);
+
+    // A single layer still fits
+    expect((await translate(url, { textLayers: [layers[0]], targetLocale: "fr" })).status).toBe(200);
+  });
+
+  it("authenticates team API keys for translations and glossaries", async () => {
+    const { url, counters } = await start({ ADMIN_TOKEN: "admin-secret" });
+    const issued = await fetch(`${url}/admin/keys`, {
+      method: "POST",
+      headers: { Authorization: "Bearer admin-secret" },
+      body: JSON.stringify({ team: "acme", plan: "pro" }),
+    });
+    const { key } = await issued.json();
+
+    const auth = { Authorization: `Bearer ${key}` };
+    const res = await translate(url, { textLayers: [{ id: "1", text: "Hi", layerName: "Greeting" }], targetLocale: "de" }, auth);
+    expect(res.status).toBe(200);
+    expect(res.headers.get("x-ratelimit-limit")).toBe("25000");
+    expect(counters).toContain("team:acme");
+
+    await fetch(`${url}/glossary/terms`, { method: "POST", headers: auth, body: JSON.stringify({ source: "Pulse", doNotTranslate: true }) });
+    expect((await (await fetch(`${url}/glossary`, { headers: auth })).json()).terms).toHaveLength(1);
+    expect((await (await fetch(`${url}/glossary`)).json()).terms).toHaveLength(0);
+
+    const forged = await translate(url, { textLayers: [{ id: "1", text: "Hi" }], targetLocale: "de" }, { Authorization: "Bearer lk_forged" });
+    expect(forged.status).toBe(401);
+  });
+
+  it("refuses anonymous changes to glossaries, memories and exchange rates", async () => {
+    const { url, keys } = await start();
+    // Anyone can claim a user ID, so anonymous data is read-only
+    const anonymous = { "X-User-Id": "user-1" };
+    const writes = [
+      ["POST", "/glossary/terms", { source: "Pulse", doNotTranslate: true }],
+      ["DELETE", "/glossary/terms/x"],
+      ["POST", "/tm", { targetLocale: "fr", entries: [{ source: "Sign in", target: "Bad" }] }],
+      ["PUT", "/rates", { base: "USD", rates: { EUR: 1000 } }],
+      ["DELETE", "/rates"],
+    ];
+    for (const [method, path, body] of writes) {
+      const res = await fetch(`${url}${path}`, { method, headers: anonymous, ...(body ? { body: JSON.stringify(body) } : {}) });
+      expect(res.status).toBe(403);
+      expect((await res.json()).error).toMatch(/needs a team API key/);
+    }
+    expect(keys).toEqual([]);
+    expect((await fetch(`${url}/glossary`, { headers: anonymous })).status).toBe(200);
+    expect((await fetch(`${url}/rates`, { headers: anonymous })).status).toBe(200);
+  });
+
+  it("reports quota and today's usage at GET /usage", async () => {
+    const { url } = await start();
+    await translate(url, {
+      textLayers: [{ id: "1", text: "Hello", layerName: "Title" }, { id: "2", text: "Sign in", layerName: "Button" }],
+      targetLocales: [{ targetLocale: "fr" }, { targetLocale: "de" }],
+    });
+    const res = await fetch(`${url}/usage`, { headers: { "X-User-Id": "user-1" } });
+    expect(res.status).toBe(200);
+    const report = await res.json();
+    expect(report).toMatchObject({
+      plan: { name: "free", limit: 2000, window: 86400, weight: "layers" },
+      limit: 2000,
+      used: 4,
+      remaining: 1996,
+      today: { requests: 1, layers: 4, characters: 24 },
+    });
+    expect(report.today.locales.de).toEqual({ requests: 1, layers: 2, characters: 12 });
+    expect(report.resetAt).toBeGreaterThan(Date.now() / 1000);
+    expect((await (await fetch(`${url}/usage`, { headers: { "X-User-Id": "user-2" } })).json()).used).toBe(0);
+  });
+
+  it("caches per segment and only translates and bills changed layers", async () => {
+    const { url } = await start({ ADMIN_TOKEN: "admin-secret" });
+    const auth = await teamAuth(url);
+    const layers = [
+      { id: "1", text: "{count} files", layerName: "Counter" },
+      { id: "2", text: "Hello", layerName: "Title" },
+    ];
+    const first = await translate(url, { textLayers: layers, targetLocale: "pl" }, auth);
+    expect(first.headers.get("x-cache")).toBe("MISS");
+    expect(first.headers.get("x-ratelimit-remaining")).toBe("1998");
+    const [plural] = await first.json();
+
+    // One new layer, one plural layer from the cache; "Hello" is a translation-memory match
+    const edited = [...layers, { id: "3", text: "Goodbye", layerName: "Footer" }];
+    const second = await translate(url, { textLayers: edited, targetLocale: "pl" }, auth);
+    expect(second.headers.get("x-cache")).toBe("PARTIAL");
+    expect(second.headers.get("x-cache-hits")).toBe("2");
+    expect(second.headers.get("x-cache-misses")).toBe("1");
+    expect(second.headers.get("x-ratelimit-remaining")).toBe("1997");
+    expect(await second.json()).toEqual([
+      { ...plural, cached: true },
+      { id: "2", translated: "Hello (pl)", memory: true },
+      { id: "3", translated: "Goodbye (pl)" },
+    ]);
+
+    // Fully served requests are free
+    const third = await translate(url, { textLayers: edited, targetLocale: "pl" }, auth);
+    expect(third.headers.get("x-cache")).toBe("HIT");
+    expect(third.headers.get("x-ratelimit-remaining")).toBe("1997");
+  });
+
+  it("keeps no translation memory for anonymous users", async () => {
+    const { url, keys } = await start();
+    await translate(url, { textLayers: [{ id: "1", text: "Hello", layerName: "Title" }], targetLocale: "fr" });
+    const res = await translate(url, { textLayers: [{ id: "1", text: "Hello", layerName: "Heading" }], targetLocale: "fr" });
+    expect(await res.json()).toEqual([{ id: "1", translated: "Hello (fr)" }]);
+    expect(keys.filter(key => key.startsWith("tm"))).toEqual([]);
+  });
+
+  it("serves translation memory matches and learns from edits posted to /tm", async () => {
+    const { url } = await start({ ADMIN_TOKEN: "admin-secret" });
+    const auth = await teamAuth(url);
+    const saved = await fetch(`${url}/tm`, {
+      method: "POST",
+      headers: auth,
+      body: JSON.stringify({ targetLocale: "fr", entries: [{ source: "Sign  in", target: "Se connecter" }] }),
+    });
+    expect(await saved.json()).toEqual({ saved: 1 });
+
+    const res = await translate(url, {
+      textLayers: [{ id: "1", text: "Sign in", layerName: "Button" }, { id: "2", text: "Hello", layerName: "Title" }],
+      targetLocale: "fr",
+    }, auth);
+    expect(await res.json()).toEqual([
+      { id: "1", translated: "Se connecter", memory: true },
+      { id: "2", translated: "Hello (fr)" },
+    ]);
+
+    // The generated translation is remembered too, for a different request
+    const again = await translate(url, { textLayers: [{ id: "9", text: "Hello", layerName: "Heading" }], targetLocale: "fr" }, auth);
+    expect(await again.json()).toEqual([{ id: "9", translated: "Hello (fr)", memory: true }]);
+
+    // Memories are per user or team, and per locale
+    const other = await translate(url, { textLayers: [{ id: "1", text: "Sign in", layerName: "Button" }], targetLocale: "fr" });
+    expect(await other.json()).toEqual([{ id: "1", translated: "Sign in (fr)" }]);
+    const german = await translate(url, { textLayers: [{ id: "1", text: "Sign in", layerName: "Button" }], targetLocale: "de" }, auth);
+    expect(await german.json()).toEqual([{ id: "1", translated: "Sign in (de)" }]);
+  });
+
+  it("translates again instead of serving memory or cache when regenerating", async () => {
+    const { url } = await start({ ADMIN_TOKEN: "admin-secret" });
+    const auth = await teamAuth(url);
+    await fetch(`${url}/tm`, {
+      method: "POST",
+      headers: auth,
+      body: JSON.stringify({ targetLocale: "fr", entries: [{ source: "Sign in", target: "Se connecter" }] }),
+    });
+    const layers = [{ id: "1", text: "Sign in", layerName: "Button" }, { id: "2", text: "Hello", layerName: "Title" }];
+    await translate(url, { textLayers: layers, targetLocale: "fr" }, auth);
+
+    const res = await translate(url, {
+      textLayers: layers.map(l => ({ ...l, previous: "Rejected wording" })),
+      targetLocale: "fr",
+      regenerate: true,
+    }, auth);
+    expect(res.headers.get("X-Cache")).toBe("MISS");
+    expect(await res.json()).toEqual([
+      { id: "1", translated: "Sign in (fr)" },
+      { id: "2", translated: "Hello (fr)" },
+    ]);
+
+    // The reviewer's edit in memory still wins on a normal request
+    const normal = await translate(url, { textLayers: layers, targetLocale: "fr" }, auth);
+    expect((await normal.json())[0]).toEqual({ id: "1", translated: "Se connecter", memory: true });
+  });
+
+  it("returns QA warnings for suspicious translations", async () => {
+    const { url } = await start({ ADMIN_TOKEN: "admin-secret" });
+    const auth = await teamAuth(url);
+    await fetch(`${url}/tm`, {
+      method: "POST",
+      headers: auth,
+      body: JSON.stringify({ targetLocale: "ru", entries: [{ source: "Save 20% today", target: "Save 20% today" }] }),
+    });
+
+    const res = await translate(url, {
+      textLayers: [{ id: "1", text: "Save 20% today", layerName: "Promo" }, { id: "2", text: "2 items", layerName: "Count" }],
+      targetLocale: "ru",
+    }, auth);
+    const [served, plural] = await res.json();
+    expect(served).toEqual({
+      id: "1",
+      translated: "Save 20% today",
+      memory: true,
+      warnings: [{ check: "untranslated", message: "Same as the source — may not have been translated." }],
+    });
+    expect(plural.warnings).toBeUndefined();
+  });
+
+  it("uses the socket address for rate limiting, not a client-supplied header", async () => {
+    const { url, counters } = await start();
+    await translate(url, { textLayers: [{ id: "1", text: "Hi" }], targetLocale: "de" }, { "CF-Connecting-IP": "203.0.113.9" });
+    expect(counters).toContain("ip:free:127.0.0.1");
+    expect(counters).not.toContain("ip:free:203.0.113.9");
+  });
+
+  it("takes the client address from X-Forwarded-For behind a trusted proxy", async () => {
+    const { url, counters } = await start({ TRUST_PROXY: "true" });
+    await translate(url, { textLayers: [{ id: "1", text: "Hi" }], targetLocale: "de" }, { "X-Forwarded-For": "198.51.100.7" });
+    expect(counters).toContain("ip:free:198.51.100.7");
+
+    const chain = await start({ TRUST_PROXY: "2" });
+    await translate(chain.url, { textLayers: [{ id: "1", text: "Hi" }], targetLocale: "de" }, { "X-Forwarded-For": "198.51.100.8, 10.0.0.1" });
+    expect(chain.counters).toContain("ip:free:198.51.100.8");
+  });
+
+  it("keeps rate limiting a client that sends a spoofed X-Forwarded-For entry", async () => {
+    // The per-IP limit is twice the plan's: two layers a day from one address
+    const { url, counters } = await start({ TRUST_PROXY: "true", RATE_LIMIT_PLANS: JSON.stringify({ free: { limit: 1 } }) });
+    // The proxy appends the real client (198.51.100.7) after whatever the client sent
+    const statuses = [];
+    for (const n of [1, 2, 3]) {
+      const res = await translate(url, { textLayers: [{ id: "1", text: `Hi ${n}` }], targetLocale: "de" }, {
+        "X-User-Id": `user-${n}`,
+        "X-Forwarded-For": `203.0.113.${n}, 198.51.100.7`,
+      });
+      statuses.push(res.status);
+    }
+    expect(statuses).toEqual([200, 200, 429]);
+    expect(counters).toContain("ip:free:198.51.100.7");
+    expect(counters.some(name => name.includes("203.0.113."))).toBe(false);
+  });
+
+  it("rejects oversized bodies before they reach the worker", async () => {
+    const { url, keys, counters } = await start();
+    const res = await fetch(url, { method: "POST", body: "x".repeat(1048577) });
+    expect(res.status).toBe(413);
+    expect(keys).toEqual([]);
+    expect(counters).toEqual([]);
+  });
+});
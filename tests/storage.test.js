@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the Node server's storage adapters.
+ * Run with: npx vitest run
+ */
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createStorage } from "../worker/storage/index.js";
+import { SWEEP_INTERVAL, sweepPeriodically } from "../worker/storage/memory.js";
+
+const hasNodeSqlite = !!process.getBuiltinModule?.("node:sqlite");
+
+const tempDirs = [];
+
+async function tempDir() {
+  const dir = await mkdtemp(path.join(tmpdir(), "localyse-storage-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(async () => {
+  vi.useRealTimers();
+  await Promise.all(tempDirs.splice(0).map(dir => rm(dir, { recursive: true, force: true })));
+});
+
+const ADAPTERS = [
+  ["memory", async () => ({ STORAGE: "memory" })],
+  ["fs", async () => ({ STORAGE: "fs", STORAGE_PATH: await tempDir() })],
+  ["sqlite", async () => ({ STORAGE: "sqlite", STORAGE_PATH: path.join(await tempDir(), "kv.sqlite") })],
+];
+
+for (const [kind, envFor] of ADAPTERS) {
+  describe.skipIf(kind === "sqlite" && !hasNodeSqlite)(`${kind} storage`, () => {
+    it("stores, overwrites and deletes values as strings", async () => {
+      const storage = await createStorage(await envFor());
+      expect(await storage.get("rate:user-1")).toBeNull();
+      await storage.put("rate:user-1", 1);
+      expect(await storage.get("rate:user-1")).toBe("1");
+      await storage.put("rate:user-1", "2");
+      expect(await storage.get("rate:user-1")).toBe("2");
+      await storage.delete("rate:user-1");
+      expect(await storage.get("rate:user-1")).toBeNull();
+      await storage.close();
+    });
+
+    it("keeps keys with any characters apart", async () => {
+      const storage = await createStorage(await envFor());
+      await storage.put("glossary:team/a", "A");
+      await storage.put("glossary:team:a", "B");
+      expect(await storage.get("glossary:team/a")).toBe("A");
+      expect(await storage.get("glossary:team:a")).toBe("B");
+      await storage.close();
+    });
+
+    it("expires entries after expirationTtl seconds", async () => {
+      const storage = await createStorage(await envFor());
+      vi.useFakeTimers({ toFake: ["Date"] });
+      await storage.put("cache:fr:abc", "[]", { expirationTtl: 60 });
+      await storage.put("glossary:team", "{}");
+      vi.advanceTimersByTime(59000);
+      expect(await storage.get("cache:fr:abc")).toBe("[]");
+      vi.advanceTimersByTime(2000);
+      expect(await storage.get("cache:fr:abc")).toBeNull();
+      expect(await storage.get("glossary:team")).toBe("{}");
+      await storage.close();
+    });
+
+    it("sweeps expired entries that are never read again", async () => {
+      const storage = await createStorage(await envFor());
+      vi.useFakeTimers({ toFake: ["Date"] });
+      await storage.put("cache:fr:abc", "[]", { expirationTtl: 60 });
+      await storage.put("cache:fr:def", "[]", { expirationTtl: 3600 });
+      await storage.put("glossary:team", "{}");
+      vi.advanceTimersByTime(61000);
+      expect(await storage.sweep()).toBe(1);
+      expect(await storage.sweep()).toBe(0);
+      expect(await storage.get("cache:fr:def")).toBe("[]");
+      await storage.close();
+    });
+  });
+}
+
+describe("createStorage", () => {
+  it("persists fs storage across instances", async () => {
+    const env = { STORAGE: "fs", STORAGE_PATH: await tempDir() };
+    const first = await createStorage(env);
+    await first.put("glossary:team", "{\"terms\":[]}");
+    await first.close();
+    const second = await createStorage(env);
+    expect(await second.get("glossary:team")).toBe("{\"terms\":[]}");
+  });
+
+  it("sweeps fs entries that expired while the server was down", async () => {
+    const env = { STORAGE: "fs", STORAGE_PATH: await tempDir() };
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const first = await createStorage(env);
+    await first.put("cache:fr:abc", "[]", { expirationTtl: 60 });
+    await first.put("glossary:team", "{}");
+    await first.close();
+    vi.advanceTimersByTime(61000);
+    const second = await createStorage(env);
+    expect(await readdir(env.STORAGE_PATH)).toHaveLength(1);
+    expect(await second.get("glossary:team")).toBe("{}");
+    await second.close();
+  });
+
+  it("sweeps on a timer until stopped", async () => {
+    vi.useFakeTimers({ toFake: ["setInterval", "clearInterval"] });
+    const sweep = vi.fn(async () => 0);
+    const stop = sweepPeriodically(sweep);
+    vi.advanceTimersByTime(SWEEP_INTERVAL * 2);
+    expect(sweep).toHaveBeenCalledTimes(2);
+    stop();
+    vi.advanceTimersByTime(SWEEP_INTERVAL);
+    expect(sweep).toHaveBeenCalledTimes(2);
+  });
+
+  it("defaults to memory storage", async () => {
+    const storage = await createStorage({});
+    await storage.put("k", "v");
+    expect(await storage.get("k")).toBe("v");
+  });
+
+  it("rejects unknown storage kinds", async () => {
+    await expect(createStorage({ STORAGE: "redis" })).rejects.toThrow(/Unknown STORAGE "redis"/);
+  });
+
+  it.skipIf(hasNodeSqlite)("explains that sqlite needs a newer Node.js", async () => {
+    await expect(createStorage({ STORAGE: "sqlite", STORAGE_PATH: path.join(await tempDir(), "kv.sqlite") }))
+      .rejects.toThrow(/Node\.js 22\.5 or later/);
+  });
+});
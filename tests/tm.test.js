@@ -0,0 +1,172 @@
+/**
+ * Tests for the translation memory (worker/tm.js).
+ * Run with: npx vitest run
+ */
+import { describe, it, expect } from "vitest";
+import {
+  normaliseSegment,
+  memoryKey,
+  similarity,
+  lookupMemory,
+  rememberTranslations,
+  validateMemoryWrite,
+  handleMemoryRequest,
+  loadMemory,
+  saveMemory,
+  updateMemory,
+  emptyMemory,
+  MAX_TM_ENTRIES,
+  MAX_REFERENCES,
+} from "../worker/tm.js";
+import { createMemoryStorage } from "../worker/storage/memory.js";
+
+function remember(pairs, version = 1, origin = "mt", memory = emptyMemory()) {
+  return rememberTranslations(memory, pairs, version, origin).memory;
+}
+
+describe("normaliseSegment and memoryKey", () => {
+  it("collapses whitespace but keeps case and punctuation", () => {
+    expect(normaliseSegment("  Sign \n in! ")).toBe("Sign in!");
+    expect(normaliseSegment("Café")).toBe("Café");
+  });
+
+  it("keys memories by team, locale and sorted currencies", () => {
+    expect(memoryKey("team:acme", "pt-BR")).toBe("tm:team:acme:pt-br");
+    expect(memoryKey("team:acme", "fr", ["usd", "EUR"])).toBe("tm:team:acme:fr:EUR,USD");
+  });
+});
+
+describe("similarity", () => {
+  it("is 1 for identical text and lower for edits", () => {
+    expect(similarity("Save changes", "Save  changes")).toBe(1);
+    expect(similarity("Save changes", "Save all changes")).toBeGreaterThan(0.8);
+    expect(similarity("Save changes", "Delete account")).toBeLessThan(0.3);
+  });
+});
+
+describe("lookupMemory", () => {
+  const memory = remember([
+    { source: "Save changes", target: "Enregistrer les modifications" },
+    { source: "Sign in", target: "Se connecter" },
+  ]);
+
+  it("returns exact matches for the same glossary version", () => {
+    const { exact, references } = lookupMemory(memory, [{ id: "a", text: "Sign in " }], 1);
+    expect(exact.get("a")).toBe("Se connecter");
+    expect(references.size).toBe(0);
+  });
+
+  it("offers close matches as references", () => {
+    const { exact, references } = lookupMemory(memory, [{ id: "a", text: "Save changes now" }], 1);
+    expect(exact.size).toBe(0);
+    expect(references.get("a")).toEqual([
+      { source: "Save changes", translated: "Enregistrer les modifications", similarity: expect.any(Number) },
+    ]);
+  });
+
+  it("only references segments stored under another glossary version", () => {
+    const { exact, references } = lookupMemory(memory, [{ id: "a", text: "Sign in" }], 2);
+    expect(exact.size).toBe(0);
+    expect(references.get("a")[0]).toMatchObject({ translated: "Se connecter", similarity: 1 });
+  });
+
+  it("keeps the best references only", () => {
+    const many = remember(["Save draft 1", "Save draft 2", "Save draft 3", "Save draft 4"].map(s => ({ source: s, target: s })));
+    const { references } = lookupMemory(many, [{ id: "a", text: "Save draft 5" }], 1);
+    expect(references.get("a")).toHaveLength(MAX_REFERENCES);
+  });
+});
+
+describe("rememberTranslations", () => {
+  it("never lets a generated translation replace a human one", () => {
+    const human = remember([{ source: "Sign in", target: "Connexion" }], 1, "human");
+    const { memory, changed } = rememberTranslations(human, [{ source: "Sign in", target: "Se connecter" }], 1, "mt");
+    expect(changed).toBe(false);
+    expect(lookupMemory(memory, [{ id: "a", text: "Sign in" }], 1).exact.get("a")).toBe("Connexion");
+  });
+
+  it("lets human edits replace generated translations", () => {
+    const mt = remember([{ source: "Sign in", target: "Se connecter" }]);
+    const { memory, changed } = rememberTranslations(mt, [{ source: "Sign in", target: "Connexion" }], 1, "human");
+    expect(changed).toBe(true);
+    expect(Object.values(memory.entries)[0]).toMatchObject({ target: "Connexion", origin: "human" });
+  });
+
+  it("drops the oldest entries beyond the cap", () => {
+    const full = { entries: {} };
+    for (let i = 0; i < MAX_TM_ENTRIES; i++) {
+      full.entries[`s${i}@1`] = { source: `s${i}`, target: `t${i}`, glossaryVersion: 1, origin: "mt", updatedAt: new Date(i).toISOString() };
+    }
+    const { memory } = rememberTranslations(full, [{ source: "new", target: "neu" }], 1);
+    expect(Object.keys(memory.entries)).toHaveLength(MAX_TM_ENTRIES);
+    expect(memory.entries["s0@1"]).toBeUndefined();
+    expect(memory.entries["new@1"].target).toBe("neu");
+  });
+});
+
+describe("validateMemoryWrite", () => {
+  it("accepts entries and trims targets", () => {
+    expect(validateMemoryWrite({ targetLocale: "pt-BR", entries: [{ source: "Hi", target: " Oi " }] }).value)
+      .toEqual({ targetLocale: "pt-BR", localeCurrencies: [], entries: [{ source: "Hi", target: "Oi" }] });
+  });
+
+  it("rejects bad locales, currencies and entries", () => {
+    expect(validateMemoryWrite({ targetLocale: "french", entries: [{ source: "a", target: "b" }] }).error).toMatch(/targetLocale/);
+    expect(validateMemoryWrite({ targetLocale: "fr", localeCurrencies: ["EURO"], entries: [{ source: "a", target: "b" }] }).error).toMatch(/localeCurrencies/);
+    expect(validateMemoryWrite({ targetLocale: "fr", entries: [] }).error).toMatch(/entries/);
+    expect(validateMemoryWrite({ targetLocale: "fr", entries: [{ source: "a", target: " " }] }).error).toMatch(/non-empty/);
+  });
+});
+
+describe("handleMemoryRequest", () => {
+  const post = body => new Request("https://proxy.test/tm", { method: "POST", body: JSON.stringify(body) });
+
+  it("stores human translations for the team and locale", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    const res = await handleMemoryRequest(post({ targetLocale: "fr", localeCurrencies: ["EUR"], entries: [{ source: "Price", target: "Prix" }] }), env, "team:acme", 3, {});
+    expect(await res.json()).toEqual({ saved: 1 });
+    const memory = await loadMemory(env, memoryKey("team:acme", "fr", ["EUR"]));
+    expect(memory.entries["Price@3"]).toMatchObject({ target: "Prix", origin: "human", glossaryVersion: 3 });
+  });
+
+  it("deletes one locale's memories, or all of them", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    const stored = remember([{ source: "Price", target: "Prix" }]);
+    await saveMemory(env, "team:acme", memoryKey("team:acme", "fr"), stored);
+    await saveMemory(env, "team:acme", memoryKey("team:acme", "fr", ["EUR"]), stored);
+    await saveMemory(env, "team:acme", memoryKey("team:acme", "de"), stored);
+    await saveMemory(env, "team:other", memoryKey("team:other", "fr"), stored);
+    const remove = query => handleMemoryRequest(new Request(`https://proxy.test/tm${query}`, { method: "DELETE" }), env, "team:acme", 0, {});
+
+    expect(await (await remove("?targetLocale=fr")).json()).toEqual({ deleted: 2 });
+    expect((await loadMemory(env, memoryKey("team:acme", "fr", ["EUR"]))).entries).toEqual({});
+    expect((await loadMemory(env, memoryKey("team:acme", "de"))).entries).not.toEqual({});
+
+    expect(await (await remove("")).json()).toEqual({ deleted: 1 });
+    expect((await loadMemory(env, memoryKey("team:acme", "de"))).entries).toEqual({});
+    expect((await loadMemory(env, memoryKey("team:other", "fr"))).entries).not.toEqual({});
+    expect((await remove("?targetLocale=..")).status).toBe(400);
+  });
+
+  it("keeps human edits saved while a translation run was in progress", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    const key = memoryKey("team:acme", "fr");
+    await saveMemory(env, "team:acme", key, remember([{ source: "Sign in", target: "Se connecter" }]));
+
+    // The run plans with the memory as it was, a reviewer edits it, then the run saves
+    const planned = await loadMemory(env, key);
+    await handleMemoryRequest(post({ targetLocale: "fr", entries: [{ source: "Sign in", target: "Connexion" }] }), env, "team:acme", 1, {});
+    expect(planned.entries["Sign in@1"].target).toBe("Se connecter");
+    await updateMemory(env, "team:acme", key, [{ source: "Sign in", target: "Se connecter" }, { source: "Sign out", target: "Se déconnecter" }], 1, "mt");
+
+    const { entries } = await loadMemory(env, key);
+    expect(entries["Sign in@1"]).toMatchObject({ target: "Connexion", origin: "human" });
+    expect(entries["Sign out@1"]).toMatchObject({ target: "Se déconnecter", origin: "mt" });
+  });
+
+  it("rejects other methods and invalid bodies", async () => {
+    const env = { RATE_LIMIT: createMemoryStorage() };
+    expect((await handleMemoryRequest(new Request("https://proxy.test/tm"), env, "team:acme", 0, {})).status).toBe(405);
+    expect((await handleMemoryRequest(post({ targetLocale: "fr" }), env, "team:acme", 0, {})).status).toBe(400);
+  });
+});
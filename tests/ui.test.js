@@ -0,0 +1,643 @@
+/**
+ * Unit tests for plugin UI helper functions (ui.html).
+ * Run with: npx vitest run
+ *
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from "vitest";
+
+// ──────────────────────────────────────────────────────────────────────
+// Import-free copies of functions under test (ui.html is a single inline
+// script with no exports — we copy them here for testing)
+// ──────────────────────────────────────────────────────────────────────
+
+// --- Export: XLIFF 2.0, flat JSON, CSV, gettext PO ---
+
+const EXPORT_SOURCE_LANG = "en";
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Text content of a markup fragment with entities decoded (no tags inside). */
+function decodeEntities(text) {
+  return new DOMParser().parseFromString("<body>" + text + "</body>", "text/html").body.textContent || "";
+}
+
+/**
+ * Styled-text markup → XLIFF inline content. Style spans become <pc>, line
+ * breaks become <ph>; IDs are numbered per occurrence so the source and the
+ * target of a unit pair up (s1, s1_2, br, br_2 …).
+ */
+function markupToXliff(markup) {
+  const seen = {};
+  const nextId = base => {
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] === 1 ? base : base + "_" + seen[base];
+  };
+  return String(markup).replace(/<span\s+class="?(s\d+)"?\s*>|<\/span\s*>|<br\s+class="?ls"?\s*\/?>|<br\s*\/?>|([^<]+)|</gi,
+    (tag, cls, text) => {
+      if (text !== undefined) return escapeXml(decodeEntities(text));
+      if (cls) return '<pc id="' + nextId(cls) + '" type="fmt">';
+      if (/^<\/span/i.test(tag)) return "</pc>";
+      if (/^<br\s+class/i.test(tag)) return '<ph id="' + nextId("ls") + '" type="fmt"/>';
+      if (/^<br/i.test(tag)) return '<ph id="' + nextId("br") + '" type="fmt"/>';
+      return "&lt;";
+    });
+}
+
+function toXliff(result) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="' +
+    EXPORT_SOURCE_LANG + '" trgLang="' + escapeXml(result.localeCode) + '">',
+  ];
+  groupByFrame(result.layers).forEach(frame => {
+    lines.push('  <file id="' + escapeXml(xmlId(frame.frameId)) + '" original="' + escapeXml(frame.frameName) + '">');
+    frame.layers.forEach(layer => {
+      const html = layer.format === "html";
+      lines.push('    <unit id="' + escapeXml(xmlId(layer.id)) + '" name="' + escapeXml(layer.name) + '" xml:space="preserve">');
+      lines.push("      <notes>");
+      lines.push('        <note category="layer">' + escapeXml(layer.name) + "</note>");
+      lines.push('        <note category="location">' + escapeXml(layer.path) + "</note>");
+      lines.push('        <note category="node-id">' + escapeXml(layer.id) + "</note>");
+      if (layer.plural) lines.push('        <note category="icu">' + escapeXml(layer.plural.icu) + "</note>");
+      lines.push("      </notes>");
+      lines.push("      <segment>");
+      lines.push("        <source>" + (html ? markupToXliff(layer.source) : escapeXml(layer.source)) + "</source>");
+      lines.push("        <target>" + (html ? markupToXliff(layer.translated) : escapeXml(layer.translated)) + "</target>");
+      lines.push("      </segment>");
+      lines.push("    </unit>");
+    });
+    lines.push("  </file>");
+  });
+  lines.push("</xliff>");
+  return lines.join("\n") + "\n";
+}
+
+/** XLIFF IDs are NMTOKENs — Figma node IDs ("12:34", "I1:2;3:4") need ":" and ";" replaced. */
+function xmlId(id) {
+  return "n" + String(id).replace(/:/g, "-").replace(/;/g, "_");
+}
+
+function groupByFrame(layers) {
+  const frames = new Map();
+  layers.forEach(layer => {
+    if (!frames.has(layer.frameId)) frames.set(layer.frameId, { frameId: layer.frameId, frameName: layer.frameName, layers: [] });
+    frames.get(layer.frameId).layers.push(layer);
+  });
+  return Array.from(frames.values());
+}
+
+/** Flat key → string JSON (ARB-style), with layer context under "@<key>". */
+function toFlatJson(result) {
+  const out = { "@@locale": result.localeCode };
+  result.layers.forEach(layer => {
+    out[layer.id] = layer.translated;
+    out["@" + layer.id] = {
+      description: "Layer \"" + layer.name + "\" in " + layer.frameName,
+      layer: layer.name,
+      path: layer.path,
+      frameId: layer.frameId,
+      frame: layer.frameName,
+      source: layer.source,
+      ...(layer.format === "html" ? { format: "html" } : {}),
+      ...(layer.plural ? { icu: layer.plural.icu, plural: layer.plural.categories } : {}),
+    };
+  });
+  return JSON.stringify(out, null, 2) + "\n";
+}
+
+const CSV_COLUMNS = ["id", "frame_id", "frame", "path", "layer", "locale", "format", "source", "target", "icu"];
+
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv(result) {
+  const rows = [CSV_COLUMNS.join(",")];
+  result.layers.forEach(layer => {
+    rows.push([
+      layer.id, layer.frameId, layer.frameName, layer.path, layer.name,
+      result.localeCode, layer.format || "", layer.source, layer.translated,
+      layer.plural ? layer.plural.icu : "",
+    ].map(csvField).join(","));
+  });
+  // BOM so Excel opens non-Latin scripts as UTF-8
+  return "\ufeff" + rows.join("\r\n") + "\r\n";
+}
+
+function poString(text) {
+  const escaped = String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, "\\t");
+  const parts = escaped.split("\n");
+  if (parts.length === 1) return '"' + parts[0] + '"';
+  // Multi-line strings: empty first line, one "…\n" line per source line
+  return '""\n' + parts.map((part, i) => '"' + part + (i < parts.length - 1 ? "\\n" : "") + '"').join("\n");
+}
+
+function toPo(result) {
+  const lines = [
+    'msgid ""',
+    'msgstr ""',
+    '"Language: ' + result.localeCode + '\\n"',
+    '"MIME-Version: 1.0\\n"',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Content-Transfer-Encoding: 8bit\\n"',
+    '"X-Generator: Localyse\\n"',
+    "",
+  ];
+  result.layers.forEach(layer => {
+    lines.push("#. Layer: " + layer.name.replace(/\n/g, " "));
+    lines.push("#. Path: " + layer.path.replace(/\n/g, " "));
+    if (layer.format === "html") lines.push("#. Format: html (keep the <span>/<br> tags)");
+    if (layer.plural) lines.push("#. ICU: " + layer.plural.icu.replace(/\n/g, " "));
+    lines.push("msgctxt " + poString(layer.id));
+    lines.push("msgid " + poString(layer.source));
+    lines.push("msgstr " + poString(layer.translated));
+    lines.push("");
+  });
+  return lines.join("\n");
+}
+
+// --- Import: XLIFF 2.0, CSV, flat JSON ---
+
+let selection = { frames: [] }; // the plugin's current selection, set per test
+
+function markupToPlain(markup) {
+  const doc = new DOMParser().parseFromString(
+    "<body>" + String(markup).replace(/<br\s*(class="?ls"?)?\s*\/?>/gi, "\n") + "</body>", "text/html");
+  return doc.body.textContent || "";
+}
+
+/** XLIFF inline content → styled-text markup (inverse of markupToXliff). */
+function xliffToMarkup(el) {
+  let out = "";
+  el.childNodes.forEach(node => {
+    if (node.nodeType === 3) {
+      out += node.nodeValue.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    } else if (node.nodeType === 1) {
+      const id = node.getAttribute("id") || "";
+      if (node.localName === "pc") {
+        out += '<span class="' + id.replace(/_\d+$/, "") + '">' + xliffToMarkup(node) + "</span>";
+      } else if (node.localName === "ph") {
+        out += /^ls(_\d+)?$/.test(id) ? '<br class="ls"/>' : "<br/>";
+      } else {
+        out += xliffToMarkup(node);
+      }
+    }
+  });
+  return out;
+}
+
+function parseXliff(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error("not a valid XML file");
+  const root = doc.documentElement;
+  if (root.localName !== "xliff") throw new Error("missing <xliff> root element");
+  const units = [];
+  Array.from(doc.getElementsByTagNameNS("*", "unit")).forEach(unit => {
+    const notes = {};
+    Array.from(unit.getElementsByTagNameNS("*", "note")).forEach(note => {
+      notes[note.getAttribute("category") || ""] = note.textContent;
+    });
+    const source = unit.getElementsByTagNameNS("*", "source")[0];
+    const target = unit.getElementsByTagNameNS("*", "target")[0];
+    const styled = !!(source && source.querySelector("pc, ph")) || !!(target && target.querySelector("pc, ph"));
+    const file = unit.closest("file");
+    units.push({
+      id: notes["node-id"] || unit.getAttribute("id"),
+      path: notes.location || "",
+      frameName: file ? file.getAttribute("original") || "" : "",
+      name: unit.getAttribute("name") || notes.layer || "",
+      source: source ? (styled ? xliffToMarkup(source) : source.textContent) : "",
+      target: target ? (styled ? xliffToMarkup(target) : target.textContent) : "",
+      format: styled ? "html" : undefined,
+    });
+  });
+  return { localeCode: root.getAttribute("trgLang") || "", units };
+}
+
+/** RFC 4180 CSV → array of rows (quoted fields may contain commas and newlines). */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\ufeff/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell !== ""));
+}
+
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length < 2) throw new Error("no rows found");
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const col = name => header.indexOf(name);
+  if (col("target") === -1 || (col("id") === -1 && col("path") === -1)) {
+    throw new Error("expected \"id\" or \"path\" and \"target\" columns");
+  }
+  const get = (row, name) => (col(name) === -1 ? "" : row[col(name)] || "");
+  const units = rows.slice(1).map(row => ({
+    id: get(row, "id"),
+    path: get(row, "path"),
+    frameName: get(row, "frame"),
+    name: get(row, "layer"),
+    source: get(row, "source"),
+    target: get(row, "target"),
+    format: get(row, "format") === "html" ? "html" : undefined,
+  }));
+  return { localeCode: rows.length > 1 ? get(rows[1], "locale") : "", units };
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("expected a JSON object");
+  const units = [];
+  Object.keys(data).forEach(key => {
+    if (key.startsWith("@") || typeof data[key] !== "string") return;
+    const meta = data["@" + key] && typeof data["@" + key] === "object" ? data["@" + key] : {};
+    units.push({
+      id: key,
+      path: meta.path || "",
+      frameName: meta.frame || "",
+      name: meta.layer || "",
+      source: typeof meta.source === "string" ? meta.source : "",
+      target: data[key],
+      format: meta.format === "html" ? "html" : undefined,
+    });
+  });
+  return { localeCode: typeof data["@@locale"] === "string" ? data["@@locale"] : "", units };
+}
+
+/**
+ * Match imported units to the selected frames' text layers: by layer ID
+ * first, then by layer path (IDs change when frames are duplicated or
+ * rebuilt). A unit whose source no longer matches the layer is stale.
+ */
+function matchImportUnits(units) {
+  const byId = new Map();
+  const byPath = new Map();
+  selection.frames.forEach(frame => (frame.textLayers || []).forEach(layer => {
+    byId.set(layer.id, layer);
+    if (layer.path) byPath.set(layer.path, layer);
+  }));
+
+  const matched = new Map();
+  const stale = [];
+  const unmatched = [];
+  units.forEach(unit => {
+    const layer = byId.get(unit.id) || (unit.path ? byPath.get(unit.path) : undefined);
+    const label = unit.path || unit.name || unit.id;
+    if (!layer) { unmatched.push({ label, reason: "no matching layer" }); return; }
+    if (!unit.target) { unmatched.push({ label, reason: "no translation" }); return; }
+    const current = layer.markup || layer.characters;
+    if (unit.source && unit.source !== current && markupToPlain(unit.source) !== layer.characters) {
+      stale.push({ label, layerId: layer.id, unit });
+      return;
+    }
+    matched.set(layer.id, unit);
+  });
+  return { matched, stale, unmatched };
+}
+
+// --- Pseudo-localisation ---
+
+const PSEUDO_DEFAULT_EXPANSION = 40;
+const PSEUDO_ACCENTS = {
+  a: "å", b: "ƀ", c: "ç", d: "ð", e: "é", f: "ƒ", g: "ĝ", h: "ĥ", i: "î", j: "ĵ", k: "ķ", l: "ļ", m: "ɱ",
+  n: "ñ", o: "ö", p: "þ", q: "ǫ", r: "ŕ", s: "š", t: "ţ", u: "û", v: "ṽ", w: "ŵ", x: "ẋ", y: "ý", z: "ž",
+  A: "Å", B: "Ɓ", C: "Ç", D: "Ð", E: "É", F: "Ƒ", G: "Ĝ", H: "Ĥ", I: "Î", J: "Ĵ", K: "Ķ", L: "Ļ", M: "Ṁ",
+  N: "Ñ", O: "Ö", P: "Þ", Q: "Ǫ", R: "Ŕ", S: "Š", T: "Ţ", U: "Û", V: "Ṽ", W: "Ŵ", X: "Ẋ", Y: "Ý", Z: "Ž",
+};
+// Left untouched: tags, entities, URLs, emails and placeholders ({name}, {{n}}, %s, %1$d)
+const PSEUDO_PROTECTED = /(<[^>]*>|&#?\w+;|(?:https?:\/\/|www\.)[^\s<>"']+|[\w.%+-]+@[\w-]+(?:\.[\w-]+)+|\{\{[^{}]*\}\}|\$\{[^{}]*\}|\{[^{}]*\}|%\([A-Za-z_]\w*\)[sdif]|%(?:\d+\$)?[-+0#]?\d*(?:\.\d+)?[sdifuxXeEgGc@])/;
+const PSEUDO_RTL = "qps-plocm";
+
+/**
+ * Pseudo-translate one string: accented letters, "~" padding to the
+ * requested expansion and [ ] markers, so clipped or concatenated text
+ * stands out. The RTL pseudo-locale also wraps each line in a
+ * right-to-left override.
+ */
+function pseudoLocalize(text, expansion, rtl) {
+  let letters = 0;
+  const body = String(text).split(PSEUDO_PROTECTED).map((part, i) => {
+    if (i % 2 === 1) return part; // protected
+    return part.replace(/[A-Za-z]/g, ch => {
+      letters++;
+      return PSEUDO_ACCENTS[ch];
+    });
+  }).join("");
+  const pad = "~".repeat(Math.round(letters * (expansion || PSEUDO_DEFAULT_EXPANSION) / 100));
+  // Padding goes before a trailing line break tag or newline, so it stays on the last line
+  const marked = "[" + body.replace(/((?:<br\s*\/?>|\n)*)$/i, pad + "]$1");
+  if (!rtl) return marked;
+  return marked.split(/(<br\s*\/?>|\n)/i).map((line, i) => (i % 2 === 1 || !line ? line : "\u202e" + line + "\u202c")).join("");
+}
+
+/** translateLayers stand-in for pseudo-locales — same result shape, computed locally. */
+function pseudoLocalizeLayers(textLayers, localeCode, expansion) {
+  const rtl = localeCode === PSEUDO_RTL;
+  return textLayers.map(layer => ({
+    id: layer.id,
+    original: layer.characters,
+    translated: pseudoLocalize(layer.markup || layer.characters, expansion, rtl),
+    format: layer.markup ? "html" : undefined,
+  }));
+}
+
+// ══════════════════════════════════════════════════════════════════════
+// TESTS
+// ══════════════════════════════════════════════════════════════════════
+
+const layer = (overrides = {}) => ({
+  id: "12:34",
+  frameId: "1:2",
+  frameName: "Checkout",
+  name: "Title",
+  path: "Checkout / Header / Title",
+  source: "Hello",
+  translated: "Bonjour",
+  ...overrides,
+});
+
+describe("toXliff", () => {
+  it("escapes text, attributes and notes", () => {
+    const xliff = toXliff({
+      localeCode: "fr",
+      layers: [layer({ name: 'Say "hi"', source: "Terms & <conditions>", translated: "Conditions & <termes>" })],
+    });
+    expect(xliff).toContain('<file id="n1-2" original="Checkout">');
+    expect(xliff).toContain('<unit id="n12-34" name="Say &quot;hi&quot;" xml:space="preserve">');
+    expect(xliff).toContain("<source>Terms &amp; &lt;conditions&gt;</source>");
+    expect(xliff).toContain("<target>Conditions &amp; &lt;termes&gt;</target>");
+    expect(xliff).toContain('<note category="node-id">12:34</note>');
+  });
+
+  it("keeps line breaks in plain text as they are", () => {
+    const xliff = toXliff({ localeCode: "de", layers: [layer({ source: "Line 1\nLine 2", translated: "Zeile 1\nZeile 2" })] });
+    expect(xliff).toContain("<source>Line 1\nLine 2</source>");
+  });
+
+  it("groups layers by frame", () => {
+    const xliff = toXliff({ localeCode: "fr", layers: [layer(), layer({ id: "5:6", frameId: "3:4", frameName: "Cart" }), layer({ id: "7:8" })] });
+    expect(xliff.match(/<file /g)).toHaveLength(2);
+    expect(xliff.indexOf('id="n7-8"')).toBeLessThan(xliff.indexOf('original="Cart"'));
+  });
+});
+
+describe("markupToXliff", () => {
+  it("turns style spans into <pc> and numbers repeated styles per occurrence", () => {
+    expect(markupToXliff('<span class="s1">Bold</span> and <span class="s1">bold again</span>')).toBe(
+      '<pc id="s1" type="fmt">Bold</pc> and <pc id="s1_2" type="fmt">bold again</pc>');
+  });
+
+  it("turns line breaks into <ph>, line separators apart", () => {
+    expect(markupToXliff('a<br/>b<br>c<br class="ls"/>d')).toBe(
+      'a<ph id="br" type="fmt"/>b<ph id="br_2" type="fmt"/>c<ph id="ls" type="fmt"/>d');
+  });
+
+  it("decodes entities from the markup and escapes them for XML", () => {
+    expect(markupToXliff('Fish &amp; chips <span class="s2">&lt;new&gt; "today"</span>')).toBe(
+      'Fish &amp; chips <pc id="s2" type="fmt">&lt;new&gt; &quot;today&quot;</pc>');
+  });
+
+  it("is used for the source and target of styled layers", () => {
+    const xliff = toXliff({
+      localeCode: "fr",
+      layers: [layer({ format: "html", source: 'Click <span class="s1">here</span>', translated: 'Cliquez <span class="s1">ici</span>' })],
+    });
+    expect(xliff).toContain('<source>Click <pc id="s1" type="fmt">here</pc></source>');
+    expect(xliff).toContain('<target>Cliquez <pc id="s1" type="fmt">ici</pc></target>');
+  });
+});
+
+describe("toFlatJson", () => {
+  it("writes translations by layer id with their context under @<id>", () => {
+    const json = JSON.parse(toFlatJson({
+      localeCode: "fr",
+      layers: [layer({ format: "html", plural: { icu: "{count, plural, one {# fichier} other {# fichiers}}", categories: ["one", "other"] } })],
+    }));
+    expect(json["@@locale"]).toBe("fr");
+    expect(json["12:34"]).toBe("Bonjour");
+    expect(json["@12:34"]).toMatchObject({ layer: "Title", path: "Checkout / Header / Title", source: "Hello", format: "html", plural: ["one", "other"] });
+  });
+});
+
+describe("toCsv", () => {
+  it("starts with a BOM and the header row, with CRLF line endings", () => {
+    const csv = toCsv({ localeCode: "fr", layers: [layer()] });
+    expect(csv.startsWith("\ufeffid,frame_id,frame,path,layer,locale,format,source,target,icu\r\n")).toBe(true);
+    expect(csv.endsWith("\r\n")).toBe(true);
+  });
+
+  it("quotes fields with commas, quotes and line breaks", () => {
+    const csv = toCsv({ localeCode: "fr", layers: [layer({ source: 'Name, "nick"', translated: "Nom\nsurnom" })] });
+    expect(csv).toContain('"Name, ""nick""","Nom\nsurnom"');
+    expect(csv).toContain("12:34,1:2,Checkout,Checkout / Header / Title,Title,fr,,");
+  });
+});
+
+describe("toPo", () => {
+  it("writes a header and one entry per layer", () => {
+    const po = toPo({ localeCode: "fr", layers: [layer({ format: "html" })] });
+    expect(po).toContain('"Language: fr\\n"');
+    expect(po).toContain("#. Format: html (keep the <span>/<br> tags)\nmsgctxt \"12:34\"\nmsgid \"Hello\"\nmsgstr \"Bonjour\"\n");
+  });
+
+  it("escapes quotes, backslashes and tabs", () => {
+    const po = toPo({ localeCode: "fr", layers: [layer({ source: 'Say "hi"\tC:\\', translated: "x" })] });
+    expect(po).toContain('msgid "Say \\"hi\\"\\tC:\\\\"');
+  });
+
+  it("splits multi-line strings into one quoted line each", () => {
+    const po = toPo({ localeCode: "fr", layers: [layer({ source: "One\nTwo\nThree", translated: "Un\nDeux" })] });
+    expect(po).toContain('msgid ""\n"One\\n"\n"Two\\n"\n"Three"\n');
+    expect(po).toContain('msgstr ""\n"Un\\n"\n"Deux"\n');
+  });
+});
+
+describe("parseXliff", () => {
+  it("reads back what toXliff writes", () => {
+    const result = {
+      localeCode: "fr",
+      layers: [
+        layer({ source: "Terms & <conditions>", translated: "Conditions & <termes>" }),
+        layer({ id: "5:6", path: "Checkout / Body", name: "Body", source: "Line 1\nLine 2", translated: "Ligne 1\nLigne 2" }),
+      ],
+    };
+    expect(parseXliff(toXliff(result))).toEqual({
+      localeCode: "fr",
+      units: [
+        { id: "12:34", path: "Checkout / Header / Title", frameName: "Checkout", name: "Title", source: "Terms & <conditions>", target: "Conditions & <termes>", format: undefined },
+        { id: "5:6", path: "Checkout / Body", frameName: "Checkout", name: "Body", source: "Line 1\nLine 2", target: "Ligne 1\nLigne 2", format: undefined },
+      ],
+    });
+  });
+
+  it("round-trips styled markup, repeated styles and line breaks included", () => {
+    const source = 'A <span class="s1">bold</span> &amp; <span class="s1">bolder</span><br/>line<br class="ls"/>end';
+    const translated = 'Un <span class="s1">gras</span> &amp; <span class="s1">plus gras</span><br/>ligne<br class="ls"/>fin';
+    const [unit] = parseXliff(toXliff({ localeCode: "fr", layers: [layer({ format: "html", source, translated })] })).units;
+    expect(unit).toMatchObject({ source, target: translated, format: "html" });
+  });
+
+  it("rejects files that aren't XLIFF", () => {
+    expect(() => parseXliff("<xliff")).toThrow("not a valid XML file");
+    expect(() => parseXliff("<root/>")).toThrow("missing <xliff> root element");
+  });
+});
+
+describe("parseCsvRows / parseCsv", () => {
+  it("splits quoted fields with commas, quotes and line breaks", () => {
+    expect(parseCsvRows('\ufeffa,b\r\n"x, y","say ""hi""\nthere"\n\n')).toEqual([["a", "b"], ["x, y", 'say "hi"\nthere']]);
+  });
+
+  it("reads back what toCsv writes", () => {
+    const result = {
+      localeCode: "de",
+      layers: [
+        layer({ source: 'Name, "nick"', translated: 'Name, "Spitzname"' }),
+        layer({ id: "5:6", format: "html", source: 'a<br/><span class="s1">b</span>', translated: 'x<br/><span class="s1">y</span>' }),
+        layer({ id: "7:8", source: "One\r\nTwo", translated: "Eins\nZwei" }),
+      ],
+    };
+    const { localeCode, units } = parseCsv(toCsv(result));
+    expect(localeCode).toBe("de");
+    expect(units.map(u => [u.id, u.source, u.target, u.format])).toEqual([
+      ["12:34", 'Name, "nick"', 'Name, "Spitzname"', undefined],
+      ["5:6", 'a<br/><span class="s1">b</span>', 'x<br/><span class="s1">y</span>', "html"],
+      ["7:8", "One\r\nTwo", "Eins\nZwei", undefined],
+    ]);
+  });
+
+  it("needs a target column and an id or path column", () => {
+    expect(() => parseCsv("id,source\n1,Hello")).toThrow("expected \"id\" or \"path\" and \"target\" columns");
+    expect(() => parseCsv("id,target")).toThrow("no rows found");
+    expect(parseCsv("Path,Target\nA / B,Bonjour").units[0]).toMatchObject({ id: "", path: "A / B", target: "Bonjour" });
+  });
+});
+
+describe("parseJson", () => {
+  it("reads back what toFlatJson writes", () => {
+    const { localeCode, units } = parseJson(toFlatJson({ localeCode: "fr", layers: [layer({ format: "html", source: '<span class="s1">Hi</span>', translated: '<span class="s1">Salut</span>' })] }));
+    expect(localeCode).toBe("fr");
+    expect(units).toEqual([
+      { id: "12:34", path: "Checkout / Header / Title", frameName: "Checkout", name: "Title", source: '<span class="s1">Hi</span>', target: '<span class="s1">Salut</span>', format: "html" },
+    ]);
+  });
+
+  it("accepts bare key → string objects and rejects anything else", () => {
+    expect(parseJson('{"1:2": "Bonjour", "count": 3}').units).toEqual([{ id: "1:2", path: "", frameName: "", name: "", source: "", target: "Bonjour", format: undefined }]);
+    expect(() => parseJson("[]")).toThrow("expected a JSON object");
+  });
+});
+
+describe("matchImportUnits", () => {
+  const unit = (overrides = {}) => ({ id: "1:1", path: "Checkout / Title", name: "Title", source: "Hello", target: "Bonjour", ...overrides });
+  selection = {
+    frames: [{
+      textLayers: [
+        { id: "1:1", path: "Checkout / Title", characters: "Hello" },
+        { id: "1:2", path: "Checkout / Body", characters: "Bold text", markup: '<span class="s1">Bold</span> text' },
+      ],
+    }],
+  };
+
+  it("matches by layer id, then by path when the ids changed", () => {
+    const { matched, stale, unmatched } = matchImportUnits([
+      unit(),
+      unit({ id: "9:9", path: "Checkout / Body", source: '<span class="s1">Bold</span> text', target: '<span class="s1">Gras</span>' }),
+    ]);
+    expect(Array.from(matched.keys())).toEqual(["1:1", "1:2"]);
+    expect(stale).toEqual([]);
+    expect(unmatched).toEqual([]);
+  });
+
+  it("accepts a styled layer's plain source text", () => {
+    expect(matchImportUnits([unit({ id: "1:2", source: "Bold text" })]).matched.has("1:2")).toBe(true);
+  });
+
+  it("flags units whose source no longer matches the layer as stale", () => {
+    const { matched, stale } = matchImportUnits([unit({ source: "Hi there" })]);
+    expect(matched.size).toBe(0);
+    expect(stale).toEqual([{ label: "Checkout / Title", layerId: "1:1", unit: unit({ source: "Hi there" }) }]);
+  });
+
+  it("reports units without a layer or a translation", () => {
+    const { unmatched } = matchImportUnits([unit({ id: "9:9", path: "Gone / Title" }), unit({ target: "" })]);
+    expect(unmatched).toEqual([
+      { label: "Gone / Title", reason: "no matching layer" },
+      { label: "Checkout / Title", reason: "no translation" },
+    ]);
+  });
+});
+
+describe("pseudoLocalize", () => {
+  it("accents letters and pads them by the expansion", () => {
+    expect(pseudoLocalize("Save", 50)).toBe("[Šåṽé~~]");
+    expect(pseudoLocalize("Hello world", 40)).toBe("[Ĥéļļö ŵöŕļð~~~~]");
+    expect(pseudoLocalize("Continue to payment", 30).match(/~/g)).toHaveLength(5); // 30% of 17 letters
+  });
+
+  it("uses the default expansion when none is given", () => {
+    expect(pseudoLocalize("Hello").match(/~/g)).toHaveLength(2); // 40% of 5
+  });
+
+  it("leaves placeholders, URLs, emails, entities and tags alone", () => {
+    expect(pseudoLocalize("{count} items", 40)).toBe("[{count} îţéɱš~~]");
+    expect(pseudoLocalize("Hi %s, %1$d new", 40)).toBe("[Ĥî %s, %1$d ñéŵ~~]");
+    expect(pseudoLocalize("See https://example.com or ask@example.com", 40)).toBe("[Šéé https://example.com öŕ ask@example.com~~]");
+    expect(pseudoLocalize('Tap <span class="s1">here</span> &amp; go', 40)).toBe('[Ţåþ <span class="s1">ĥéŕé</span> &amp; ĝö~~~~]');
+  });
+
+  it("keeps the padding before a trailing line break", () => {
+    expect(pseudoLocalize("Hi<br/>", 50)).toBe("[Ĥî~]<br/>");
+    expect(pseudoLocalize("Hi\n", 50)).toBe("[Ĥî~]\n");
+  });
+
+  it("wraps each line in a right-to-left override for the RTL pseudo-locale", () => {
+    expect(pseudoLocalize("Hi<br/>you", 40, true)).toBe("\u202e[Ĥî\u202c<br/>\u202eýöû~~]\u202c");
+    expect(pseudoLocalize("Hi\nyou", 40, true)).toBe("\u202e[Ĥî\u202c\n\u202eýöû~~]\u202c");
+  });
+});
+
+describe("pseudoLocalizeLayers", () => {
+  it("returns translateLayers-shaped results, styled layers as markup", () => {
+    const layers = [
+      { id: "1", characters: "Hi" },
+      { id: "2", characters: "Bold", markup: '<span class="s1">Bold</span>' },
+    ];
+    expect(pseudoLocalizeLayers(layers, "qps-ploc", 50)).toEqual([
+      { id: "1", original: "Hi", translated: "[Ĥî~]", format: undefined },
+      { id: "2", original: "Bold", translated: '[<span class="s1">Ɓöļð</span>~~]', format: "html" },
+    ]);
+    expect(pseudoLocalizeLayers(layers, PSEUDO_RTL, 50)[0].translated).toBe("\u202e[Ĥî~]\u202c");
+  });
+});
@@ -35,14 +35,43 @@ function lookupAbbrev(text, targetLocale) {
   return match;
 }
 
-// --- stripContext ---
+// --- layerContext ---
+
+const LAYER_ROLES = ["button", "heading", "label", "tab", "placeholder", "link"];
+const MAX_CONTEXT_PATH = 8;
+const MAX_CONTEXT_SIBLINGS = 3;
+const MAX_CONTEXT_TEXT = 80;
+
+function layerContext(layer) {
+  const context = layer && layer.context;
+  if (!context || typeof context !== "object") return null;
+  const text = value => (typeof value === "string" && value.trim() ? value.trim().slice(0, MAX_CONTEXT_TEXT) : null);
+  const list = (value, max) => (Array.isArray(value) ? value.map(text).filter(Boolean).slice(-max) : []);
+
+  const result = {};
+  if (LAYER_ROLES.includes(context.role)) result.role = context.role;
+  const path = list(context.path, MAX_CONTEXT_PATH);
+  if (path.length > 0) result.path = path.join(" / ");
+  if (text(context.component)) result.component = text(context.component);
+  if (text(context.variant)) result.variant = text(context.variant);
+  const siblings = list(context.siblings, MAX_CONTEXT_SIBLINGS);
+  if (siblings.length > 0) result.siblings = siblings;
+  return Object.keys(result).length > 0 ? result : null;
+}
 
-function stripContext(translatedText, layerName) {
-  const bracketEnd = translatedText.indexOf("] ");
-  if (bracketEnd !== -1 && bracketEnd < layerName.length + 20) {
-    return translatedText.substring(bracketEnd + 2).trim();
-  }
-  return translatedText.trim();
+// --- markupTags / hasSameMarkup ---
+
+function markupTags(text) {
+  const tags = String(text).match(/<\s*\/?\s*(span|br)\b[^>]*>/gi) || [];
+  return tags
+    .map(tag => tag.toLowerCase().replace(/\s+/g, "").replace(/["']/g, "").replace(/\/>$/, ">"))
+    .sort();
+}
+
+function hasSameMarkup(reference, translated) {
+  const a = markupTags(reference);
+  const b = markupTags(translated);
+  return a.length === b.length && a.every((tag, i) => tag === b[i]);
 }
 
 // ══════════════════════════════════════════════════════════════════════
@@ -96,34 +125,70 @@ describe("lookupAbbrev", () => {
   });
 });
 
-describe("stripContext", () => {
-  it("strips context prefix from translated text", () => {
-    expect(stripContext("[Title] Bienvenue", "Title")).toBe("Bienvenue");
-    expect(stripContext("[Header Text] Bonjour le monde", "Header Text")).toBe("Bonjour le monde");
+describe("layerContext", () => {
+  it("keeps the known fields and joins the path", () => {
+    expect(layerContext({
+      context: {
+        path: ["Checkout", "Footer", "Button"],
+        component: "Button",
+        variant: "State=Default, Size=L",
+        role: "button",
+        siblings: ["Total", "$49.99"],
+      },
+    })).toEqual({
+      role: "button",
+      path: "Checkout / Footer / Button",
+      component: "Button",
+      variant: "State=Default, Size=L",
+      siblings: ["Total", "$49.99"],
+    });
   });
 
-  it("returns text unchanged if no bracket found", () => {
-    expect(stripContext("Bienvenue", "Title")).toBe("Bienvenue");
-    expect(stripContext("No brackets here", "Something")).toBe("No brackets here");
+  it("drops unknown roles, empty values and anything oversized", () => {
+    const context = layerContext({
+      context: {
+        role: "carousel",
+        component: "  ",
+        variant: null,
+        path: Array.from({ length: 12 }, (_, i) => "Group " + i),
+        siblings: ["a", "b", "c", "d", "x".repeat(200)],
+      },
+    });
+    expect(context.role).toBeUndefined();
+    expect(context.component).toBeUndefined();
+    expect(context.path.split(" / ")).toHaveLength(MAX_CONTEXT_PATH);
+    expect(context.path.startsWith("Group 4")).toBe(true);
+    expect(context.siblings).toEqual(["c", "d", "x".repeat(MAX_CONTEXT_TEXT)]);
+  });
+
+  it("returns null without context (older plugin versions)", () => {
+    expect(layerContext({ layerName: "Title" })).toBeNull();
+    expect(layerContext({ context: { role: "unknown" } })).toBeNull();
+    expect(layerContext({ context: "button" })).toBeNull();
+  });
+});
+
+describe("hasSameMarkup", () => {
+  it("accepts translations that keep every styling tag", () => {
+    expect(hasSameMarkup('Click <span class="s1">here</span>', 'Klicken Sie <span class="s1">hier</span>')).toBe(true);
   });
 
-  it("returns text unchanged if bracket is too far from start", () => {
-    // layerName is 3 chars, bracket at position 50+ should be ignored
-    const text = "A".repeat(50) + "] rest of text";
-    expect(stripContext(text, "abc")).toBe(text.trim());
+  it("accepts reordered tags (word order changes between languages)", () => {
+    const src = '<span class="s1">Bold</span> and <span class="s2">link</span>';
+    const out = '<span class="s2">Link</span> und <span class="s1">fett</span>';
+    expect(hasSameMarkup(src, out)).toBe(true);
   });
 
-  it("trims whitespace from result", () => {
-    expect(stripContext("  [X] hello  ", "X")).toBe("hello");
-    expect(stripContext("  no brackets  ", "Y")).toBe("no brackets");
+  it("normalises quoting, spacing and self-closing variants", () => {
+    expect(hasSameMarkup('a<br/>b<span class="s1">c</span>', "a<br>b<span class=s1 >c</span>")).toBe(true);
   });
 
-  it("handles empty layer name", () => {
-    expect(stripContext("[] text", "")).toBe("text");
+  it("rejects dropped or renamed tags", () => {
+    expect(hasSameMarkup('Click <span class="s1">here</span>', "Klicken Sie hier")).toBe(false);
+    expect(hasSameMarkup('Click <span class="s1">here</span>', 'Klicken <span class="s2">hier</span>')).toBe(false);
   });
 
-  it("handles bracket in translated content (not context)", () => {
-    // If the ] appears after a reasonable position, treat it as content
-    expect(stripContext("[Titre] Le résultat [est] bon", "Titre")).toBe("Le résultat [est] bon");
+  it("treats plain text as having no markup", () => {
+    expect(hasSameMarkup("Hello", "Bonjour")).toBe(true);
   });
 });
@@ -0,0 +1,215 @@
+/**
+ * Localyse — team API keys
+ *
+ * Teams authenticate with `Authorization: Bearer lk_…`. A key belongs to one
+ * team, whose glossary and rate-limit plan every request made with it uses.
+ * Keys are shown once when issued and stored only as a SHA-256 hash:
+ *
+ *   apikey:<sha256>  → ApiKey            (looked up on every request)
+ *   apikeys          → [ApiKey & hash]   (index for listing and revoking)
+ *
+ * Requests without a key are anonymous: identified by the (unverified)
+ * X-User-Id header, on the free plan. Since anyone can send any user ID,
+ * anonymous requests may read but not change stored glossaries or exchange
+ * rates (see writeAccessError), and get no translation memory.
+ *
+ * Admin routes need `Authorization: Bearer <ADMIN_TOKEN>` and are disabled
+ * while ADMIN_TOKEN is unset:
+ *   POST   /admin/keys            { team, name?, plan? } → { key, ...ApiKey }
+ *   GET    /admin/keys[?team=…]   → { keys: [ApiKey] }
+ *   DELETE /admin/keys/:id        → revoke
+ *
+ * @typedef {Object} ApiKey
+ * @property {string} id          Public identifier (safe to log and list)
+ * @property {string} team        Team ID, e.g. "acme" (counted and stored as "team:acme")
+ * @property {string} name        Label, e.g. "Design team"
+ * @property {string|null} plan   Rate-limit plan; null = PLAN_ASSIGNMENTS / DEFAULT_PLAN
+ * @property {string} prefix      First characters of the key, to recognise it
+ * @property {string} createdAt
+ *
+ * @typedef {Object} Identity
+ * @property {string} team        Glossary / rate-limit subject: "team:<id>" or "user:<id>"
+ * @property {boolean} anonymous
+ * @property {string|null} plan   Plan attached to the key
+ */
+
+import { ratePlans } from "./ratelimit.js";
+
+export const KEY_PREFIX = "lk_";
+export const TEAM_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_KEY_NAME_LENGTH = 100;
+
+const KEY_RECORD_PREFIX = "apikey:";
+const KEY_INDEX = "apikeys";
+
+/** Lowercase hex SHA-256 of a string. */
+export async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** A new random key: "lk_" + 32 random bytes, base64url. */
+export function generateKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    const base64 = btoa(String.fromCharCode(...bytes));
+    return KEY_PREFIX + base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/** Compare two secrets without an early exit on the first differing character. */
+async function secretsEqual(a, b) {
+    const [ha, hb] = await Promise.all([sha256Hex(a), sha256Hex(b)]);
+    let diff = 0;
+    for (let i = 0; i < ha.length; i++) diff |= ha.charCodeAt(i) ^ hb.charCodeAt(i);
+    return diff === 0;
+}
+
+function bearerToken(request) {
+    const match = (request.headers.get("Authorization") || "").match(/^Bearer\s+(\S+)\s*$/i);
+    return match ? match[1] : null;
+}
+
+/** Public fields of a stored key (drops the hash). */
+function publicKey({ hash: _hash, ...key }) {
+    return key;
+}
+
+async function loadIndex(env) {
+    try {
+        const stored = await env.RATE_LIMIT.get(KEY_INDEX);
+        const parsed = stored ? JSON.parse(stored) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Request identity
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Who a request is from. Returns { identity } — a team for a valid key,
+ * otherwise the anonymous X-User-Id — or { error } when a key was sent but
+ * isn't valid (a wrong key shouldn't silently fall back to the free tier).
+ * @returns {Promise<{ identity?: Identity, error?: string }>}
+ */
+export async function authenticate(request, env) {
+    const token = bearerToken(request);
+    if (!token) {
+        const userId = request.headers.get("X-User-Id") || "anonymous";
+        return { identity: { team: `user:${userId}`, anonymous: true, plan: null } };
+    }
+    if (!token.startsWith(KEY_PREFIX)) return { error: "Invalid team API key." };
+
+    let key = null;
+    try {
+        const stored = await env.RATE_LIMIT.get(KEY_RECORD_PREFIX + (await sha256Hex(token)));
+        key = stored ? JSON.parse(stored) : null;
+    } catch { /* unreadable — treat as unknown */ }
+    if (!key) return { error: "Invalid or revoked team API key." };
+    return { identity: { team: `team:${key.team}`, anonymous: false, plan: key.plan || null } };
+}
+
+/**
+ * Error message for a request that changes stored data (anything but GET)
+ * without a team key, else null. `action` names it: "Saving glossary terms".
+ */
+export function writeAccessError(request, identity, action) {
+    if (!identity.anonymous || request.method === "GET" || request.method === "HEAD") return null;
+    return `${action} needs a team API key.`;
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Admin routes
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Validate the body of POST /admin/keys.
+ * Returns { value: { team, name, plan } } or { error } with a user-facing message.
+ */
+export function validateKeyRequest(input, env) {
+    if (!input || typeof input !== "object") return { error: "Expected a JSON object." };
+    const team = typeof input.team === "string" ? input.team.trim() : "";
+    if (!TEAM_ID_PATTERN.test(team)) {
+        return { error: "\"team\" must be 1–64 letters, numbers, \".\", \"-\" or \"_\"." };
+    }
+    const name = typeof input.name === "string" ? input.name.trim().slice(0, MAX_KEY_NAME_LENGTH) : "";
+    const plan = input.plan === undefined || input.plan === null ? null : input.plan;
+    if (plan !== null && !Object.prototype.hasOwnProperty.call(ratePlans(env), plan)) {
+        return { error: `Unknown plan "${plan}".` };
+    }
+    return { value: { team, name: name || team, plan } };
+}
+
+/** Issue a key for a team; the plain key is only ever returned here. */
+export async function issueKey(env, { team, name, plan }) {
+    const key = generateKey();
+    const hash = await sha256Hex(key);
+    const record = {
+        id: hash.slice(0, 16),
+        team,
+        name,
+        plan,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        createdAt: new Date().toISOString(),
+    };
+    const index = await loadIndex(env);
+    index.push({ ...record, hash });
+    await env.RATE_LIMIT.put(KEY_RECORD_PREFIX + hash, JSON.stringify(record));
+    await env.RATE_LIMIT.put(KEY_INDEX, JSON.stringify(index));
+    return { key, ...record };
+}
+
+/** Revoke a key by id; returns the revoked key, or null if there was none. */
+export async function revokeKey(env, id) {
+    const index = await loadIndex(env);
+    const entry = index.find(k => k.id === id);
+    if (!entry) return null;
+    await env.RATE_LIMIT.delete(KEY_RECORD_PREFIX + entry.hash);
+    await env.RATE_LIMIT.put(KEY_INDEX, JSON.stringify(index.filter(k => k.id !== id)));
+    return publicKey(entry);
+}
+
+/** Route /admin/keys[/:id] requests. Callers add CORS `headers`. */
+export async function handleAdminRequest(request, env, headers) {
+    const url = new URL(request.url);
+    const parts = url.pathname.split("/").filter(Boolean); // ["admin", "keys", id?]
+    const json = (body, status = 200) => Response.json(body, { status, headers });
+
+    if (!env.ADMIN_TOKEN) return json({ error: "Admin API is disabled (ADMIN_TOKEN is not set)." }, 404);
+    const token = bearerToken(request);
+    if (!token || !(await secretsEqual(token, env.ADMIN_TOKEN))) {
+        return json({ error: "Admin token required." }, 401);
+    }
+
+    if (parts[1] !== "keys" || parts.length > 3) {
+        return json({ error: "Not found." }, 404);
+    }
+    const keyId = parts[2] ? decodeURIComponent(parts[2]) : null;
+
+    if (request.method === "GET" && !keyId) {
+        const team = url.searchParams.get("team");
+        const keys = (await loadIndex(env)).filter(k => !team || k.team === team).map(publicKey);
+        return json({ keys });
+    }
+
+    if (request.method === "POST" && !keyId) {
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return json({ error: "Invalid JSON body." }, 400);
+        }
+        const { value, error } = validateKeyRequest(body, env);
+        if (error) return json({ error }, 400);
+        return json(await issueKey(env, value), 201);
+    }
+
+    if (request.method === "DELETE" && keyId) {
+        const revoked = await revokeKey(env, keyId);
+        if (!revoked) return json({ error: "Key not found." }, 404);
+        return json({ revoked });
+    }
+
+    return json({ error: "Method not allowed." }, 405);
+}
@@ -0,0 +1,102 @@
+/**
+ * Localyse — length budgets from layer geometry
+ *
+ * The plugin sends each layer's box (`geometry`: width, font size, max lines
+ * and auto-resize mode). From it the worker derives how much text fits:
+ *   - fixed boxes ("NONE", "TRUNCATE", or a line limit) hold width × lines
+ *   - boxes that grow ("WIDTH_AND_HEIGHT", "HEIGHT") only get a budget when
+ *     the layer is a control (button, tab, label, link) — its container
+ *     still has to hold it — of MAX_GROWTH × the source's width
+ * Widths are estimated from average glyph widths per character class, so a
+ * budget is never tighter than the source text itself: if the design holds
+ * the source, the estimate says it fits.
+ *
+ * The refinement prompt gets the budget as { maxChars, maxLines }; a result
+ * that clearly overflows (by more than OVERFLOW_SLACK) is sent back for a
+ * shorter alternative — see shortenWithLLM in worker/index.js.
+ *
+ * @typedef {Object} LayerGeometry
+ * @property {number} width
+ * @property {number|null} fontSize
+ * @property {number|null} maxLines
+ * @property {"NONE"|"WIDTH_AND_HEIGHT"|"HEIGHT"|"TRUNCATE"} autoResize
+ *
+ * @typedef {Object} LengthBudget
+ * @property {number} capacity   Estimated text width that fits, in px (all lines together)
+ * @property {number} fontSize
+ * @property {number} maxLines
+ * @property {number} maxChars   Characters of average width that fit, for the prompt
+ */
+
+export const MAX_GROWTH = 1.3;
+export const OVERFLOW_SLACK = 1.1;
+const WRAP_EFFICIENCY = 0.9; // wrapped lines rarely fill the whole width
+const CONTROL_ROLES = ["button", "tab", "label", "link"];
+const AUTO_RESIZE_MODES = ["NONE", "WIDTH_AND_HEIGHT", "HEIGHT", "TRUNCATE"];
+
+// Glyph widths in em, per character class
+const WIDE = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/; // CJK, kana, Hangul, fullwidth
+const NARROW = /[\s.,:;'!|ilIjtf()[\]]/;
+const UPPER = /[A-Z0-9]/;
+const AVERAGE_EM = 0.55;
+const WIDE_LOCALES = /^(ja|zh|ko)(-|$)/i;
+
+/** Estimated rendered width (px) of text in a font size; inline markup is ignored. */
+export function estimateWidth(text, fontSize) {
+    const plain = String(text).replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]+>/g, "")
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+    let em = 0;
+    for (const char of plain) {
+        if (char === "\n") continue;
+        em += WIDE.test(char) ? 1 : NARROW.test(char) ? 0.3 : UPPER.test(char) ? 0.65 : AVERAGE_EM;
+    }
+    return em * fontSize;
+}
+
+function positive(value, max) {
+    return typeof value === "number" && Number.isFinite(value) && value > 0 && value <= max;
+}
+
+/**
+ * The length budget of a layer ({ text, geometry?, context? }) in
+ * `targetLocale`, or null when it has no geometry or its box can grow freely.
+ * @returns {LengthBudget|null}
+ */
+export function layerBudget(layer, targetLocale) {
+    const geometry = layer && layer.geometry;
+    if (!geometry || typeof geometry !== "object") return null;
+    const { width, fontSize, maxLines, autoResize } = geometry;
+    if (!positive(width, 100000) || !positive(fontSize, 1000) || !AUTO_RESIZE_MODES.includes(autoResize)) return null;
+
+    const source = estimateWidth(layer.text, fontSize);
+    const fixedLines = positive(maxLines, 1000) ? Math.floor(maxLines) : null;
+    const fixed = fixedLines !== null && autoResize !== "WIDTH_AND_HEIGHT";
+    const role = layer.context && layer.context.role;
+
+    let capacity;
+    let lines;
+    if (fixed) {
+        lines = fixedLines;
+        capacity = lines === 1 ? width : width * lines * WRAP_EFFICIENCY;
+    } else if (CONTROL_ROLES.includes(role)) {
+        lines = fixedLines || 1;
+        capacity = source * MAX_GROWTH;
+    } else {
+        return null;
+    }
+    capacity = Math.max(capacity, source);
+    if (capacity <= 0) return null;
+
+    const charEm = WIDE_LOCALES.test(targetLocale || "") ? 1 : AVERAGE_EM;
+    return {
+        capacity: Math.round(capacity),
+        fontSize,
+        maxLines: lines,
+        maxChars: Math.max(1, Math.floor(capacity / (fontSize * charEm))),
+    };
+}
+
+/** True when `text` clearly doesn't fit the budget (beyond the estimate's slack). */
+export function exceedsBudget(text, budget) {
+    return Boolean(budget) && estimateWidth(text, budget.fontSize) > budget.capacity * OVERFLOW_SLACK;
+}
@@ -0,0 +1,99 @@
+/**
+ * Localyse — segment cache
+ *
+ * Finished translations are cached per layer rather than per request, so
+ * re-localising a frame with one edited label only translates (and bills)
+ * that label. A segment is identified by its text, its layer name,
+ * structural context (path, component, variant and role — not the nearby
+ * text, so editing one label doesn't invalidate its neighbours) and geometry
+ * (hints and length budget for the LLM) and
+ * everything else that changes the output: target locale, currencies (and
+ * how amounts are converted), glossary version, provider and formality.
+ *
+ * KV layout: `cache:<locale>:<hash>` → CachedSegment, expiring after CACHE_TTL.
+ * Unreadable entries (or a storage error) count as misses; failed writes are
+ * ignored — the cache only ever saves work.
+ *
+ * @typedef {Object} CacheScope
+ * @property {string[]} [localeCurrencies]
+ * @property {string|null} [glossaryTag]   "<team>@<glossary version>", or null without a glossary
+ * @property {string|null} [provider]      Requested provider, if the request asked for one
+ * @property {string|null} [formality]
+ * @property {string|null} [conversion]     "<currency mode>:<rates tag>", or null when amounts keep their value
+ *
+ * @typedef {Object} CachedSegment
+ * @property {string} translated
+ * @property {"html"} [format]
+ * @property {Object} [plural]             Per-category forms of a plural layer (see worker/icu.js)
+ */
+
+import { sha256Hex } from "./auth.js";
+
+export const CACHE_TTL = 3600; // 1 hour
+
+const CACHE_KEY_PREFIX = "cache:";
+
+/** The parts of a layer's context that change its meaning; sibling text is only a hint. */
+function structuralContext(context) {
+    if (!context || typeof context !== "object") return null;
+    const { path = null, component = null, variant = null, role = null } = context;
+    return path || component || variant || role ? { path, component, variant, role } : null;
+}
+
+/** KV key for one layer's translation into `targetLocale`. */
+export async function segmentCacheKey(layer, targetLocale, scope = {}) {
+    const input = JSON.stringify({
+        text: layer.text,
+        layerName: layer.layerName || "",
+        context: structuralContext(layer.context),
+        geometry: layer.geometry || null,
+        format: layer.format || null,
+        locale: targetLocale,
+        currencies: scope.localeCurrencies || [],
+        glossary: scope.glossaryTag || null,
+        provider: scope.provider || null,
+        formality: scope.formality || null,
+        conversion: scope.conversion || null,
+    });
+    return `${CACHE_KEY_PREFIX}${targetLocale}:${(await sha256Hex(input)).slice(0, 24)}`;
+}
+
+/** What is stored for a result: drops the layer id and the served-from markers. */
+function storedSegment({ id: _id, cached: _cached, memory: _memory, ...segment }) {
+    return segment;
+}
+
+/**
+ * Look up layers ({ id, text, layerName, format? }) in the cache.
+ * @returns {Promise<Map<string, CachedSegment & { id: string, cached: true }>>} hits by layer id
+ */
+export async function readCachedSegments(env, layers, targetLocale, scope = {}) {
+    const hits = new Map();
+    await Promise.all(layers.map(async layer => {
+        try {
+            const stored = await env.RATE_LIMIT.get(await segmentCacheKey(layer, targetLocale, scope));
+            const segment = stored ? JSON.parse(stored) : null;
+            if (segment && typeof segment.translated === "string") {
+                hits.set(layer.id, { id: layer.id, ...segment, cached: true });
+            }
+        } catch { /* cache miss */ }
+    }));
+    return hits;
+}
+
+/**
+ * Cache finished translations: `results` pairs each layer with its result
+ * ({ layer, result }). Rejected results aren't cached, so they're retried.
+ */
+export async function writeCachedSegments(env, results, targetLocale, scope = {}) {
+    await Promise.all(results.map(async ({ layer, result }) => {
+        if (!result || result.rejected) return;
+        try {
+            await env.RATE_LIMIT.put(
+                await segmentCacheKey(layer, targetLocale, scope),
+                JSON.stringify(storedSegment(result)),
+                { expirationTtl: CACHE_TTL }
+            );
+        } catch { /* non-critical, ignore */ }
+    }));
+}
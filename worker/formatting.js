@@ -0,0 +1,272 @@
+/**
+ * Localyse — deterministic number, date and currency formatting
+ *
+ * Values in the (English) source text are parsed and reformatted for the
+ * target locale with Intl.NumberFormat / Intl.DateTimeFormat, instead of
+ * being left to the provider or the LLM:
+ *   - currency   $49.99, €10, US$5, USD 1,200, $1.2M  → in the selected currency
+ *   - percent    25%, 12.5%
+ *   - number     1,234.56 (grouped), 2.5 GB (a decimal followed by a unit)
+ *   - date       12/25/2024 (US order), Dec 25, 2024, 25 December 2024, December 2024
+ *   - time       3:30 PM, 9 am, 15:30
+ * By default amounts keep their numeric value and their number of decimals —
+ * only the symbol and the separators change. With a conversion `mode` they
+ * are converted with a rate table and optionally rounded to a price point
+ * (see worker/rates.js). Plain integers are left alone ("3 files",
+ * "iPhone 15"), and so are ISO dates, version numbers and date ranges.
+ *
+ * The formatted values are then protected like placeholders (see
+ * protectTokens in worker/placeholders.js), so the provider and the LLM copy
+ * them verbatim. Locales Intl doesn't know are left unformatted.
+ *
+ * @typedef {Object} FormatOptions
+ * @property {string|null} [currency]   ISO 4217 code amounts are shown in; defaults to the source currency
+ * @property {boolean} [html]            Text is HTML-mode markup — only text between tags is formatted
+ * @property {import("./rates.js").CurrencyMode} [mode]   Default "keep"
+ * @property {import("./rates.js").RateTable|null} [rates]
+ *
+ * @typedef {Object} LocalisedFormats
+ * @property {string} text       The text with every value reformatted
+ * @property {string[]} values   The formatted values, in order of appearance
+ * @property {boolean} converted  An amount was converted with the rate table
+ * @property {string[]} unconverted   Conversions the rate table lacks, as "USD→INR"
+ */
+
+import { findTokens } from "./placeholders.js";
+import { convertAmount, roundToPricePoint } from "./rates.js";
+
+const CURRENCY_SYMBOLS = {
+    "$": "USD", "US$": "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR", "₩": "KRW", "₽": "RUB", "₺": "TRY",
+    "₪": "ILS", "₫": "VND", "₱": "PHP", "฿": "THB", "R$": "BRL", "C$": "CAD", "CA$": "CAD", "A$": "AUD",
+    "AU$": "AUD", "HK$": "HKD", "NZ$": "NZD", "S$": "SGD", "MX$": "MXN",
+};
+const CURRENCY_CODES = [
+    "USD", "EUR", "GBP", "JPY", "CNY", "INR", "KRW", "BRL", "CAD", "AUD", "CHF", "SEK", "NOK", "DKK", "PLN",
+    "CZK", "HUF", "RON", "BGN", "RUB", "UAH", "TRY", "MXN", "ARS", "CLP", "COP", "PEN", "ZAR", "NGN", "KES",
+    "EGP", "AED", "SAR", "ILS", "SGD", "HKD", "TWD", "NZD", "THB", "IDR", "MYR", "PHP", "VND",
+];
+const MAGNITUDES = { k: 1e3, K: 1e3, M: 1e6, B: 1e9, bn: 1e9 };
+const UNITS = ["KB", "MB", "GB", "TB", "kB", "km", "kg", "cm", "mm", "m", "g", "mi", "lb", "lbs", "oz", "ft", "in", "h", "hrs", "min", "s", "ms", "x", "°C", "°F"];
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const NUM = String.raw`(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?`;
+const SYMBOL = Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length).map(escapeRegExp).join("|");
+const CODE = CURRENCY_CODES.join("|");
+const MONTH = String.raw`(?:${MONTHS.join("|")}|(?:Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept|Sep|Oct|Nov|Dec)\.?)`;
+const ORDINAL = String.raw`(?:st|nd|rd|th)?`;
+const NO_RANGE = String.raw`(?!\s?[–-]\s?\d)`;
+// A value must not continue into a longer number, word or version ("1.2.3", "v2.0", "12/25/2024/3")
+const START = String.raw`(?<![\w.,/:$€£¥₹-])`;
+const END = String.raw`(?![\w/]|[.,:]\d)`;
+const AMOUNT_END = String.raw`(?!\w|[.,]\d)`; // "$49.99/month" is still an amount
+
+// Named alternatives, earliest wins where they overlap
+const VALUE_PATTERN = new RegExp([
+    String.raw`(?<symbolAmount>(?<symbolSign>-)?(?<symbol>${SYMBOL})\s?(?<symbolNumber>${NUM})(?<symbolMagnitude>bn|[kKMB])?)${AMOUNT_END}`,
+    String.raw`${START}(?<codeAmount>(?<code>${CODE})\s?(?<codeNumber>-?${NUM})(?<codeMagnitude>bn|[kKMB])?)${AMOUNT_END}`,
+    String.raw`${START}(?<suffixAmount>(?<suffixNumber>-?${NUM})\s?(?<suffixCode>${CODE}))(?!\w)`,
+    String.raw`${START}(?<percent>(?<percentNumber>-?${NUM})\s?%)(?![\w$(])`,
+    String.raw`${START}(?<numericDate>(?<numMonth>0?[1-9]|1[0-2])\/(?<numDay>0?[1-9]|[12]\d|3[01])\/(?<numYear>\d{4}|\d{2}))${END}`,
+    String.raw`\b(?<monthFirst>(?<mfMonth>${MONTH})\s(?<mfDay>[1-9]|[12]\d|3[01])${ORDINAL}(?:,?\s(?<mfYear>\d{4}))?)${NO_RANGE}${END}`,
+    String.raw`${START}(?<dayFirst>(?<dfDay>[1-9]|[12]\d|3[01])${ORDINAL}\s(?<dfMonth>${MONTH})(?:,?\s(?<dfYear>\d{4}))?)${END}`,
+    String.raw`\b(?<monthYear>(?<myMonth>${MONTH})\s(?<myYear>\d{4}))${END}`,
+    String.raw`${START}(?<time12>(?<t12Hour>1[0-2]|0?[1-9])(?::(?<t12Minute>[0-5]\d))?\s?(?<meridiem>[AaPp]\.?[Mm]\.?)(?![\w.]\w))`,
+    String.raw`${START}(?<time24>(?<t24Hour>[01]\d|2[0-3]):(?<t24Minute>[0-5]\d))${END}`,
+    String.raw`${START}(?<grouped>-?\d{1,3}(?:,\d{3})+(?:\.\d+)?)${END}`,
+    String.raw`${START}(?<decimal>-?\d+\.\d+)(?=\s?(?:${UNITS.map(escapeRegExp).join("|")})(?![\w]))`,
+].join("|"), "g");
+
+const formatterCache = new Map();
+
+/** A cached Intl formatter, or null when the locale or options aren't supported. */
+function formatter(Kind, locale, options) {
+    const key = `${Kind.name}|${locale}|${JSON.stringify(options)}`;
+    if (!formatterCache.has(key)) {
+        let value = null;
+        try {
+            if (Kind.supportedLocalesOf([locale]).length > 0) value = new Kind(locale, options);
+        } catch { /* invalid locale or currency */ }
+        formatterCache.set(key, value);
+    }
+    return formatterCache.get(key);
+}
+
+function parseNumber(text) {
+    return Number(text.replace(/,/g, ""));
+}
+
+function decimals(text) {
+    const fraction = text.split(".")[1];
+    return fraction ? fraction.length : 0;
+}
+
+function monthIndex(name) {
+    const stem = name.replace(/\.$/, "").slice(0, 3).toLowerCase();
+    return MONTHS.findIndex(m => m.slice(0, 3).toLowerCase() === stem);
+}
+
+function monthStyle(name) {
+    return MONTHS.includes(name) ? "long" : "short";
+}
+
+/** A UTC date, or null if the day doesn't exist in that month. */
+function utcDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+function formatNumber(locale, value, options) {
+    const f = formatter(Intl.NumberFormat, locale, options);
+    return f ? f.format(value) : null;
+}
+
+function formatDate(locale, date, options) {
+    const f = date && formatter(Intl.DateTimeFormat, locale, { timeZone: "UTC", ...options });
+    return f ? f.format(date) : null;
+}
+
+/** Digits of a currency's minor unit (2 for EUR, 0 for JPY). */
+function minorUnit(currency) {
+    const f = formatter(Intl.NumberFormat, "en", { style: "currency", currency });
+    return f ? f.resolvedOptions().maximumFractionDigits : 2;
+}
+
+function formatAmount(locale, number, magnitude, sourceCurrency, options, found) {
+    const currency = options.currency || sourceCurrency;
+    let value = parseNumber(number) * (magnitude ? MAGNITUDES[magnitude] : 1);
+    let digits = decimals(number);
+
+    if (options.mode && options.mode !== "keep" && currency !== sourceCurrency) {
+        const converted = convertAmount(value, sourceCurrency, currency, options.rates);
+        if (converted === null) {
+            const pair = `${sourceCurrency}→${currency}`;
+            if (!found.unconverted.includes(pair)) found.unconverted.push(pair);
+        } else {
+            found.converted = true;
+            value = converted;
+            // A whole price stays whole; otherwise the target currency's minor unit
+            digits = digits > 0 ? minorUnit(currency) : 0;
+            if (options.mode === "convert-and-round-to-price-points" && !magnitude) {
+                ({ value, fractionDigits: digits } = roundToPricePoint(value, currency, minorUnit(currency), decimals(number) > 0));
+            }
+        }
+    }
+
+    const style = { style: "currency", currency, minimumFractionDigits: digits, maximumFractionDigits: digits };
+    if (magnitude) return formatNumber(locale, value, { ...style, notation: "compact", minimumFractionDigits: 0, maximumFractionDigits: decimals(number) });
+    return formatNumber(locale, value, style);
+}
+
+/** The localised form of one matched value, or null to leave it as it is. */
+function formatMatch(g, locale, options, found) {
+    if (g.symbolAmount) {
+        return formatAmount(locale, (g.symbolSign || "") + g.symbolNumber, g.symbolMagnitude, CURRENCY_SYMBOLS[g.symbol], options, found);
+    }
+    if (g.codeAmount) return formatAmount(locale, g.codeNumber, g.codeMagnitude, g.code, options, found);
+    if (g.suffixAmount) return formatAmount(locale, g.suffixNumber, null, g.suffixCode, options, found);
+    if (g.percent) {
+        const digits = decimals(g.percentNumber);
+        return formatNumber(locale, parseNumber(g.percentNumber) / 100, { style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+    if (g.numericDate) {
+        const year = g.numYear.length === 2 ? 2000 + Number(g.numYear) : Number(g.numYear);
+        const padded = g.numMonth.startsWith("0") || g.numDay.startsWith("0");
+        return formatDate(locale, utcDate(year, Number(g.numMonth) - 1, Number(g.numDay)), {
+            year: g.numYear.length === 2 ? "2-digit" : "numeric",
+            month: padded ? "2-digit" : "numeric",
+            day: padded ? "2-digit" : "numeric",
+        });
+    }
+    if (g.monthFirst || g.dayFirst) {
+        const name = g.mfMonth || g.dfMonth;
+        const year = g.mfYear || g.dfYear;
+        // Without a year, a leap year keeps Feb 29 valid
+        const date = utcDate(year ? Number(year) : 2000, monthIndex(name), Number(g.mfDay || g.dfDay));
+        return formatDate(locale, date, { month: monthStyle(name), day: "numeric", ...(year ? { year: "numeric" } : {}) });
+    }
+    if (g.monthYear) {
+        return formatDate(locale, utcDate(Number(g.myYear), monthIndex(g.myMonth), 1), { month: monthStyle(g.myMonth), year: "numeric" });
+    }
+    if (g.time12) {
+        const pm = /^p/i.test(g.meridiem);
+        const hour = (Number(g.t12Hour) % 12) + (pm ? 12 : 0);
+        return formatDate(locale, new Date(Date.UTC(2000, 0, 1, hour, Number(g.t12Minute || 0))),
+            g.t12Minute ? { hour: "numeric", minute: "2-digit" } : { hour: "numeric" });
+    }
+    if (g.time24) {
+        return formatDate(locale, new Date(Date.UTC(2000, 0, 1, Number(g.t24Hour), Number(g.t24Minute))), { hour: "numeric", minute: "2-digit" });
+    }
+    const number = g.grouped || g.decimal;
+    const digits = decimals(number);
+    return formatNumber(locale, parseNumber(number), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/** Reformat the values in a stretch of plain text, noting them in `found` (see LocalisedFormats). */
+function formatPlain(text, locale, options, found) {
+    return text.replace(VALUE_PATTERN, (match, ...args) => {
+        const formatted = formatMatch(args[args.length - 1], locale, options, found);
+        if (!formatted) return match;
+        found.values.push(formatted);
+        return formatted;
+    });
+}
+
+/**
+ * Reformat the numbers, amounts, dates and times in `text` for `targetLocale`.
+ * Placeholders, URLs and emails (see findTokens) are skipped, and so is
+ * markup in HTML-mode text.
+ * @param {FormatOptions} [options]
+ * @returns {LocalisedFormats}
+ */
+export function localiseFormats(text, targetLocale, options = {}) {
+    const currency = typeof options.currency === "string" && /^[A-Za-z]{3}$/.test(options.currency)
+        ? options.currency.toUpperCase()
+        : null;
+    const settings = { ...options, currency };
+    const found = { values: [], converted: false, unconverted: [] };
+    const parts = options.html ? String(text).split(/(<[^>]*>)/) : [String(text)];
+    const localised = parts.map(part => {
+        if (part.startsWith("<")) return part;
+        // Only the stretches between tokens are formatted
+        let out = "";
+        let last = 0;
+        for (const token of findTokens(part)) {
+            const at = part.indexOf(token, last);
+            out += formatPlain(part.slice(last, at), targetLocale, settings, found) + token;
+            last = at + token.length;
+        }
+        return out + formatPlain(part.slice(last), targetLocale, settings, found);
+    }).join("");
+    return { text: localised, ...found };
+}
+
+/**
+ * localiseFormats for a layer ({ text, format? }) in `targetLocale`, with
+ * amounts shown in the first of `localeCurrencies` (the selected currency)
+ * and converted as `conversion` ({ mode, rates }) asks.
+ * @returns {LocalisedFormats}
+ */
+export function layerFormats(layer, targetLocale, localeCurrencies = [], conversion = null) {
+    return localiseFormats(layer.text, targetLocale, {
+        currency: (localeCurrencies || [])[0] || null,
+        html: layer.format === "html",
+        ...(conversion ? { mode: conversion.mode, rates: conversion.rates } : {}),
+    });
+}
+
+/** Formatted `values` that don't survive in `text`, counting repeats; spacing differences are ignored. */
+export function missingValues(values, text) {
+    const normalise = s => String(s).replace(/&nbsp;/g, " ").replace(/\s+/g, " ");
+    let rest = normalise(text);
+    return values.filter(value => {
+        const wanted = normalise(value);
+        const at = rest.indexOf(wanted);
+        if (at === -1) return true;
+        rest = `${rest.slice(0, at)} ${rest.slice(at + wanted.length)}`;
+        return false;
+    });
+}
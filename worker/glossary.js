@@ -0,0 +1,255 @@
+/**
+ * Localyse — team glossary (termbase)
+ *
+ * Product terms ("Workspace", "Pulse", plan names) are stored per team in KV
+ * and enforced on every translation:
+ *   - Azure gets dynamic dictionary markup around each matching term
+ *   - the LLM refinement prompt lists the matching terms as hard constraints
+ *   - refinements that drop a required term fall back to the Azure result
+ *
+ * KV layout: `glossary:<team>` → { version, updatedAt, terms: [GlossaryTerm] }
+ *
+ * @typedef {Object} GlossaryTerm
+ * @property {string} id
+ * @property {string} source              Term as written in the design
+ * @property {Object<string, string>} targets  Locale code (e.g. "fr", "fr-CA") → translation
+ * @property {boolean} doNotTranslate     Keep the source term in every locale
+ * @property {boolean} caseSensitive      Only match the exact casing
+ */
+
+export const MAX_GLOSSARY_TERMS = 500;
+export const MAX_TERM_LENGTH = 100;
+
+const GLOSSARY_KEY_PREFIX = "glossary:";
+
+/** KV key for a team's glossary. */
+export function glossaryKey(team) {
+    return `${GLOSSARY_KEY_PREFIX}${team}`;
+}
+
+/** An empty glossary — returned for teams that haven't created one yet. */
+export function emptyGlossary() {
+    return { version: 0, updatedAt: null, terms: [] };
+}
+
+export async function loadGlossary(env, team) {
+    try {
+        const stored = await env.RATE_LIMIT.get(glossaryKey(team));
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            if (parsed && Array.isArray(parsed.terms)) return parsed;
+        }
+    } catch { /* missing or corrupt — treat as empty */ }
+    return emptyGlossary();
+}
+
+/** Persist a glossary, bumping its version so cached translations are invalidated. */
+export async function saveGlossary(env, team, glossary) {
+    const next = {
+        version: (glossary.version || 0) + 1,
+        updatedAt: new Date().toISOString(),
+        terms: glossary.terms,
+    };
+    await env.RATE_LIMIT.put(glossaryKey(team), JSON.stringify(next));
+    return next;
+}
+
+/**
+ * Validate and normalise a term from a request body.
+ * Returns { term } on success or { error } with a user-facing message.
+ */
+export function validateTerm(input) {
+    if (!input || typeof input !== "object") return { error: "Expected a term object." };
+    const source = typeof input.source === "string" ? input.source.trim() : "";
+    if (!source) return { error: "Term \"source\" is required." };
+    if (source.length > MAX_TERM_LENGTH) return { error: `Term exceeds max length (${MAX_TERM_LENGTH} chars).` };
+
+    const targets = {};
+    if (input.targets !== undefined) {
+        if (!input.targets || typeof input.targets !== "object" || Array.isArray(input.targets)) {
+            return { error: "\"targets\" must be an object of locale → translation." };
+        }
+        for (const [locale, value] of Object.entries(input.targets)) {
+            if (!/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(locale)) return { error: `Invalid locale code "${locale}".` };
+            if (typeof value !== "string" || value.length > MAX_TERM_LENGTH) {
+                return { error: `Invalid translation for "${locale}".` };
+            }
+            if (value.trim()) targets[locale] = value.trim();
+        }
+    }
+
+    const doNotTranslate = input.doNotTranslate === true;
+    if (!doNotTranslate && Object.keys(targets).length === 0) {
+        return { error: "A term needs at least one translation, or doNotTranslate." };
+    }
+
+    return {
+        term: {
+            id: typeof input.id === "string" && input.id ? input.id : crypto.randomUUID(),
+            source,
+            targets,
+            doNotTranslate,
+            caseSensitive: input.caseSensitive === true,
+        },
+    };
+}
+
+/**
+ * Target text for a term in a locale: exact locale first, then the base
+ * language ("fr-CA" → "fr"). Do-not-translate terms resolve to the source.
+ * Returns null when the term has no translation for this locale.
+ */
+export function resolveTarget(term, targetLocale) {
+    if (term.doNotTranslate) return term.source;
+    const locale = String(targetLocale);
+    const base = locale.split("-")[0].toLowerCase();
+    for (const [code, value] of Object.entries(term.targets || {})) {
+        if (code.toLowerCase() === locale.toLowerCase()) return value;
+    }
+    for (const [code, value] of Object.entries(term.targets || {})) {
+        if (code.toLowerCase() === base) return value;
+    }
+    return null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Whole-word matcher for a term. Unicode-aware so "Pulse" doesn't match "Impulse". */
+function termPattern(term) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.source)}(?![\\p{L}\\p{N}])`, term.caseSensitive ? "gu" : "giu");
+}
+
+/**
+ * Glossary terms that occur in `text` and have a target for the locale.
+ * Longer terms win, so "Pulse Pro" is matched before "Pulse".
+ * @returns {{ source: string, target: string, doNotTranslate: boolean, caseSensitive: boolean }[]}
+ */
+export function matchTerms(terms, text, targetLocale) {
+    const matches = [];
+    for (const term of terms || []) {
+        const target = resolveTarget(term, targetLocale);
+        if (target === null) continue;
+        if (termPattern(term).test(String(text))) {
+            matches.push({ source: term.source, target, doNotTranslate: !!term.doNotTranslate, caseSensitive: !!term.caseSensitive });
+        }
+    }
+    return matches.sort((a, b) => b.source.length - a.source.length);
+}
+
+function escapeAttribute(text) {
+    return text.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Wrap matched terms in Azure dynamic dictionary markup:
+ *   <mstrans:dictionary translation="Espace de travail">Workspace</mstrans:dictionary>
+ * In HTML mode only text between tags is touched, so styling markup and
+ * protected tokens are safe.
+ * Plain-text translations containing a quote are skipped — Azure has no
+ * escaping for the attribute outside HTML mode.
+ */
+export function applyDictionaryMarkup(text, matches, isHtml) {
+    if (!matches || matches.length === 0) return text;
+    const usable = matches.filter(m => isHtml || !m.target.includes("\""));
+    if (usable.length === 0) return text;
+
+    const wrapSegment = segment => {
+        // Single pass over all terms (longest first) so wrapped terms aren't re-matched
+        const pattern = new RegExp(
+            usable.map(m => termPattern(m).source).join("|"),
+            usable.every(m => m.caseSensitive) ? "gu" : "giu"
+        );
+        return segment.replace(pattern, found => {
+            const match = usable.find(m => (m.caseSensitive ? found === m.source : found.toLowerCase() === m.source.toLowerCase()));
+            if (!match) return found;
+            const translation = isHtml ? escapeAttribute(match.target) : match.target;
+            return `<mstrans:dictionary translation="${translation}">${found}</mstrans:dictionary>`;
+        });
+    };
+
+    if (!isHtml) return wrapSegment(text);
+    // Text inside protected-token spans (URLs, placeholders) is never rewritten
+    let inProtected = false;
+    return text.split(/(<[^>]*>)/).map(part => {
+        if (part.startsWith("<")) {
+            if (/^<span\b[^>]*\bnotranslate\b/i.test(part)) inProtected = true;
+            else if (/^<\/span/i.test(part)) inProtected = false;
+            return part;
+        }
+        return inProtected ? part : wrapSegment(part);
+    }).join("");
+}
+
+/** Numbered prompt lines listing the terms the LLM must respect. */
+export function glossaryPromptRules(matches) {
+    return matches.map(m => (m.doNotTranslate
+        ? `- "${m.source}" → keep as "${m.source}" (do not translate)`
+        : `- "${m.source}" → "${m.target}"`)).join("\n");
+}
+
+/** Required target terms missing from a translation (case-insensitive). */
+export function missingTerms(translated, matches) {
+    const lower = String(translated).toLowerCase();
+    return matches.filter(m => !lower.includes(m.target.toLowerCase()));
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// CRUD routes
+//   GET    /glossary            → the team's glossary
+//   POST   /glossary/terms      → add a term (replaces a term with the same source)
+//   PUT    /glossary/terms/:id  → update a term
+//   DELETE /glossary/terms/:id  → remove a term
+// ──────────────────────────────────────────────────────────────────────
+
+/** Handle a /glossary request for `team`. `headers` are merged into every response. */
+export async function handleGlossaryRequest(request, env, team, headers) {
+    const url = new URL(request.url);
+    const parts = url.pathname.split("/").filter(Boolean); // ["glossary", "terms", id?]
+    const json = (body, status = 200) => Response.json(body, { status, headers });
+
+    if (parts.length === 1 && request.method === "GET") {
+        return json(await loadGlossary(env, team));
+    }
+
+    if (parts[1] !== "terms" || parts.length > 3) {
+        return json({ error: "Not found." }, 404);
+    }
+
+    const glossary = await loadGlossary(env, team);
+    const termId = parts[2] ? decodeURIComponent(parts[2]) : null;
+
+    if (request.method === "DELETE" && termId) {
+        const terms = glossary.terms.filter(t => t.id !== termId);
+        if (terms.length === glossary.terms.length) return json({ error: "Term not found." }, 404);
+        return json(await saveGlossary(env, team, { ...glossary, terms }));
+    }
+
+    if ((request.method === "POST" && !termId) || (request.method === "PUT" && termId)) {
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return json({ error: "Invalid JSON body." }, 400);
+        }
+        const { term, error } = validateTerm(termId ? { ...body, id: termId } : body);
+        if (error) return json({ error }, 400);
+
+        if (termId && !glossary.terms.some(t => t.id === termId)) {
+            return json({ error: "Term not found." }, 404);
+        }
+        const sameSource = t => t.source.toLowerCase() === term.source.toLowerCase();
+        const existing = termId ? null : glossary.terms.find(sameSource);
+        if (existing) term.id = existing.id;
+
+        const terms = glossary.terms.filter(t => t.id !== term.id && !(termId === null && sameSource(t)));
+        terms.push(term);
+        if (terms.length > MAX_GLOSSARY_TERMS) {
+            return json({ error: `Glossary is full (max ${MAX_GLOSSARY_TERMS} terms).` }, 400);
+        }
+        return json(await saveGlossary(env, team, { ...glossary, terms }), existing || termId ? 200 : 201);
+    }
+
+    return json({ error: "Method not allowed." }, 405);
+}
@@ -0,0 +1,357 @@
+/**
+ * Localyse — ICU MessageFormat and plural-aware translation
+ *
+ * English has two plural forms; Polish, Russian and Arabic have up to six.
+ * Translating "{count} items" or "3 files" as flat text therefore gets the
+ * grammar wrong for most numbers. Two kinds of layer are handled here:
+ *   - ICU messages: `{count, plural, one {# file} other {# files}}` (also
+ *     `select` and `selectordinal`), as typed into the design
+ *   - numeric plurals: a single number followed by a noun whose singular and
+ *     plural differ ("3 files selected"), or `{var}` followed by a word
+ *     ("{count} items")
+ *
+ * Each plural layer is expanded into one sample sentence per CLDR category of
+ * the target locale (Intl.PluralRules), with a representative number filled
+ * in. The samples are translated like any other layer, then the number is
+ * swapped back for `#` and the forms are reassembled into a target-locale
+ * ICU string. Layers whose samples can't be reassembled fall back to a flat
+ * translation (or keep their source text, for ICU messages).
+ *
+ * @typedef {Object} PluralMessage
+ * @property {"icu"|"numeric"} kind
+ * @property {"plural"|"selectordinal"|"select"} type
+ * @property {string} argument            ICU argument name ("count")
+ * @property {number} offset
+ * @property {Object<string, string>} options  Key ("one", "=0", "male") → English message, `#` for the number
+ * @property {string} prefix              Text before the argument, repeated in every form
+ * @property {string} suffix
+ * @property {number|null} value          Number shown in the design (numeric kind only)
+ * @property {string|null} token          "{count}" when the design shows a variable instead
+ */
+
+const CATEGORY_ORDER = ["zero", "one", "two", "few", "many", "other"];
+const MAX_NUMERIC_PLURAL_LENGTH = 120;
+const SAMPLE_SEPARATOR = "::plural=";
+
+const ICU_ARGUMENT = /\{\s*([A-Za-z_]\w*)\s*,\s*(plural|selectordinal|select)\s*,/;
+
+/** Index just past the "}" matching the "{" at `start`, or -1. */
+function skipBalanced(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === "{") depth++;
+        else if (text[i] === "}" && --depth === 0) return i + 1;
+    }
+    return -1;
+}
+
+/**
+ * Parse a message with one top-level plural/select argument. Messages with
+ * nested or several complex arguments return null (translated flat instead).
+ * @returns {PluralMessage|null}
+ */
+export function parseIcuMessage(text) {
+    const source = String(text);
+    const match = ICU_ARGUMENT.exec(source);
+    if (!match) return null;
+    const end = skipBalanced(source, match.index);
+    if (end === -1) return null;
+
+    const prefix = source.slice(0, match.index);
+    const suffix = source.slice(end);
+    if (ICU_ARGUMENT.test(prefix) || ICU_ARGUMENT.test(suffix)) return null;
+
+    const body = source.slice(match.index + match[0].length, end - 1);
+    let i = 0;
+    let offset = 0;
+    const skipSpace = () => { while (i < body.length && /\s/.test(body[i])) i++; };
+
+    skipSpace();
+    const offsetMatch = /^offset\s*:\s*(\d+)/.exec(body.slice(i));
+    if (offsetMatch) {
+        offset = Number(offsetMatch[1]);
+        i += offsetMatch[0].length;
+    }
+
+    const options = {};
+    for (;;) {
+        skipSpace();
+        if (i >= body.length) break;
+        const key = /^(=\d+|[A-Za-z_]\w*)/.exec(body.slice(i));
+        if (!key) return null;
+        i += key[0].length;
+        skipSpace();
+        if (body[i] !== "{") return null;
+        const close = skipBalanced(body, i);
+        if (close === -1) return null;
+        const message = body.slice(i + 1, close - 1);
+        if (ICU_ARGUMENT.test(message)) return null;
+        options[key[0]] = message;
+        i = close;
+    }
+    if (options.other === undefined) return null;
+
+    return { kind: "icu", type: match[2], argument: match[1], offset, options, prefix, suffix, value: null, token: null };
+}
+
+function withCase(word, suffix) {
+    return word === word.toUpperCase() ? word + suffix.toUpperCase() : word + suffix;
+}
+
+/** Naive English plural, enough for UI nouns ("file" → "files", "entry" → "entries"). */
+function pluralizeWord(word) {
+    if (/[^aeiou]y$/i.test(word)) return withCase(word.slice(0, -1), "ies");
+    if (/(s|x|z|ch|sh)$/i.test(word)) return withCase(word, "es");
+    return withCase(word, "s");
+}
+
+/** Inverse of pluralizeWord; words that don't look plural are returned unchanged. */
+function singularizeWord(word) {
+    if (/[^aeiou]ies$/i.test(word)) return withCase(word.slice(0, -3), "y");
+    if (/(s|x|z|ch|sh)es$/i.test(word) && !/[^s]ses$/i.test(word)) return word.slice(0, -2);
+    if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Capitalised words that take a count ("Delete 3 files", "Only 5 seats
+ * left"). Any other capitalised word directly before a number names it
+ * ("Bus 42", "Step 1"), and the word after is then not what's counted.
+ */
+const COUNTING_WORDS = new Set([
+    "add", "all", "buy", "copy", "delete", "download", "export", "get", "hide", "import", "invite", "last", "load",
+    "move", "next", "only", "over", "remove", "save", "see", "select", "send", "share", "show", "top", "upload", "view",
+]);
+
+function namesNumber(prefix) {
+    const word = /(?:^|[^\p{L}])(\p{Lu}[\p{L}'’-]*)\s+$/u.exec(prefix)?.[1];
+    return Boolean(word) && !COUNTING_WORDS.has(word.toLowerCase()) && !/(ing|ed)$/i.test(word);
+}
+
+const NUMERIC_PLURAL = /(^|[^\d.,:/#$€£¥₹+-])(\d+|\{\s*([A-Za-z_]\w*)\s*\})(\s+)(\p{L}[\p{L}'’-]*)/u;
+
+/**
+ * Detect "3 files" / "{count} items": exactly one integer or `{var}` in a
+ * short string, directly followed by a word. Prices, times, fractions and
+ * strings with several numbers are left alone, and so are numbers whose word
+ * isn't a counted noun — model names ("iPhone 15 Pro", "iPhone 1 Pro"), room
+ * and phone numbers ("Room 101 booking", "Call 911 now"), titles ("Step 1
+ * Complete") and numbers named by the word before them ("Bus 42 departs").
+ * @returns {PluralMessage|null}
+ */
+export function detectNumericPlural(text) {
+    const source = String(text);
+    if (source.length > MAX_NUMERIC_PLURAL_LENGTH || /[{}]/.test(source.replace(/\{\s*[A-Za-z_]\w*\s*\}/g, ""))) return null;
+    if ((source.match(/\d+|\{\s*[A-Za-z_]\w*\s*\}/g) || []).length !== 1) return null;
+    const match = NUMERIC_PLURAL.exec(source);
+    if (!match) return null;
+
+    const [, lead, number, variable, space, word] = match;
+    const start = match.index + lead.length;
+    const value = variable ? null : Number(number);
+    const isOne = value === 1;
+    const singular = isOne ? word : singularizeWord(word);
+    const plural = isOne ? pluralizeWord(word) : word;
+    if (!variable) {
+        // The word has to read as the counted noun in the form the design shows it:
+        // plural for 2+ ("15 Pro" isn't), lower-case for 1 ("1 Complete" is a title)
+        if (isOne ? /^\p{Lu}/u.test(word) : singular === word) return null;
+        if (namesNumber(source.slice(0, start))) return null;
+    }
+
+    return {
+        kind: "numeric",
+        type: "plural",
+        argument: variable || "count",
+        offset: 0,
+        options: { one: `#${space}${singular}`, other: `#${space}${plural}` },
+        prefix: source.slice(0, start),
+        suffix: source.slice(match.index + match[0].length),
+        value,
+        token: variable ? number : null,
+    };
+}
+
+/** Plural layer detection: ICU syntax first, then numeric patterns. Styled (HTML) layers are skipped. */
+export function detectPlural(layer) {
+    if (layer.format === "html" || typeof layer.text !== "string") return null;
+    return parseIcuMessage(layer.text) || detectNumericPlural(layer.text);
+}
+
+function pluralRules(locale, type) {
+    try {
+        return new Intl.PluralRules(locale, { type: type === "selectordinal" ? "ordinal" : "cardinal" });
+    } catch {
+        return new Intl.PluralRules("en", { type: type === "selectordinal" ? "ordinal" : "cardinal" });
+    }
+}
+
+/**
+ * A representative number for a plural category — 2+ where possible, so
+ * "other" isn't sampled with 0, and 1.5 for fraction-only categories
+ * (Polish and Russian "other").
+ */
+export function sampleNumber(rules, category) {
+    const candidates = category === "zero" ? [0] : category === "one" ? [1] : [];
+    for (let n = 2; n <= 200; n++) candidates.push(n);
+    candidates.push(0, 1, 1.5);
+    return candidates.find(n => rules.select(n) === category) ?? null;
+}
+
+/**
+ * One English sample sentence per form needed for the target locale.
+ * @returns {{ key: string, n: number|null, text: string, hasNumber: boolean }[]}
+ */
+export function pluralSamples(message, targetLocale) {
+    const { options, prefix, suffix, offset } = message;
+    if (message.type === "select") {
+        return Object.keys(options).map(key => ({ key, n: null, text: prefix + options[key] + suffix, hasNumber: false }));
+    }
+
+    const english = pluralRules("en", message.type);
+    const target = pluralRules(targetLocale, message.type);
+    const render = (n, key) => {
+        const option = options[key] ?? options[`=${n}`] ?? options[english.select(n - offset)] ?? options.other;
+        return { key, n, text: prefix + option.replace(/#/g, String(n - offset)) + suffix, hasNumber: option.includes("#") };
+    };
+
+    const samples = Object.keys(options)
+        .filter(key => key.startsWith("="))
+        .map(key => render(Number(key.slice(1)), key));
+    for (const category of target.resolvedOptions().pluralCategories) {
+        // The category of the number shown in the design is sampled with that number
+        const n = message.value !== null && target.select(message.value) === category
+            ? message.value
+            : sampleNumber(target, category);
+        if (n !== null) samples.push(render(n, category));
+    }
+    return samples;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Replace the sample number in a translated form with `#`; null if it went missing. */
+function numberToHash(translated, n, offset, targetLocale) {
+    const shown = n - offset;
+    const spellings = [String(shown)];
+    try {
+        spellings.push(new Intl.NumberFormat(targetLocale, { useGrouping: false }).format(shown));
+    } catch { /* unknown locale — ASCII digits only */ }
+    for (const spelling of spellings) {
+        const pattern = new RegExp(`(?<![\\d.,])${escapeRegExp(spelling)}(?![\\d]|[.,]\\d)`);
+        if (pattern.test(translated)) return translated.replace(pattern, "#");
+    }
+    return null;
+}
+
+function sortKeys(keys) {
+    const rank = key => (key.startsWith("=") ? -1 : CATEGORY_ORDER.indexOf(key));
+    return keys.slice().sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Reassemble translated samples into a target-locale ICU message.
+ * @param {PluralMessage} message
+ * @param {Map<string, string>} translatedByKey  sample key → translated text
+ * @returns {{ icu: string, argument: string, type: string, categories: Object<string, string>, value?: number, rendered?: string }|null}
+ */
+export function assemblePlural(message, samples, translatedByKey, targetLocale) {
+    const categories = {};
+    for (const sample of samples) {
+        const translated = translatedByKey.get(sample.key);
+        if (typeof translated !== "string") return null;
+        if (!sample.hasNumber) {
+            categories[sample.key] = translated;
+            continue;
+        }
+        const form = numberToHash(translated, sample.n, message.offset, targetLocale);
+        if (form === null) return null;
+        categories[sample.key] = form;
+    }
+
+    const keys = sortKeys(Object.keys(categories));
+    if (message.type !== "select" && !keys.includes("other")) return null;
+    const ordered = {};
+    keys.forEach(key => { ordered[key] = categories[key]; });
+    const head = `${message.argument}, ${message.type},${message.offset ? ` offset:${message.offset}` : ""}`;
+    const icu = `{${head} ${keys.map(key => `${key} {${categories[key]}}`).join(" ")}}`;
+    const result = { icu, argument: message.argument, type: message.type, categories: ordered };
+
+    if (message.value !== null && message.type !== "select") {
+        const rules = pluralRules(targetLocale, message.type);
+        const key = categories[`=${message.value}`] !== undefined ? `=${message.value}` : rules.select(message.value - message.offset);
+        if (categories[key] !== undefined) {
+            result.value = message.value;
+            result.rendered = categories[key].replace(/#/g, String(message.value - message.offset));
+        }
+    }
+    return result;
+}
+
+/** True for the ids of sample layers created by expandPluralLayers. */
+export function isPluralSampleId(id) {
+    return String(id).includes(SAMPLE_SEPARATOR);
+}
+
+/**
+ * Replace plural layers with their sample layers (ids "<id>::plural=<key>").
+ * Layers with a `{var}` also keep a flat copy under their own id as the
+ * fallback shown on the canvas.
+ * @returns {{ layers: Object[], plans: Map<string, { message: PluralMessage, samples: Object[] }> }}
+ */
+export function expandPluralLayers(textLayers, targetLocale) {
+    const layers = [];
+    const plans = new Map();
+    for (const layer of textLayers) {
+        const message = detectPlural(layer);
+        if (!message) {
+            layers.push(layer);
+            continue;
+        }
+        const samples = pluralSamples(message, targetLocale);
+        plans.set(layer.id, { message, samples });
+        if (message.token) layers.push(layer);
+        for (const sample of samples) {
+            layers.push({ ...layer, id: `${layer.id}${SAMPLE_SEPARATOR}${sample.key}`, text: sample.text });
+        }
+    }
+    return { layers, plans };
+}
+
+/**
+ * Fold translated samples back into one result per original layer, in the
+ * original order. Plural layers gain a `plural` field; `translated` is the
+ * ICU string for ICU layers and the rendered form for numeric ones.
+ */
+export function collapsePluralResults(textLayers, results, plans, targetLocale) {
+    const byId = new Map(results.map(r => [r.id, r]));
+    return textLayers.map(layer => {
+        const plan = plans.get(layer.id);
+        if (!plan) return byId.get(layer.id);
+
+        const translatedByKey = new Map();
+        for (const sample of plan.samples) {
+            const r = byId.get(`${layer.id}${SAMPLE_SEPARATOR}${sample.key}`);
+            if (r && !r.rejected) translatedByKey.set(sample.key, r.translated);
+        }
+        const plural = assemblePlural(plan.message, plan.samples, translatedByKey, targetLocale);
+        const { message } = plan;
+
+        if (message.kind === "icu") {
+            return plural
+                ? { id: layer.id, translated: plural.icu, plural }
+                : { id: layer.id, translated: layer.text, rejected: "Plural forms could not be rebuilt for this locale." };
+        }
+        if (message.token) {
+            const flat = byId.get(layer.id) || { id: layer.id, translated: layer.text };
+            return plural ? { ...flat, plural } : flat;
+        }
+        // Numeric: the sample for the design's own number is its flat translation
+        const own = plan.samples.find(s => s.n === message.value && !s.key.startsWith("="));
+        const fallback = own && translatedByKey.get(own.key);
+        if (plural && plural.rendered !== undefined) return { id: layer.id, translated: plural.rendered, plural };
+        return { id: layer.id, translated: typeof fallback === "string" ? fallback : layer.text };
+    });
+}
@@ -1,81 +1,107 @@
 /**
  * Localyse — Cloudflare Worker Proxy
  *
- * Translates text layers via Azure Translator API with smart context formatting,
- * then optionally refines via GPT-4o-mini for contextual accuracy.
- * Includes per-user rate limiting (50 requests/day) via Cloudflare KV.
- * Also serves the privacy policy at GET /privacy.
+ * Translates text layers via a machine-translation provider (Azure Translator,
+ * DeepL, Google Cloud Translation or LibreTranslate — see worker/providers/)
+ * then optionally refines via GPT-4o-mini for contextual accuracy, using each
+ * layer's name and structural context (frame path, component, UI role,
+ * nearby text) sent by the plugin.
+ * Requests are rate limited per plan by a Durable Object counter, weighted by
+ * the layers (or characters) translated — see worker/ratelimit.js.
+ * Teams authenticate with API keys (issued under /admin/keys) that select
+ * their glossary and plan — see worker/auth.js. Team glossaries are stored
+ * in KV and managed under /glossary. A per-team translation memory serves
+ * repeated segments and learns from edits posted to /tm (worker/tm.js);
+ * finished layers are also cached per segment for an hour (worker/cache.js),
+ * so only changed layers are translated and billed. Finished translations
+ * are QA-checked (worker/qa.js) and come back with per-layer `warnings`.
+ * Prices, numbers, dates and times are reformatted for the target locale
+ * with Intl (worker/formatting.js) and protected from further changes;
+ * amounts can be converted with a team's exchange rates, managed under
+ * /rates (worker/rates.js).
+ * Placeholders, URLs and emails are protected from translation, and locked
+ * ("#nt") layers are returned untouched. ICU plural/select messages and
+ * numeric plurals ("3 files") are translated per CLDR plural category.
+ * A request may name several locales (`targetLocales`); they share one
+ * provider call. With `Accept: application/x-ndjson` progress and partial
+ * results are streamed as they finish.
+ * GET /usage reports the caller's quota and today's usage. Also serves the
+ * privacy policy at GET /privacy.
  *
  * Deploy:
  *   npx wrangler kv namespace create RATE_LIMIT
  *   # Copy the id into wrangler.toml
- *   npx wrangler deploy
- *   npx wrangler secret put AZURE_TRANSLATOR_KEY
- *   npx wrangler secret put AZURE_TRANSLATOR_REGION
+ *   npx wrangler deploy                       # also creates the RateLimiter Durable Object
+ *   # At least one translation provider:
+ *   npx wrangler secret put AZURE_TRANSLATOR_KEY      # + AZURE_TRANSLATOR_REGION
+ *   npx wrangler secret put DEEPL_API_KEY
+ *   npx wrangler secret put GOOGLE_SERVICE_ACCOUNT_KEY # + GOOGLE_PROJECT_ID
+ *   # LibreTranslate: set LIBRETRANSLATE_URL (and optionally LIBRETRANSLATE_API_KEY)
+ *   # Order / fallback: TRANSLATION_PROVIDERS = "azure,deepl" in wrangler.toml [vars]
  *   npx wrangler secret put OPENAI_API_KEY   # optional — enables LLM refinement
+ *   npx wrangler secret put ADMIN_TOKEN      # optional — enables /admin/keys
+ *   # Optional shared exchange rates for currency conversion (teams can upload their own):
+ *   npx wrangler kv key put --binding RATE_LIMIT rates '{"base":"USD","rates":{"EUR":0.92}}'
+ *
+ * Self-hosting: the same handler runs on plain Node via worker/server.js,
+ * with RATE_LIMIT backed by a storage adapter (worker/storage/) and rate
+ * limits counted in memory.
  */
 
+import {
+    loadGlossary,
+    matchTerms,
+    applyDictionaryMarkup,
+    glossaryPromptRules,
+    missingTerms,
+    handleGlossaryRequest,
+} from "./glossary.js";
+import {
+    findTokens,
+    isLockedLayer,
+    plainToMarkup,
+    markupToPlain,
+    protectTokens,
+    restoreTokens,
+    missingTokens,
+} from "./placeholders.js";
+import { detectPlural, expandPluralLayers, collapsePluralResults, isPluralSampleId } from "./icu.js";
+import { providerChain, parseFormality, translateManyWithFallback, listLanguages } from "./providers/index.js";
+import { authenticate, writeAccessError, handleAdminRequest } from "./auth.js";
+import { memoryKey, emptyMemory, loadMemory, lookupMemory, updateMemory, handleMemoryRequest } from "./tm.js";
+import { readCachedSegments, writeCachedSegments } from "./cache.js";
+import { layerBudget, exceedsBudget, estimateWidth } from "./budget.js";
+import { qaWarnings } from "./qa.js";
+import { layerFormats, missingValues } from "./formatting.js";
+import { parseCurrencyMode, loadRates, ratesTag, handleRatesRequest } from "./rates.js";
+import {
+    planFor,
+    pendingCost,
+    requestUsage,
+    checkRateLimit,
+    readUsage,
+    rateLimitHeaders,
+    rateLimitMessage,
+} from "./ratelimit.js";
+
+// The Durable Object class behind the RATE_LIMITER binding (see wrangler.toml)
+export { RateLimiter } from "./ratelimit.js";
+
 const CORS_HEADERS = {
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-User-Id",
+    "Access-Control-Allow-Methods": "POST, GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-User-Id",
+    "Access-Control-Expose-Headers": "X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After, X-Cache, X-Cache-Hits, X-Cache-Misses",
 };
 
-const DAILY_LIMIT = 50;
-const DAY_IN_SECONDS = 86400;
-
-const AZURE_ENDPOINT = "https://api.cognitive.microsofttranslator.com/translate";
-const AZURE_API_VERSION = "3.0";
-
 // ──────────────────────────────────────────────────────────────────────
 // Security & validation constants
 // ──────────────────────────────────────────────────────────────────────
 const MAX_PAYLOAD_BYTES = 102400;   // 100 KB
 const MAX_TEXT_LAYERS = 500;
 const MAX_TEXT_LENGTH = 5000;       // per layer, in characters
-const IP_DAILY_LIMIT = 100;         // secondary IP-based limit (more generous for shared IPs)
 const LLM_CHUNK_SIZE = 40;          // max layers per LLM refinement call
-
-// ──────────────────────────────────────────────────────────────────────
-// Rate limiting
-// ──────────────────────────────────────────────────────────────────────
-
-/**
- * Dual rate limiting: per-user (primary) + per-IP (secondary defense).
- *
- * Note: KV get-then-put is not atomic, so two concurrent requests could
- * both pass the check. This is acceptable for a 50/day soft limit — at
- * worst a user gets 1-2 extra requests in a race.
- */
-async function checkRateLimit(env, userId, ipAddress) {
-    // --- Per-user limit ---
-    const userKey = `rate:${userId}`;
-    const userCurrent = parseInt(await env.RATE_LIMIT.get(userKey)) || 0;
-
-    if (userCurrent >= DAILY_LIMIT) {
-        return { allowed: false, remaining: 0 };
-    }
-
-    // --- Per-IP secondary limit (catches spoofed user IDs) ---
-    if (ipAddress) {
-        const ipKey = `rate:ip:${ipAddress}`;
-        const ipCurrent = parseInt(await env.RATE_LIMIT.get(ipKey)) || 0;
-
-        if (ipCurrent >= IP_DAILY_LIMIT) {
-            return { allowed: false, remaining: 0 };
-        }
-
-        // Increment both counters in parallel
-        await Promise.all([
-            env.RATE_LIMIT.put(userKey, String(userCurrent + 1), { expirationTtl: DAY_IN_SECONDS }),
-            env.RATE_LIMIT.put(ipKey, String(ipCurrent + 1), { expirationTtl: DAY_IN_SECONDS }),
-        ]);
-    } else {
-        await env.RATE_LIMIT.put(userKey, String(userCurrent + 1), { expirationTtl: DAY_IN_SECONDS });
-    }
-
-    return { allowed: true, remaining: DAILY_LIMIT - userCurrent - 1 };
-}
+const MAX_BATCH_LOCALES = 10;       // max entries in a batch request's targetLocales
 
 // ──────────────────────────────────────────────────────────────────────
 // Abbreviation dictionary (bypass Azure for known short terms)
@@ -135,96 +161,230 @@ function lookupAbbrev(text, targetLocale) {
 }
 
 // ──────────────────────────────────────────────────────────────────────
-// Smart context formatting
+// Layer context
 // ──────────────────────────────────────────────────────────────────────
 
+const LAYER_ROLES = ["button", "heading", "label", "tab", "placeholder", "link"];
+const MAX_CONTEXT_PATH = 8;
+const MAX_CONTEXT_SIBLINGS = 3;
+const MAX_CONTEXT_TEXT = 80;
+
 /**
- * Prepend layer name as a context hint for more accurate translations.
- * Format: "[LayerName] text to translate"
- * After translation, the prefix is stripped from the result.
+ * The structural context the plugin sends with a layer — frame path,
+ * component and variant, inferred UI role and nearby text — trimmed to a
+ * bounded size for the refinement prompt. Returns null when there is none
+ * (older plugin versions send only `layerName`).
  */
-function addContext(textLayers) {
-    return textLayers.map(layer => ({
-        ...layer,
-        contextText: `[${layer.layerName}] ${layer.text}`,
-    }));
-}
-
-function stripContext(translatedText, layerName) {
-    // Azure may translate the context prefix too — try to strip it
-    // Look for ] followed by a space near the start
-    const bracketEnd = translatedText.indexOf("] ");
-    if (bracketEnd !== -1 && bracketEnd < layerName.length + 20) {
-        return translatedText.substring(bracketEnd + 2).trim();
-    }
-    return translatedText.trim();
+function layerContext(layer) {
+    const context = layer && layer.context;
+    if (!context || typeof context !== "object") return null;
+    const text = value => (typeof value === "string" && value.trim() ? value.trim().slice(0, MAX_CONTEXT_TEXT) : null);
+    const list = (value, max) => (Array.isArray(value) ? value.map(text).filter(Boolean).slice(-max) : []);
+
+    const result = {};
+    if (LAYER_ROLES.includes(context.role)) result.role = context.role;
+    const path = list(context.path, MAX_CONTEXT_PATH);
+    if (path.length > 0) result.path = path.join(" / ");
+    if (text(context.component)) result.component = text(context.component);
+    if (text(context.variant)) result.variant = text(context.variant);
+    const siblings = list(context.siblings, MAX_CONTEXT_SIBLINGS);
+    if (siblings.length > 0) result.siblings = siblings;
+    return Object.keys(result).length > 0 ? result : null;
 }
 
 // ──────────────────────────────────────────────────────────────────────
-// Azure Translator
+// Machine translation
 // ──────────────────────────────────────────────────────────────────────
 
-async function translateWithAzure(env, textLayers, targetLocale) {
-    // Split layers into dictionary-resolved and needs-Azure
+/**
+ * Inline markup tags in a styled-text layer (e.g. `<span class="s1">`, `<br/>`),
+ * normalised and sorted so two texts can be compared for tag integrity.
+ */
+function markupTags(text) {
+    const tags = String(text).match(/<\s*\/?\s*(span|br)\b[^>]*>/gi) || [];
+    return tags
+        .map(tag => tag.toLowerCase().replace(/\s+/g, "").replace(/["']/g, "").replace(/\/>$/, ">"))
+        .sort();
+}
+
+/** True if `translated` carries exactly the same inline markup tags as `reference`. */
+function hasSameMarkup(reference, translated) {
+    const a = markupTags(reference);
+    const b = markupTags(translated);
+    return a.length === b.length && a.every((tag, i) => tag === b[i]);
+}
+
+/**
+ * Sort one locale's layers into those resolved locally (glossary term,
+ * abbreviation dictionary, nothing but formatted values) and provider groups
+ * per text type, with their placeholders and formatted values already protected.
+ */
+function prepareLayers(textLayers, targetLocale, glossaryTerms) {
     const results = new Array(textLayers.length);
-    const azureLayers = []; // { originalIndex, layer }
+    const groups = { plain: [], html: [] }; // { originalIndex, layer, fromPlain?, protectedText, tokens, termMatches }
 
     for (let i = 0; i < textLayers.length; i++) {
         const layer = textLayers[i];
+        const formats = layer.formats || { text: layer.text, values: [] };
+        if (formats.values.length > 0) {
+            // Nothing left to translate once the values are formatted (e.g. "$49.99")
+            const plain = layer.format === "html" ? markupToPlain(formats.text) : formats.text;
+            const rest = formats.values.reduce((text, value) => text.split(value).join(" "), plain);
+            if (!/\p{L}/u.test(rest)) {
+                results[i] = { id: layer.id, translated: formats.text };
+                continue;
+            }
+        }
+        if (layer.format === "html" || formats.values.length > 0 || findTokens(layer.text).length > 0) {
+            const fromPlain = layer.format !== "html";
+            const { text, tokens } = protectTokens(fromPlain ? plainToMarkup(formats.text) : formats.text, formats.values);
+            groups.html.push({ originalIndex: i, layer, fromPlain, protectedText: text, tokens });
+            continue;
+        }
+        const termMatch = matchTerms(glossaryTerms, layer.text, targetLocale)
+            .find(m => (m.caseSensitive ? m.source === layer.text.trim() : m.source.toLowerCase() === layer.text.trim().toLowerCase()));
+        if (termMatch) {
+            results[i] = { id: layer.id, translated: termMatch.target };
+            continue;
+        }
         const dictMatch = lookupAbbrev(layer.text, targetLocale);
         if (dictMatch !== null) {
             results[i] = { id: layer.id, translated: dictMatch };
         } else {
-            azureLayers.push({ originalIndex: i, layer });
+            groups.plain.push({ originalIndex: i, layer, protectedText: layer.text, tokens: [] });
         }
     }
+    for (const item of [...groups.plain, ...groups.html]) {
+        item.termMatches = matchTerms(glossaryTerms, item.layer.text, targetLocale);
+    }
+    return { targetLocale, results, groups };
+}
 
-    // If all layers were resolved from dictionary, skip Azure entirely
-    if (azureLayers.length === 0) return results;
+/** Put a provider translation back together and store it in the locale's results. */
+function mergeTranslation(results, { originalIndex, layer, fromPlain, tokens }, translated) {
+    const { text: restored, missing } = restoreTokens(translated.trim(), tokens);
+    if (missing.length > 0) {
+        results[originalIndex] = {
+            id: layer.id,
+            translated: layer.text,
+            rejected: `Placeholder ${missing[0]} was lost in translation.`,
+        };
+        return;
+    }
+    let text = fromPlain ? markupToPlain(restored) : restored;
+    // The provider dropped or mangled styling tags — keep the source markup instead
+    if (layer.format === "html" && !hasSameMarkup(layer.text, text)) {
+        text = layer.text;
+    }
+    results[originalIndex] = { id: layer.id, translated: text };
+}
 
-    // Send remaining layers to Azure
-    const contextLayers = azureLayers.map(({ layer }) => ({
-        ...layer,
-        contextText: `[${layer.layerName}] ${layer.text}`,
-    }));
-    const azureBody = contextLayers.map(l => ({ Text: l.contextText }));
+/**
+ * Translate text layers with the first working provider in `chain`, for one
+ * or more locales at once. `jobs` is a list of { textLayers, targetLocale };
+ * the result is one array of { id, translated } per job.
+ *
+ * Layers with `format: "html"` carry inline styling markup from the plugin
+ * and are sent with the HTML text type so the tags survive; plain layers go
+ * through the plain-text path. Every locale shares one provider call per text
+ * type (a single multi-target call where the provider supports it).
+ * Glossary terms are enforced with dynamic dictionary markup on providers
+ * that support it (Azure), and a layer that is exactly one glossary term
+ * skips machine translation altogether.
+ *
+ * Placeholders, URLs and emails are wrapped in notranslate spans (plain
+ * layers containing any are sent as HTML for this) and restored afterwards,
+ * as are the values of layers with `formats` (see layerFormats), which are
+ * sent already formatted for the locale.
+ * A layer that loses a token keeps its source text and is marked `rejected`.
+ * `onProgress(jobIndex, layerCount)` (optional) reports layers as they are
+ * resolved: local matches first, then each provider call.
+ */
+async function translateWithProviders(env, chain, jobs, glossaryTerms = [], formality = null, onProgress = null) {
+    const prepared = jobs.map(job => prepareLayers(job.textLayers, job.targetLocale, glossaryTerms));
+    if (onProgress) {
+        prepared.forEach((p, j) => onProgress(j, p.results.filter(Boolean).length));
+    }
 
-    const url = `${AZURE_ENDPOINT}?api-version=${AZURE_API_VERSION}&to=${targetLocale}`;
+    for (const textType of ["plain", "html"]) {
+        const pending = prepared.filter(p => p.groups[textType].length > 0);
+        if (pending.length === 0) continue;
+        const { translations } = await translateManyWithFallback(env, chain, pending.map(p => ({
+            targetLocale: p.targetLocale,
+            buildTexts: provider => p.groups[textType].map(item => (provider.dictionaryMarkup
+                ? applyDictionaryMarkup(item.protectedText, item.termMatches, textType === "html")
+                : item.protectedText)),
+        })), { textType, formality });
+
+        pending.forEach((p, j) => {
+            p.groups[textType].forEach((item, i) => mergeTranslation(p.results, item, translations[j][i]));
+            if (onProgress) onProgress(prepared.indexOf(p), p.groups[textType].length);
+        });
+    }
 
-    const response = await fetch(url, {
+    return prepared.map(p => p.results);
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// LLM contextual refinement (GPT-4o-mini)
+// ──────────────────────────────────────────────────────────────────────
+
+const OPENAI_ENDPOINT = "https://api.openai.com/v1/chat/completions";
+
+/**
+ * Send a system + user prompt to GPT-4o-mini and parse the JSON array it
+ * answers with. Returns null (after logging) on an HTTP error, an empty
+ * answer or output that isn't a JSON array; network errors are thrown.
+ */
+async function requestJsonArray(env, systemPrompt, userPrompt, purpose) {
+    const response = await fetch(OPENAI_ENDPOINT, {
         method: "POST",
         headers: {
-            "Ocp-Apim-Subscription-Key": env.AZURE_TRANSLATOR_KEY,
-            "Ocp-Apim-Subscription-Region": env.AZURE_TRANSLATOR_REGION,
+            "Authorization": `Bearer ${env.OPENAI_API_KEY}`,
             "Content-Type": "application/json",
         },
-        body: JSON.stringify(azureBody),
+        body: JSON.stringify({
+            model: "gpt-4o-mini",
+            messages: [
+                { role: "system", content: systemPrompt },
+                { role: "user", content: userPrompt },
+            ],
+            temperature: 0.3,
+            max_tokens: 4096,
+        }),
     });
 
     if (!response.ok) {
-        const errText = await response.text();
-        throw new Error(`Azure Translator error (${response.status}): ${errText.slice(0, 200)}`);
+        console.error(`OpenAI ${purpose} error (${response.status})`);
+        return null;
     }
 
-    const azureResults = await response.json();
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content?.trim();
+    if (!content) return null;
 
-    // Merge Azure results back into the results array
-    azureLayers.forEach(({ originalIndex, layer }, i) => {
-        const translated = azureResults[i]?.translations?.[0]?.text || layer.text;
-        results[originalIndex] = {
-            id: layer.id,
-            translated: stripContext(translated, layer.layerName),
-        };
-    });
-
-    return results;
+    try {
+        const cleaned = content.replace(/^```json\s*/i, "").replace(/```\s*$/i, "").trim();
+        const parsed = JSON.parse(cleaned);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch {
+        console.error(`Failed to parse LLM ${purpose} output`);
+        return null;
+    }
 }
 
-// ──────────────────────────────────────────────────────────────────────
-// LLM contextual refinement (GPT-4o-mini)
-// ──────────────────────────────────────────────────────────────────────
-
-const OPENAI_ENDPOINT = "https://api.openai.com/v1/chat/completions";
+/**
+ * True if a rewrite (`after`) of a translation (`before`) keeps what the
+ * LLM must not break: the inline styling markup, the glossary terms and
+ * formatted values (see worker/formatting.js) the translation already had
+ * and every placeholder.
+ */
+function keepsRequirements(before, after, terms = [], values = []) {
+    if (!hasSameMarkup(before, after)) return false;
+    if (terms.length > 0 && missingTerms(after, terms).length > missingTerms(before, terms).length) return false;
+    if (values.length > 0 && missingValues(values, after).length > missingValues(values, before).length) return false;
+    return missingTokens(before, after).length === 0;
+}
 
 /**
  * Post-process Azure translations through GPT-4o-mini for contextual
@@ -238,34 +398,55 @@ const OPENAI_ENDPOINT = "https://api.openai.com/v1/chat/completions";
  * Refine translations via LLM, with automatic chunking for large frames.
  * Splits layers into chunks of LLM_CHUNK_SIZE to avoid exceeding
  * GPT-4o-mini's context window or max output tokens.
+ * `onChunk` (optional) receives each chunk's results as soon as it is done.
  */
-async function refineWithLLM(env, textLayers, azureResults, targetLocale, localeLabel, localeCurrencies) {
+async function refineWithLLM(env, textLayers, azureResults, targetLocale, localeLabel, localeCurrencies, glossaryTerms = [], currencyMode = "keep", onChunk = null) {
     // Skip if no OpenAI key configured — Azure results are used as-is
-    if (!env.OPENAI_API_KEY) return azureResults;
-
-    // Process in chunks to avoid context/output token limits
-    if (azureResults.length <= LLM_CHUNK_SIZE) {
-        return await refineChunkWithLLM(env, textLayers, azureResults, targetLocale, localeLabel, localeCurrencies);
+    if (!env.OPENAI_API_KEY) {
+        if (onChunk) onChunk(azureResults);
+        return azureResults;
     }
 
+    // Process in chunks to avoid context/output token limits
     const allResults = [];
     for (let i = 0; i < azureResults.length; i += LLM_CHUNK_SIZE) {
         const chunkAzure = azureResults.slice(i, i + LLM_CHUNK_SIZE);
         const chunkLayers = textLayers.slice(i, i + LLM_CHUNK_SIZE);
-        const chunkResults = await refineChunkWithLLM(env, chunkLayers, chunkAzure, targetLocale, localeLabel, localeCurrencies);
+        const refinedChunk = await refineChunkWithLLM(env, chunkLayers, chunkAzure, targetLocale, localeLabel, localeCurrencies, glossaryTerms, currencyMode);
+        const chunkResults = await shortenWithLLM(env, chunkLayers, refinedChunk, targetLocale, localeLabel, glossaryTerms);
+        if (onChunk) onChunk(chunkResults);
         allResults.push(...chunkResults);
     }
     return allResults;
 }
 
 /** Refine a single chunk of translations via GPT-4o-mini. */
-async function refineChunkWithLLM(env, textLayers, azureResults, targetLocale, localeLabel, localeCurrencies) {
+async function refineChunkWithLLM(env, textLayers, azureResults, targetLocale, localeLabel, localeCurrencies, glossaryTerms = [], currencyMode = "keep") {
     const pairs = azureResults.map((r, i) => ({
         id: r.id,
         layerName: textLayers[i]?.layerName || "",
+        ...(layerContext(textLayers[i]) ? { context: layerContext(textLayers[i]) } : {}),
+        ...promptBudget(layerBudget(textLayers[i], targetLocale)),
         original: textLayers[i]?.text || "",
         azureTranslation: r.translated,
+        ...(textLayers[i]?.format === "html" ? { format: "html" } : {}),
+        ...(textLayers[i]?.references ? { memory: textLayers[i].references } : {}),
+        ...(typeof textLayers[i]?.previous === "string" ? { previous: textLayers[i].previous } : {}),
+        ...(textLayers[i]?.formats?.values.length > 0 ? { formatted: textLayers[i].formats.values } : {}),
     }));
+    const hasMarkup = pairs.some(p => p.format === "html");
+    const hasTokens = pairs.some(p => findTokens(p.original).length > 0);
+    const hasPluralSamples = pairs.some(p => isPluralSampleId(p.id));
+    const hasReferences = pairs.some(p => p.memory);
+    const hasContext = pairs.some(p => p.context);
+    const hasBudgets = pairs.some(p => p.budget);
+    const hasPrevious = pairs.some(p => p.previous !== undefined);
+    const hasFormatted = pairs.some(p => p.formatted);
+
+    // Glossary terms used in this chunk, per layer (for validation) and merged (for the prompt)
+    const termsById = new Map(pairs.map(p => [p.id, matchTerms(glossaryTerms, p.original, targetLocale)]));
+    const chunkTerms = new Map();
+    termsById.forEach(matches => matches.forEach(m => chunkTerms.set(m.source.toLowerCase(), m)));
 
     const hasCurrency = localeCurrencies && localeCurrencies.length > 0;
     const currencyCode = hasCurrency ? localeCurrencies[0] : null;
@@ -273,7 +454,9 @@ async function refineChunkWithLLM(env, textLayers, azureResults, targetLocale, l
         ? `The user has explicitly selected this currency for the target locale: ${localeCurrencies.join(", ")}. You MUST use this currency — do NOT substitute the locale's default currency.`
         : "";
 
-    const currencyRule = hasCurrency
+    const currencyRule = currencyMode !== "keep"
+        ? `1. **Currencies**: Prices were converted to ${currencyCode || "the selected currency"} with the team's exchange rates; the converted amounts are listed in "formatted". Never convert or round an amount yourself — any other amount keeps its numeric value.`
+        : hasCurrency
         ? `1. **Currencies**: The user selected **${currencyCode}** as the target currency. You MUST convert ALL currency values to use the ${currencyCode} symbol and the target locale's number format. Keep the SAME numeric value — do NOT apply exchange rates. For example, if the target currency is EUR and locale is de-DE: $49.99 → 49,99 €, $1,200.50 → 1.200,50 €. If the target currency is INR and locale is hi-IN: $49.99 → ₹49.99. ALWAYS use the selected currency (${currencyCode}), even if it differs from the locale's default currency.`
         : `1. **Currencies**: Reformat currency values to the target locale's default currency symbol and number format. Keep the SAME numeric value — do NOT apply exchange rates. ALWAYS replace $ with the target locale's currency symbol and adjust decimal/thousands separators to match the locale's conventions.`;
 
@@ -287,48 +470,22 @@ ${currencyRule}
 4. **Tone & naturalness**: Make the text sound natural for a native speaker. Fix awkward machine translations.
 5. **Proper names & brands**: Do NOT translate brand names, product names, or proper nouns.
 6. **UI conventions**: Respect UI conventions for the target locale (e.g. "OK" stays "OK" in most languages).
-
+${hasMarkup ? `7. **Inline markup**: Items with "format": "html" contain styling tags — <span class="sN">…</span> marks bold, coloured or linked words and <br/> marks a line break. Keep every tag exactly as written, wrapped around the words that correspond to the original styled words. Never add, remove or rename tags, and keep HTML entities (&amp; &lt; &gt;) escaped.
+` : ""}${chunkTerms.size > 0 ? `8. **Glossary (hard constraints)**: These are the team's approved terms. Wherever the original contains a term, the translation MUST use exactly the listed target — never a synonym, paraphrase or different casing:
+${glossaryPromptRules(Array.from(chunkTerms.values()))}
+` : ""}${hasTokens ? `9. **Placeholders**: Tokens such as {name}, {{count}}, %s, %1$d, URLs and email addresses are filled in by the app or must stay verbatim. Copy every one exactly as it appears in the Azure translation — never translate, reformat, respace or drop them.
+` : ""}${hasPluralSamples ? `10. **Plural forms**: Items whose id contains "::plural=" are the same UI string rendered for different counts. Keep the number exactly as written, in digits, and inflect the surrounding words so they agree with that number in ${localeLabel || targetLocale}.
+` : ""}${hasReferences ? `11. **Translation memory**: Items with "memory" list the team's earlier translations of similar source text ({ source, translated, similarity }). Reuse their wording and terminology wherever the source matches, and change only what the differences in the source require.
+` : ""}${hasContext ? `12. **Layer context**: Items with "context" say where the text sits in the design — "role" (button, heading, label, tab, placeholder, link), "path" (enclosing frames and groups), "component" and "variant", and "siblings" (nearby text). Use it to choose the part of speech and register: "Book" on a button is an action (imperative verb), on a heading or tab it is usually a noun. Keep buttons, tabs and labels as short as the original, and phrase placeholders the way the locale's input hints usually are.
+` : ""}${hasBudgets ? `13. **Length budget**: Items with "budget" sit in a box of limited size: the translation must fit in about "maxChars" characters over at most "maxLines" lines. Prefer the shortest natural wording the locale uses for such UI text; never cut words off mid-way.
+` : ""}${hasPrevious ? `14. **Regenerated strings**: Items with "previous" were rejected by a reviewer, who asked for a new translation. Return a different, better wording than "previous" unless it is the only correct translation.
+` : ""}${hasFormatted ? `15. **Formatted values**: Items with "formatted" list prices, numbers, dates and times that are already formatted for ${targetLocale}${hasCurrency ? ` in ${currencyCode}` : ""}. They are final and take precedence over rules 1 and 2: copy each one exactly as it appears in the Azure translation — never convert, reformat or respace it.
+` : ""}
 IMPORTANT: Return ONLY a JSON array with objects { "id": "...", "translated": "..." }. No explanation, no markdown. Preserve the exact same "id" values. If a translation is already good, return it unchanged.`;
 
-    const userPrompt = JSON.stringify(pairs);
-
     try {
-        const response = await fetch(OPENAI_ENDPOINT, {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${env.OPENAI_API_KEY}`,
-                "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-                model: "gpt-4o-mini",
-                messages: [
-                    { role: "system", content: systemPrompt },
-                    { role: "user", content: userPrompt },
-                ],
-                temperature: 0.3,
-                max_tokens: 4096,
-            }),
-        });
-
-        if (!response.ok) {
-            console.error(`OpenAI refinement error (${response.status})`);
-            return azureResults;
-        }
-
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content?.trim();
-        if (!content) return azureResults;
-
-        let refined;
-        try {
-            const cleaned = content.replace(/^```json\s*/i, "").replace(/```\s*$/i, "").trim();
-            refined = JSON.parse(cleaned);
-        } catch {
-            console.error("Failed to parse LLM refinement output");
-            return azureResults;
-        }
-
-        if (!Array.isArray(refined)) return azureResults;
+        const refined = await requestJsonArray(env, systemPrompt, JSON.stringify(pairs), "refinement");
+        if (!refined) return azureResults;
 
         // Validate: ensure we got the expected number of results
         // (guards against truncated output)
@@ -337,16 +494,19 @@ IMPORTANT: Return ONLY a JSON array with objects { "id": "...", "translated": ".
             return azureResults;
         }
 
+        const azureById = new Map(azureResults.map(r => [r.id, r.translated]));
+        const formattedById = new Map(pairs.map(p => [p.id, p.formatted || []]));
         const refinedMap = new Map();
         for (const r of refined) {
-            if (r.id && typeof r.translated === "string") {
+            if (r.id && typeof r.translated === "string" && azureById.has(r.id) &&
+                keepsRequirements(azureById.get(r.id), r.translated, termsById.get(r.id), formattedById.get(r.id))) {
                 refinedMap.set(r.id, r.translated);
             }
         }
 
         return azureResults.map(r => ({
-            id: r.id,
-            translated: refinedMap.get(r.id) || r.translated,
+            ...r,
+            translated: r.rejected ? r.translated : (refinedMap.get(r.id) || r.translated),
         }));
     } catch (err) {
         console.error("LLM refinement failed:", err.message);
@@ -354,6 +514,63 @@ IMPORTANT: Return ONLY a JSON array with objects { "id": "...", "translated": ".
     }
 }
 
+/** The part of a length budget the prompt sees: { budget: { maxChars, maxLines } }, or nothing. */
+function promptBudget(budget) {
+    return budget ? { budget: { maxChars: budget.maxChars, maxLines: budget.maxLines } } : {};
+}
+
+/**
+ * Second pass for translations that clearly overflow their layer's length
+ * budget (see worker/budget.js): ask GPT-4o-mini for shorter alternatives
+ * and keep one only if it is narrower and keeps markup, glossary terms and
+ * placeholders. Results that still don't fit are returned unchanged — the
+ * plugin's overflow check reports them after applying.
+ */
+async function shortenWithLLM(env, textLayers, results, targetLocale, localeLabel, glossaryTerms = []) {
+    if (!env.OPENAI_API_KEY) return results;
+    const over = [];
+    results.forEach((r, i) => {
+        const budget = layerBudget(textLayers[i], targetLocale);
+        if (r && !r.rejected && exceedsBudget(r.translated, budget)) over.push({ result: r, layer: textLayers[i], budget });
+    });
+    if (over.length === 0) return results;
+
+    const items = over.map(({ result, layer, budget }) => ({
+        id: result.id,
+        original: layer.text,
+        translated: result.translated,
+        ...promptBudget(budget),
+        ...(layerContext(layer) ? { context: layerContext(layer) } : {}),
+        ...(layer.format === "html" ? { format: "html" } : {}),
+    }));
+    const systemPrompt = `You shorten UI translations into locale "${targetLocale}" (${localeLabel || "unknown"}) that are too long for their box in the design. For each item, rewrite "translated" — the translation of "original" — so it fits in about "budget.maxChars" characters over at most "budget.maxLines" lines.
+Keep the meaning and register, and use the wording or standard abbreviations a native UI in this locale would use; never cut words off. Keep every placeholder ({name}, %s, URLs), styling tag, product term, price, number and date from "translated" exactly as written. If there is no shorter natural wording, return "translated" unchanged.
+
+IMPORTANT: Return ONLY a JSON array with objects { "id": "...", "translated": "..." }. No explanation, no markdown. Preserve the exact same "id" values.`;
+
+    try {
+        const shortened = await requestJsonArray(env, systemPrompt, JSON.stringify(items), "shortening");
+        if (!shortened) return results;
+
+        const overById = new Map(over.map(entry => [entry.result.id, entry]));
+        const replacements = new Map();
+        for (const r of shortened) {
+            const entry = r && overById.get(r.id);
+            if (!entry || typeof r.translated !== "string" || !r.translated.trim()) continue;
+            const before = entry.result.translated;
+            const narrower = estimateWidth(r.translated, entry.budget.fontSize) < estimateWidth(before, entry.budget.fontSize);
+            const values = entry.layer.formats ? entry.layer.formats.values : [];
+            if (narrower && keepsRequirements(before, r.translated, matchTerms(glossaryTerms, entry.layer.text, targetLocale), values)) {
+                replacements.set(r.id, r.translated);
+            }
+        }
+        return results.map(r => (r && replacements.has(r.id) ? { ...r, translated: replacements.get(r.id) } : r));
+    } catch (err) {
+        console.error("LLM shortening failed:", err.message);
+        return results;
+    }
+}
+
 // ──────────────────────────────────────────────────────────────────────
 // Privacy policy
 // NOTE: Canonical source is worker/privacy.html. This inline copy is
@@ -388,7 +605,7 @@ const PRIVACY_POLICY_HTML = `<!DOCTYPE html>
 <body>
   <div class="container">
     <h1>Privacy Policy</h1>
-    <p class="subtitle">Localyse — Figma Plugin &middot; Last updated: February 2026</p>
+    <p class="subtitle">Localyse — Figma Plugin &middot; Last updated: October 2026</p>
 
     <h2>What Localyse Does</h2>
     <p>Localyse is a Figma plugin that translates text layers in your design frames into
@@ -401,9 +618,12 @@ const PRIVACY_POLICY_HTML = `<!DOCTYPE html>
     <ul>
       <li><strong>Text content</strong> from the text layers in your selected frame</li>
       <li><strong>Layer names</strong> (used as context hints for more accurate translations)</li>
+      <li><strong>Layer structure</strong> (names of the enclosing frames and components, and nearby text on the same screen — used as context hints)</li>
+      <li><strong>Layer size</strong> (width, font size and line limit of each text layer — used to keep translations short enough to fit)</li>
       <li><strong>Target locale code</strong> (e.g. fr, ja, ar)</li>
       <li><strong>Currency codes</strong> (if selected, e.g. USD, EUR — used for currency localisation)</li>
-      <li><strong>Your Figma user ID</strong> (used solely for rate limiting — 50 requests/day)</li>
+      <li><strong>Your Figma user ID</strong> (used solely for rate limiting)</li>
+      <li><strong>Team API key</strong> (if you enter one — selects your team's glossary and plan)</li>
       <li><strong>Your IP address</strong> (used as a secondary rate-limiting measure; stored temporarily for up to 24 hours)</li>
     </ul>
 
@@ -411,7 +631,8 @@ const PRIVACY_POLICY_HTML = `<!DOCTYPE html>
       <strong>We do not collect or log any of your design content.</strong> Text is forwarded to
       the translation services in real time and the response is returned to your plugin.
       Translated results may be cached on our servers for up to 1 hour to speed up repeated
-      requests — cached data auto-deletes after that. Your Figma user ID and IP address are
+      requests — cached data auto-deletes after that. Translated strings are also kept in your team's
+      translation memory so that repeated text is reused (see Data Storage). Your Figma user ID and IP address are
       stored temporarily (up to 24 hours) in counters for rate limiting purposes only.
     </div>
 
@@ -422,6 +643,14 @@ const PRIVACY_POLICY_HTML = `<!DOCTYPE html>
     transparency note</a> and <a href="https://privacy.microsoft.com/en-us/privacystatement" target="_blank">Privacy Statement</a>.
     Azure Translator does not store your submitted text after translation is complete.</p>
 
+    <p>If Azure is unavailable, or the proxy operator has configured a different translation provider,
+    your text content and target locale are sent to that provider instead: <strong>DeepL</strong>
+    (<a href="https://www.deepl.com/privacy" target="_blank">Privacy Policy</a>),
+    <strong>Google Cloud Translation</strong>
+    (<a href="https://cloud.google.com/terms/cloud-privacy-notice" target="_blank">Cloud Privacy Notice</a>)
+    or a <strong>LibreTranslate</strong> server run by the operator. Each request is translated by one
+    provider at a time, and only for as long as needed to return the result.</p>
+
     <p>Translations may also be refined through <strong>OpenAI's GPT-4o-mini</strong> model for
     contextual accuracy — improving currency formatting, date localisation, and natural phrasing.
     When this refinement is enabled, your text content and target locale are sent to the
@@ -438,24 +667,44 @@ const PRIVACY_POLICY_HTML = `<!DOCTYPE html>
     </ul>
 
     <h2>Rate Limiting</h2>
-    <p>To ensure fair usage, each user is limited to <strong>50 translation requests per day</strong>.
-    Your anonymous Figma user ID is stored in a temporary counter that automatically expires after
-    24 hours. As a secondary abuse-prevention measure, your IP address is also used for rate limiting
-    with a separate daily cap. No other data is associated with these counters.</p>
+    <p>To ensure fair usage, each user (or team) has a translation quota — by default
+    <strong>2,000 text layers per day</strong> (each target locale counts separately), measured over a rolling 24-hour window.
+    Your anonymous Figma user ID (or team ID) is stored in a temporary counter that automatically
+    expires 24 hours after your last request. As a secondary abuse-prevention measure, your IP address
+    is also used for rate limiting with a separate cap. No other data is associated with these counters.</p>
 
     <h2>Data Storage</h2>
     <p>Localyse does not have a traditional database. The translation proxy is a Cloudflare Worker
-    that uses temporary key-value storage for two purposes:</p>
+    that uses key-value storage and short-lived counters for six purposes:</p>
     <ul>
-      <li><strong>Rate-limit counters</strong> (user ID \u2192 request count, IP \u2192 request count) — auto-delete after 24 hours</li>
-      <li><strong>Translation cache</strong> (hashed request \u2192 translated result) — auto-deletes after 1 hour</li>
+      <li><strong>Rate-limit counters</strong> (user or team ID \u2192 usage per hour and today's request, layer and character counts per
+      locale, IP \u2192 usage per hour) — auto-delete after 24 hours</li>
+      <li><strong>Translation cache</strong> (hashed text layer and its context \u2192 translated layer) — auto-deletes after 1 hour</li>
+      <li><strong>Team glossaries</strong> (terms and translations your team adds in the Glossary panel, keyed by
+      team ID) — kept until your team deletes them</li>
+      <li><strong>Translation memory</strong> (source strings and their translations per team and locale,
+      including edits you make in the results panel) — reused on later runs; the oldest entries are dropped
+      once the memory is full</li>
+      <li><strong>Team API keys</strong> (a one-way hash of each key, with its team ID and label) — kept until
+      the key is revoked</li>
+      <li><strong>Exchange rates</strong> (a currency rate table your team uploads for price conversion, keyed by
+      team ID) — kept until it is replaced or deleted</li>
     </ul>
-    <p>No other data is stored. All temporary entries are automatically purged after their expiry.</p>
+    <p>No other data is stored. Temporary entries are automatically purged after their expiry; glossary
+    terms can be removed at any time from the plugin.</p>
 
     <h2>Your Rights</h2>
-    <p>Since we do not store personal data beyond a temporary anonymous counter, there is
-    nothing to request deletion of. The counter expires automatically. If you have any
-    questions or concerns, please contact us.</p>
+    <p>You can delete what is stored for your team at any time, using your team API key:</p>
+    <ul>
+      <li><strong>Glossary</strong> — remove terms with the delete button in the plugin's Team &amp; Glossary
+      panel (or <code>DELETE /glossary/terms/&lt;id&gt;</code>)</li>
+      <li><strong>Translation memory</strong> — <code>DELETE /tm?targetLocale=fr</code> forgets one locale,
+      <code>DELETE /tm</code> all of it</li>
+      <li><strong>Exchange rates</strong> — <code>DELETE /rates</code> removes your team's table</li>
+    </ul>
+    <p>Rate-limit counters (with your Figma user ID and IP address) expire after 24 hours and cached
+    translations after 1 hour, so there is nothing to request for those. Without a team key no translation
+    memory is kept. If you have any questions or concerns, please contact us.</p>
 
     <h2>Contact</h2>
     <p>For privacy-related questions, reach out at
@@ -470,33 +719,243 @@ const PRIVACY_POLICY_HTML = `<!DOCTYPE html>
 </html>`;
 
 // ──────────────────────────────────────────────────────────────────────
-// Translation caching (uses KV with 1-hour TTL)
+// Localisation pipeline (one or more locales per request)
 // ──────────────────────────────────────────────────────────────────────
 
-const CACHE_TTL = 3600; // 1 hour
+/**
+ * Validate a batch request's `targetLocales`: a list of
+ * { targetLocale, localeLabel?, localeCurrencies?, currencyMode? } (a bare
+ * locale string is accepted too); `currencyMode` defaults to the request's.
+ * Returns { locales } or { error } with a user-facing message.
+ */
+function parseTargetLocales(targetLocales, currencyMode = "keep") {
+    if (!Array.isArray(targetLocales) || targetLocales.length === 0) {
+        return { error: "\"targetLocales\" must be a non-empty array." };
+    }
+    if (targetLocales.length > MAX_BATCH_LOCALES) {
+        return { error: `Too many target locales (max ${MAX_BATCH_LOCALES}).` };
+    }
+    const locales = [];
+    for (const entry of targetLocales) {
+        const item = typeof entry === "string" ? { targetLocale: entry } : entry;
+        if (!item || typeof item.targetLocale !== "string" || !item.targetLocale) {
+            return { error: "Each target locale needs a \"targetLocale\" code." };
+        }
+        if (item.localeCurrencies !== undefined &&
+            (!Array.isArray(item.localeCurrencies) || item.localeCurrencies.some(c => typeof c !== "string"))) {
+            return { error: `"localeCurrencies" for ${item.targetLocale} must be an array of currency codes.` };
+        }
+        const { mode, error } = item.currencyMode === undefined ? { mode: currencyMode } : parseCurrencyMode(item.currencyMode);
+        if (error) return { error };
+        locales.push({
+            targetLocale: item.targetLocale,
+            localeLabel: typeof item.localeLabel === "string" ? item.localeLabel : "",
+            localeCurrencies: item.localeCurrencies || [],
+            currencyMode: mode,
+        });
+    }
+    return { locales };
+}
+
+/**
+ * Work out, per entry of `locales`, what is already translated: layers
+ * served from the team's translation memory (see worker/tm.js) or the
+ * segment cache (see worker/cache.js). Only the rest — `pending` — is
+ * translated and billed. Exact memory matches win over the cache, so edits
+ * written back to /tm apply immediately. With `regenerate` (a reviewer asked
+ * for a new translation) nothing is served: every layer is translated again.
+ * Layers with amounts converted at today's rates aren't served from memory.
+ * Only teams have a memory (`options.memory`): anonymous users can't edit,
+ * read or delete one, so none is kept for them.
+ * `options` = { team, memory, glossaryTag, provider, formality, regenerate, rates }.
+ */
+async function planLocalisation(env, textLayers, locales, glossary, options) {
+    // Locked layers ("#nt" prefix or doNotTranslate) skip translation and the LLM
+    const openLayers = textLayers.filter(l => !isLockedLayer(l));
+
+    return Promise.all(locales.map(async (locale, index) => {
+        const conversion = locale.currencyMode && locale.currencyMode !== "keep"
+            ? { mode: locale.currencyMode, rates: options.rates || null }
+            : null;
+        const scope = {
+            localeCurrencies: locale.localeCurrencies,
+            glossaryTag: options.glossaryTag,
+            provider: options.provider,
+            formality: options.formality,
+            conversion: conversion ? `${conversion.mode}:${ratesTag(conversion.rates)}` : null,
+        };
+        // Translation memory: exact matches skip translation, close ones guide the LLM.
+        // Plural layers aren't remembered — their samples depend on the locale's categories.
+        const memoryKeyName = options.memory ? memoryKey(options.team, locale.targetLocale, locale.localeCurrencies) : null;
+        const memory = memoryKeyName ? await loadMemory(env, memoryKeyName) : emptyMemory();
+        const remembered = openLayers.filter(l => !detectPlural(l) &&
+            !(conversion && layerFormats(l, locale.targetLocale, locale.localeCurrencies, conversion).converted));
+        const { exact, references } = lookupMemory(memory, remembered, glossary.version);
+        const served = new Map(options.regenerate ? [] : Array.from(exact, ([id, translated]) => [id, { id, translated, memory: true }]));
+
+        if (!options.regenerate) {
+            const cacheHits = await readCachedSegments(env, openLayers.filter(l => !served.has(l.id)), locale.targetLocale, scope);
+            for (const [id, hit] of cacheHits) served.set(id, hit);
+        }
+
+        const pending = openLayers.filter(l => !served.has(l.id));
+        return { ...locale, index, conversion, scope, served, references, pending, memoryKeyName };
+    }));
+}
 
-/** Generate a deterministic cache key from input text + target locale + currencies. */
-async function makeCacheKey(textLayers, targetLocale, localeCurrencies) {
-    const input = JSON.stringify({ texts: textLayers.map(l => l.text), locale: targetLocale, currencies: localeCurrencies || [] });
-    const encoded = new TextEncoder().encode(input);
-    const hashBuffer = await crypto.subtle.digest("SHA-256", encoded);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, "0")).join("");
-    return `cache:${targetLocale}:${hashHex.slice(0, 24)}`;
+/** Cache counts across all locales, as response headers: served layers are hits, pending ones misses. */
+function cacheHeaders(jobs) {
+    const hits = jobs.reduce((sum, job) => sum + job.served.size, 0);
+    const misses = jobs.reduce((sum, job) => sum + job.pending.length, 0);
+    return {
+        "X-Cache": misses === 0 ? "HIT" : hits === 0 ? "MISS" : "PARTIAL",
+        "X-Cache-Hits": String(hits),
+        "X-Cache-Misses": String(misses),
+    };
 }
 
-async function getCachedTranslation(env, cacheKey) {
-    try {
-        const cached = await env.RATE_LIMIT.get(cacheKey);
-        if (cached) return JSON.parse(cached);
-    } catch { /* cache miss */ }
-    return null;
+/**
+ * Translate the pending layers of every job (see planLocalisation). The
+ * locales share the provider calls (see translateWithProviders) and are
+ * then refined by the LLM concurrently, with close memory matches as
+ * references. Finished layers are remembered and cached per segment.
+ * Served layers are returned as they are, marked `memory` or `cached`.
+ * Prices, numbers, dates and times are formatted for each locale (and its
+ * selected currency, converted if the locale asks) before translation — see
+ * worker/formatting.js.
+ * Final translations carry `warnings` from the QA checks (worker/qa.js).
+ * `options` = { formality } — see planLocalisation.
+ *
+ * `onEvent` (optional) follows the work as it happens, for streaming:
+ *   { type: "progress", done, total }             layer steps (machine + refinement) across all locales
+ *   { type: "partial", index, targetLocale, translations }   layers finished so far for locale `index`
+ *   { type: "result", index, targetLocale, translations }    a locale's final translations
+ * Partial translations are served and machine results first, replaced by
+ * refined ones chunk by chunk; plural layers only arrive with the final result.
+ * @returns {Promise<{ translations: Object[] }[]>}
+ */
+async function localiseLayers(env, chain, textLayers, jobs, glossary, options, onEvent = null) {
+    const emit = onEvent || (() => {});
+    const lockedResults = textLayers.filter(isLockedLayer).map(l => ({ id: l.id, translated: l.text, locked: true }));
+    // Every layer in request order: locked, served, or from `results` — with QA warnings
+    const assemble = (job, results) => {
+        const byId = new Map([...job.served.values(), ...results].map(r => [r.id, r]));
+        return textLayers.map(l => {
+            if (isLockedLayer(l)) return { id: l.id, translated: l.text, locked: true };
+            const result = byId.get(l.id);
+            const warnings = qaWarnings(
+                l, result, job.targetLocale, matchTerms(glossary.terms, l.text, job.targetLocale),
+                layerFormats(l, job.targetLocale, job.localeCurrencies, job.conversion)
+            );
+            return warnings.length > 0 ? { ...result, warnings } : result;
+        });
+    };
+
+    for (const job of jobs) {
+        // Plural layers are sent as one sample sentence per plural category
+        const { layers, plans } = expandPluralLayers(job.pending, job.targetLocale);
+        job.sendLayers = layers.map(l => {
+            const formats = layerFormats(l, job.targetLocale, job.localeCurrencies, job.conversion);
+            return {
+                ...l,
+                ...(job.references.has(l.id) ? { references: job.references.get(l.id) } : {}),
+                formats: formats.values.length > 0 ? formats : undefined,
+            };
+        });
+        job.pluralPlans = plans;
+    }
+
+    // Progress counts every sent layer twice: machine translation, then refinement
+    const progress = { done: 0, total: jobs.reduce((sum, job) => sum + job.sendLayers.length * 2, 0) };
+    const advance = count => {
+        if (count === 0) return;
+        progress.done += count;
+        emit({ type: "progress", done: progress.done, total: progress.total });
+    };
+    // Layers that can be shown on their own (not plural samples or layers assembled from them)
+    const emitPartial = (job, results) => {
+        const translations = results.filter(r => r && !isPluralSampleId(r.id) && !job.pluralPlans.has(r.id));
+        if (translations.length > 0) emit({ type: "partial", index: job.index, targetLocale: job.targetLocale, translations });
+    };
+
+    for (const job of jobs) {
+        if (job.pending.length === 0) emit({ type: "result", index: job.index, targetLocale: job.targetLocale, translations: assemble(job, []) });
+    }
+    emit({ type: "progress", done: 0, total: progress.total });
+
+    // For same-language variants (e.g. en-US → en-IN), skip translation
+    // since it would return the text unchanged. Formatted values are
+    // already adapted; the LLM handles whatever the formatter didn't parse.
+    const isSourceLanguage = locale => locale === "en" || locale.startsWith("en-");
+    const toTranslate = jobs.filter(job => job.sendLayers.length > 0 && !isSourceLanguage(job.targetLocale));
+    const machine = await translateWithProviders(
+        env, chain,
+        toTranslate.map(job => ({ textLayers: job.sendLayers, targetLocale: job.targetLocale })),
+        glossary.terms, options.formality,
+        (_job, count) => advance(count)
+    );
+    toTranslate.forEach((job, i) => { job.machine = machine[i]; });
+
+    return Promise.all(jobs.map(async job => {
+        if (job.pending.length === 0) return { translations: assemble(job, []) };
+
+        // Pass-through for the source language: use original text as the "translation"
+        const azureTranslations = job.machine || job.sendLayers.map(l => ({ id: l.id, translated: l.formats ? l.formats.text : l.text }));
+        if (!job.machine) advance(job.sendLayers.length);
+        emitPartial(job, [...lockedResults, ...job.served.values(), ...azureTranslations]);
+
+        // Contextual refinement via LLM (currency, dates, naturalness)
+        // Skipped gracefully if OPENAI_API_KEY is not configured
+        const refined = await refineWithLLM(
+            env, job.sendLayers, azureTranslations, job.targetLocale, job.localeLabel, job.localeCurrencies, glossary.terms, job.currencyMode,
+            chunk => {
+                advance(chunk.length);
+                emitPartial(job, chunk);
+            }
+        );
+        const collapsed = collapsePluralResults(job.pending, refined, job.pluralPlans, job.targetLocale);
+        const translations = assemble(job, collapsed);
+
+        // --- Remember new segments, and cache them for later requests ---
+        const finished = job.pending.map((layer, i) => ({ layer, result: collapsed[i] }));
+        // Converted prices depend on the day's rates, so they aren't remembered
+        const generated = finished
+            .filter(({ layer, result }) => result && !result.rejected && !detectPlural(layer) &&
+                !(job.conversion && layerFormats(layer, job.targetLocale, job.localeCurrencies, job.conversion).converted))
+            .map(({ layer, result }) => ({ source: layer.text, target: result.translated }));
+        if (job.memoryKeyName) await updateMemory(env, options.team, job.memoryKeyName, generated, glossary.version, "mt");
+        await writeCachedSegments(env, finished, job.targetLocale, job.scope);
+        emit({ type: "result", index: job.index, targetLocale: job.targetLocale, translations });
+        return { translations };
+    }));
 }
 
-async function setCachedTranslation(env, cacheKey, data) {
-    try {
-        await env.RATE_LIMIT.put(cacheKey, JSON.stringify(data), { expirationTtl: CACHE_TTL });
-    } catch { /* non-critical, ignore */ }
+/**
+ * Run `work(onEvent)` and stream its events to the client as NDJSON, one
+ * JSON object per line, ending with { type: "done" } or { type: "error" }.
+ * Used when the request sends `Accept: application/x-ndjson`.
+ */
+function ndjsonResponse(headers, work) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    // A client that went away must not abort the work (the result is still cached)
+    const send = event => writer.write(encoder.encode(JSON.stringify(event) + "\n")).catch(() => {});
+
+    (async () => {
+        try {
+            await work(send);
+            await send({ type: "done" });
+        } catch (err) {
+            await send({ type: "error", error: "Translation error: " + (err.message || "unknown") });
+        }
+        await writer.close().catch(() => {});
+    })();
+
+    return new Response(readable, {
+        status: 200,
+        headers: { ...headers, "Content-Type": "application/x-ndjson; charset=utf-8", "Cache-Control": "no-store" },
+    });
 }
 
 // ──────────────────────────────────────────────────────────────────────
@@ -520,40 +979,118 @@ export default {
             });
         }
 
+        // Target languages of the active (or requested) translation provider
+        if (request.method === "GET" && url.pathname === "/languages") {
+            const { chain, error } = providerChain(env, url.searchParams.get("provider"));
+            if (error) return Response.json({ error }, { status: 400, headers: CORS_HEADERS });
+            try {
+                return Response.json(await listLanguages(env, chain), { status: 200, headers: CORS_HEADERS });
+            } catch (err) {
+                return Response.json(
+                    { error: "Languages error: " + (err.message || "unknown") },
+                    { status: 502, headers: CORS_HEADERS }
+                );
+            }
+        }
+
+        // Quota and today's usage for the calling team (or anonymous user)
+        if (request.method === "GET" && url.pathname === "/usage") {
+            try {
+                const { identity, error } = await authenticate(request, env);
+                if (error) return Response.json({ error }, { status: 401, headers: CORS_HEADERS });
+                const plan = planFor(env, identity);
+                const { usage, ...quota } = await readUsage(env, { subject: identity.team, plan });
+                return Response.json({
+                    plan: { name: plan.name, limit: plan.limit, window: plan.window, weight: plan.weight },
+                    limit: quota.limit,
+                    used: quota.limit - quota.remaining,
+                    remaining: quota.remaining,
+                    resetAt: quota.resetAt,
+                    today: usage,
+                }, { status: 200, headers: { ...CORS_HEADERS, ...rateLimitHeaders(quota), "Cache-Control": "no-store" } });
+            } catch (err) {
+                return Response.json(
+                    { error: "Usage error: " + (err.message || "unknown") },
+                    { status: 500, headers: CORS_HEADERS }
+                );
+            }
+        }
+
+        // Team API keys — see worker/auth.js
+        if (url.pathname === "/admin" || url.pathname.startsWith("/admin/")) {
+            try {
+                return await handleAdminRequest(request, env, CORS_HEADERS);
+            } catch (err) {
+                return Response.json(
+                    { error: "Admin error: " + (err.message || "unknown") },
+                    { status: 500, headers: CORS_HEADERS }
+                );
+            }
+        }
+
+        // Team glossary CRUD — see worker/glossary.js
+        // The team comes from the API key; anonymous users can only read theirs.
+        if (url.pathname === "/glossary" || url.pathname.startsWith("/glossary/")) {
+            try {
+                const { identity, error } = await authenticate(request, env);
+                if (error) return Response.json({ error }, { status: 401, headers: CORS_HEADERS });
+                const forbidden = writeAccessError(request, identity, "Changing the glossary");
+                if (forbidden) return Response.json({ error: forbidden }, { status: 403, headers: CORS_HEADERS });
+                return await handleGlossaryRequest(request, env, identity.team, CORS_HEADERS);
+            } catch (err) {
+                return Response.json(
+                    { error: "Glossary error: " + (err.message || "unknown") },
+                    { status: 500, headers: CORS_HEADERS }
+                );
+            }
+        }
+
+        // Exchange rates for currency conversion — see worker/rates.js
+        if (url.pathname === "/rates") {
+            try {
+                const { identity, error } = await authenticate(request, env);
+                if (error) return Response.json({ error }, { status: 401, headers: CORS_HEADERS });
+                const forbidden = writeAccessError(request, identity, "Changing exchange rates");
+                if (forbidden) return Response.json({ error: forbidden }, { status: 403, headers: CORS_HEADERS });
+                return await handleRatesRequest(request, env, identity.team, CORS_HEADERS);
+            } catch (err) {
+                return Response.json(
+                    { error: "Rates error: " + (err.message || "unknown") },
+                    { status: 500, headers: CORS_HEADERS }
+                );
+            }
+        }
+
+        // Translation memory write-back (edits from the results panel) — see worker/tm.js
+        if (url.pathname === "/tm") {
+            try {
+                const { identity, error } = await authenticate(request, env);
+                if (error) return Response.json({ error }, { status: 401, headers: CORS_HEADERS });
+                const forbidden = writeAccessError(request, identity, "Changing the translation memory");
+                if (forbidden) return Response.json({ error: forbidden }, { status: 403, headers: CORS_HEADERS });
+                const glossary = await loadGlossary(env, identity.team);
+                return await handleMemoryRequest(request, env, identity.team, glossary.version, CORS_HEADERS);
+            } catch (err) {
+                return Response.json(
+                    { error: "Translation memory error: " + (err.message || "unknown") },
+                    { status: 500, headers: CORS_HEADERS }
+                );
+            }
+        }
+
         // Only allow POST for translations
         if (request.method !== "POST") {
             return new Response("Method not allowed", { status: 405, headers: CORS_HEADERS });
         }
 
-        // Validate secrets
-        if (!env.AZURE_TRANSLATOR_KEY || !env.AZURE_TRANSLATOR_REGION) {
+        // At least one translation provider must be configured
+        if (providerChain(env).chain.length === 0) {
             return Response.json(
-                { error: "Server misconfigured: missing Azure Translator credentials." },
+                { error: "Server misconfigured: no translation provider credentials." },
                 { status: 500, headers: CORS_HEADERS }
             );
         }
 
-        // Rate limiting — get user ID from header + IP for secondary defense
-        const userId = request.headers.get("X-User-Id") || "anonymous";
-        const ipAddress = request.headers.get("CF-Connecting-IP") || "";
-        const rateCheck = await checkRateLimit(env, userId, ipAddress);
-
-        if (!rateCheck.allowed) {
-            return Response.json(
-                {
-                    error: "Daily limit reached (50 translations/day). Please try again tomorrow.",
-                    rateLimited: true,
-                },
-                {
-                    status: 429,
-                    headers: {
-                        ...CORS_HEADERS,
-                        "X-RateLimit-Remaining": "0",
-                    },
-                }
-            );
-        }
-
         try {
             // --- Payload size guard ---
             const contentLength = parseInt(request.headers.get("Content-Length") || "0");
@@ -564,14 +1101,25 @@ export default {
                 );
             }
 
-            const { textLayers, targetLocale, localeLabel, localeCurrencies } = await request.json();
+            const {
+                textLayers, targetLocale, targetLocales, localeLabel, localeCurrencies, currencyMode: currencyModeInput,
+                provider, formality: formalityInput, regenerate,
+            } = await request.json();
+            const isBatch = targetLocales !== undefined;
 
-            if (!textLayers || !Array.isArray(textLayers) || !targetLocale) {
+            if (!textLayers || !Array.isArray(textLayers) || (!targetLocale && !isBatch)) {
                 return Response.json(
-                    { error: "Invalid request. Expected { textLayers, targetLocale }." },
+                    { error: "Invalid request. Expected { textLayers, targetLocale } or { textLayers, targetLocales }." },
                     { status: 400, headers: CORS_HEADERS }
                 );
             }
+            const { mode: currencyMode, error: currencyModeError } = parseCurrencyMode(currencyModeInput);
+            const { locales, error: localesError } = currencyModeError ? { error: currencyModeError } : isBatch
+                ? parseTargetLocales(targetLocales, currencyMode)
+                : { locales: [{ targetLocale, localeLabel, localeCurrencies, currencyMode }] };
+            if (localesError) {
+                return Response.json({ error: localesError }, { status: 400, headers: CORS_HEADERS });
+            }
 
             // --- Input validation: layer count and text length ---
             if (textLayers.length > MAX_TEXT_LAYERS) {
@@ -581,7 +1129,8 @@ export default {
                 );
             }
             for (const layer of textLayers) {
-                if (typeof layer.text === "string" && layer.text.length > MAX_TEXT_LENGTH) {
+                const longest = Math.max(...[layer.text, layer.previous].map(t => (typeof t === "string" ? t.length : 0)));
+                if (longest > MAX_TEXT_LENGTH) {
                     return Response.json(
                         { error: `Text layer "${(layer.layerName || "").slice(0, 30)}" exceeds max length (${MAX_TEXT_LENGTH} chars).` },
                         { status: 400, headers: CORS_HEADERS }
@@ -589,50 +1138,78 @@ export default {
                 }
             }
 
-            // --- Check translation cache ---
-            const cacheKey = await makeCacheKey(textLayers, targetLocale, localeCurrencies);
-            const cached = await getCachedTranslation(env, cacheKey);
-            if (cached) {
-                return Response.json(cached, {
-                    status: 200,
-                    headers: {
-                        ...CORS_HEADERS,
-                        "X-RateLimit-Remaining": String(rateCheck.remaining),
-                        "X-Cache": "HIT",
-                    },
-                });
+            // --- Provider choice (optional per-request override) and formality ---
+            const { chain, error: providerError } = providerChain(env, provider);
+            const { formality, error: formalityError } = parseFormality(formalityInput);
+            if (providerError || formalityError) {
+                return Response.json(
+                    { error: providerError || formalityError },
+                    { status: 400, headers: CORS_HEADERS }
+                );
             }
 
-            // For same-language variants (e.g. en-US → en-IN), skip Azure
-            // since it would return the text unchanged. Let the LLM handle
-            // currency, date, and number format adaptation.
-            const isSourceLanguage = targetLocale === "en" || targetLocale.startsWith("en-");
-
-            let azureTranslations;
-            if (isSourceLanguage) {
-                // Pass-through: use original text as the "translation"
-                azureTranslations = textLayers.map(l => ({
-                    id: l.id,
-                    translated: l.text,
-                }));
-            } else {
-                azureTranslations = await translateWithAzure(env, textLayers, targetLocale);
+            // --- Identity: a team API key, or an anonymous user on the free plan ---
+            const { identity, error: authError } = await authenticate(request, env);
+            if (authError) {
+                return Response.json({ error: authError }, { status: 401, headers: CORS_HEADERS });
+            }
+            const team = identity.team;
+
+            // --- Team glossary (terms are enforced in translation and the LLM prompt) ---
+            const glossary = await loadGlossary(env, team);
+            const glossaryTag = glossary.terms.length > 0 ? `${team}@${glossary.version}` : null;
+
+            // --- Exchange rates, when a locale converts its prices ---
+            const rates = locales.some(l => l.currencyMode !== "keep") ? await loadRates(env, team) : null;
+
+            const localiseOptions = {
+                team,
+                memory: !identity.anonymous,
+                glossaryTag,
+                provider: provider ? chain[0].name : null,
+                formality,
+                regenerate: regenerate === true,
+                rates,
+            };
+
+            // --- Translation memory and segment cache: only the rest is translated ---
+            const jobs = await planLocalisation(env, textLayers, locales, glossary, localiseOptions);
+
+            // --- Rate limiting: the team's plan, weighted by the work left to do, with
+            // the client IP as a secondary counter against spoofed user IDs ---
+            const plan = planFor(env, identity);
+            const cost = pendingCost(plan, jobs.map(job => job.pending));
+            const quota = await checkRateLimit(env, {
+                subject: team,
+                ipAddress: request.headers.get("CF-Connecting-IP") || "",
+                plan,
+                cost,
+                usage: requestUsage(textLayers, locales.map(l => l.targetLocale)),
+            });
+            if (!quota.allowed) {
+                return Response.json(
+                    { error: rateLimitMessage(plan, quota, cost), rateLimited: true },
+                    { status: 429, headers: { ...CORS_HEADERS, ...rateLimitHeaders(quota) } }
+                );
             }
 
-            // Contextual refinement via LLM (currency, dates, naturalness)
-            // Skipped gracefully if OPENAI_API_KEY is not configured
-            const translations = await refineWithLLM(env, textLayers, azureTranslations, targetLocale, localeLabel, localeCurrencies);
+            // Streaming: progress and partial results as each provider call and LLM chunk finishes
+            if ((request.headers.get("Accept") || "").includes("application/x-ndjson")) {
+                return ndjsonResponse(
+                    { ...CORS_HEADERS, ...rateLimitHeaders(quota), ...cacheHeaders(jobs) },
+                    send => localiseLayers(env, chain, textLayers, jobs, glossary, localiseOptions, send)
+                );
+            }
 
-            // --- Store in cache for future identical requests ---
-            await setCachedTranslation(env, cacheKey, translations);
+            const localised = await localiseLayers(env, chain, textLayers, jobs, glossary, localiseOptions);
+            const headers = { ...CORS_HEADERS, ...rateLimitHeaders(quota), ...cacheHeaders(jobs) };
 
-            return Response.json(translations, {
-                status: 200,
-                headers: {
-                    ...CORS_HEADERS,
-                    "X-RateLimit-Remaining": String(rateCheck.remaining),
-                },
-            });
+            if (!isBatch) {
+                return Response.json(localised[0].translations, { status: 200, headers });
+            }
+            return Response.json({
+                results: localised.map((l, i) => ({ targetLocale: locales[i].targetLocale, translations: l.translations })),
+            }, { status: 200, headers });
         } catch (err) {
             return Response.json(
                 { error: "Translation error: " + (err.message || "unknown") },
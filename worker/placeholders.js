@@ -0,0 +1,136 @@
+/**
+ * Localyse — protected tokens
+ *
+ * Machine translation regularly mangles `{name}`, `%s`, `{{count}}`, inline
+ * tags and URLs. Before a layer goes to Azure, every such token is wrapped in
+ *   <span class="notranslate" translate="no" data-ph="N">{name}</span>
+ * (layers containing tokens are always sent with Azure's HTML text type),
+ * and afterwards the spans are swapped back for the original tokens. A layer
+ * whose output lost a token is rejected instead of shipping a broken string.
+ *
+ * Numbers, prices and dates already formatted for the target locale (see
+ * worker/formatting.js) are protected the same way, as literal tokens.
+ *
+ * Layers can also be locked completely: a layer name starting with "#nt", or
+ * `doNotTranslate: true` on the layer (set by the plugin from plugin data).
+ */
+
+// Order matters — earlier patterns win where matches overlap (a URL
+// containing "{id}" is one token, not two).
+const TOKEN_SOURCES = [
+    /(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]]/.source,        // URLs (trailing punctuation excluded)
+    /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/.source, // emails
+    /\{\{[^{}]*\}\}/.source,                                             // {{count}} — mustache / handlebars
+    /\$\{[^{}]*\}/.source,                                               // ${var}
+    /\{\s*[A-Za-z_][\w.-]*\s*(?:,\s*(?:number|date|time|spellout|ordinal|duration)\s*(?:,[^{}]*)?)?\}/.source, // ICU {name}, {n, number}
+    /\{\d+\}/.source,                                                    // {0} — positional
+    /%\([A-Za-z_]\w*\)[sdif]/.source,                                    // %(name)s — Python
+    /%(?:\d+\$)?[-+0#]?\d*(?:\.\d+)?(?:l{0,2}|h)[sdifuxXeEgGc@]/.source, // %s, %1$d, %.2f, %@ — printf
+    /<\/?[A-Za-z][\w-]*(?:\s[^<>]*)?\/?>/.source,                        // <b>, </b>, <br/> in plain text
+];
+
+const TOKEN_PATTERN = new RegExp(TOKEN_SOURCES.join("|"), "g");
+
+/** Protected tokens in a plain string, in order of appearance. */
+export function findTokens(text) {
+    return String(text).match(TOKEN_PATTERN) || [];
+}
+
+/** True for layers that must be returned exactly as they are. */
+export function isLockedLayer(layer) {
+    return layer.doNotTranslate === true || /^#nt(?![A-Za-z0-9])/i.test(layer.layerName || "");
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function decodeEntities(text) {
+    return String(text)
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&#0*39;|&apos;/g, "'")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&");
+}
+
+/** Plain text → HTML-mode text, so it can carry notranslate spans. */
+export function plainToMarkup(text) {
+    return escapeHtml(text).replace(/\n/g, "<br/>");
+}
+
+/** Inverse of plainToMarkup for a translated result. */
+export function markupToPlain(markup) {
+    return decodeEntities(String(markup).replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]*>/g, ""));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Wrap every token in the text parts of an HTML-mode string (tags are left
+ * alone) in a numbered notranslate span. `literals` are extra strings to
+ * protect as they are (formatted values); they win over the patterns.
+ * @returns {{ text: string, tokens: string[] }}
+ */
+export function protectTokens(markup, literals = []) {
+    const pattern = literals.length === 0 ? TOKEN_PATTERN : new RegExp([
+        ...[...new Set(literals)].sort((a, b) => b.length - a.length).map(escapeRegExp),
+        ...TOKEN_SOURCES,
+    ].join("|"), "g");
+    const tokens = [];
+    const text = String(markup).split(/(<[^>]*>)/).map(part => {
+        if (part.startsWith("<")) return part;
+        const plain = decodeEntities(part);
+        const first = tokens.length;
+        let out = "";
+        let last = 0;
+        for (const match of plain.matchAll(pattern)) {
+            out += escapeHtml(plain.slice(last, match.index));
+            out += `<span class="notranslate" translate="no" data-ph="${tokens.length}">${escapeHtml(match[0])}</span>`;
+            tokens.push(match[0]);
+            last = match.index + match[0].length;
+        }
+        if (tokens.length === first) return part; // untouched — keep the original entities
+        return out + escapeHtml(plain.slice(last));
+    }).join("");
+    return { text, tokens };
+}
+
+/**
+ * Swap notranslate spans back for their tokens (HTML-escaped, so the result
+ * is still HTML-mode text). `missing` lists tokens the translation dropped;
+ * a token that appears twice is reported too.
+ * @returns {{ text: string, missing: string[] }}
+ */
+export function restoreTokens(markup, tokens) {
+    const seen = new Array(tokens.length).fill(0);
+    const text = String(markup).replace(
+        /<span\b[^>]*\bdata-ph\s*=\s*["']?(\d+)["']?[^>]*>[\s\S]*?<\/span\s*>/gi,
+        (whole, index) => {
+            const n = Number(index);
+            if (n >= tokens.length) return whole;
+            seen[n]++;
+            return escapeHtml(tokens[n]);
+        }
+    );
+    const missing = tokens.filter((_, i) => seen[i] !== 1);
+    return { text, missing };
+}
+
+/**
+ * Tokens of `reference` that don't survive in `translated` (counting
+ * repeats). Used to reject LLM refinements that break placeholders.
+ */
+export function missingTokens(reference, translated) {
+    const available = findTokens(decodeEntities(translated));
+    const missing = [];
+    for (const token of findTokens(decodeEntities(reference))) {
+        const at = available.indexOf(token);
+        if (at === -1) missing.push(token);
+        else available.splice(at, 1);
+    }
+    return missing;
+}
@@ -0,0 +1,68 @@
+/**
+ * Localyse — Microsoft Azure Translator adapter
+ *
+ * Secrets: AZURE_TRANSLATOR_KEY, AZURE_TRANSLATOR_REGION
+ * Supports HTML text, notranslate spans and dynamic dictionary markup
+ * (used for team glossaries). No formality control.
+ */
+
+import { chunkTexts, fetchJson } from "./http.js";
+
+const AZURE_ENDPOINT = "https://api.cognitive.microsofttranslator.com";
+const AZURE_API_VERSION = "3.0";
+// Azure request limits: 1000 array elements and 50,000 characters per call,
+// where every extra target language counts the characters again
+const AZURE_MAX_TEXTS = 1000;
+const AZURE_MAX_CHARS = 50000;
+
+/** Translate into one or more targets in the same call; returns one array per target. */
+async function translateToTargets(env, texts, targetLocales, textType) {
+    const url = `${AZURE_ENDPOINT}/translate?api-version=${AZURE_API_VERSION}` +
+        targetLocales.map(locale => `&to=${encodeURIComponent(locale)}`).join("") +
+        (textType === "html" ? "&textType=html" : "");
+    const maxChars = Math.floor(AZURE_MAX_CHARS / targetLocales.length);
+    const perTarget = targetLocales.map(() => []);
+    for (const batch of chunkTexts(texts, AZURE_MAX_TEXTS, maxChars)) {
+        const results = await fetchJson("Azure Translator", url, {
+            method: "POST",
+            headers: {
+                "Ocp-Apim-Subscription-Key": env.AZURE_TRANSLATOR_KEY,
+                "Ocp-Apim-Subscription-Region": env.AZURE_TRANSLATOR_REGION,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify(batch.map(text => ({ Text: text }))),
+        });
+        // Each result lists its translations in the order of the `to` parameters
+        targetLocales.forEach((_, t) => {
+            perTarget[t].push(...batch.map((text, i) => results[i]?.translations?.[t]?.text || text));
+        });
+    }
+    return perTarget;
+}
+
+/** @type {import("./index.js").TranslationProvider} */
+export const azure = {
+    name: "azure",
+    label: "Azure Translator",
+    formality: false,
+    dictionaryMarkup: true,
+
+    isConfigured(env) {
+        return !!(env.AZURE_TRANSLATOR_KEY && env.AZURE_TRANSLATOR_REGION);
+    },
+
+    async translate(env, texts, targetLocale, { textType }) {
+        return (await translateToTargets(env, texts, [targetLocale], textType))[0];
+    },
+
+    async translateMany(env, texts, targetLocales, { textType }) {
+        return translateToTargets(env, texts, targetLocales, textType);
+    },
+
+    async languages() {
+        const data = await fetchJson("Azure Translator", `${AZURE_ENDPOINT}/languages?api-version=${AZURE_API_VERSION}&scope=translation`, {
+            headers: { "Accept-Language": "en" },
+        });
+        return Object.entries(data.translation || {}).map(([code, info]) => ({ code, name: info.name }));
+    },
+};
@@ -0,0 +1,69 @@
+/**
+ * Localyse — DeepL adapter
+ *
+ * Secret: DEEPL_API_KEY (free-plan keys end in ":fx" and use api-free.deepl.com)
+ * Supports HTML tag handling (translate="no" spans are kept) and formality.
+ */
+
+import { translateInBatches, fetchJson } from "./http.js";
+
+// DeepL request limits: 50 texts and 128 KiB per call
+const DEEPL_MAX_TEXTS = 50;
+const DEEPL_MAX_CHARS = 100000;
+
+function deeplBase(env) {
+    return String(env.DEEPL_API_KEY).endsWith(":fx") ? "https://api-free.deepl.com" : "https://api.deepl.com";
+}
+
+function deeplHeaders(env) {
+    return {
+        "Authorization": `DeepL-Auth-Key ${env.DEEPL_API_KEY}`,
+        "Content-Type": "application/json",
+    };
+}
+
+/** Worker locale ("pt-PT", "zh-Hans", "fr-ca") → DeepL target_lang ("PT-PT", "ZH-HANS", "FR"). */
+export function deeplTargetLang(targetLocale) {
+    const lower = String(targetLocale).toLowerCase();
+    const base = lower.split("-")[0];
+    if (base === "en") return lower === "en-gb" ? "EN-GB" : "EN-US";
+    if (base === "pt") return lower === "pt-pt" ? "PT-PT" : "PT-BR";
+    if (lower === "zh-hant" || lower === "zh-tw" || lower === "zh-hk") return "ZH-HANT";
+    if (base === "zh") return "ZH-HANS";
+    return base.toUpperCase();
+}
+
+/** @type {import("./index.js").TranslationProvider} */
+export const deepl = {
+    name: "deepl",
+    label: "DeepL",
+    formality: true,
+    dictionaryMarkup: false,
+
+    isConfigured(env) {
+        return !!env.DEEPL_API_KEY;
+    },
+
+    async translate(env, texts, targetLocale, { textType, formality }) {
+        return translateInBatches(texts, DEEPL_MAX_TEXTS, DEEPL_MAX_CHARS, async batch => {
+            const data = await fetchJson("DeepL", `${deeplBase(env)}/v2/translate`, {
+                method: "POST",
+                headers: deeplHeaders(env),
+                body: JSON.stringify({
+                    text: batch,
+                    source_lang: "EN",
+                    target_lang: deeplTargetLang(targetLocale),
+                    ...(textType === "html" ? { tag_handling: "html" } : {}),
+                    // "prefer_" variants fall back silently for languages without formality
+                    ...(formality ? { formality: formality === "formal" ? "prefer_more" : "prefer_less" } : {}),
+                }),
+            });
+            return batch.map((text, i) => data.translations?.[i]?.text || text);
+        });
+    },
+
+    async languages(env) {
+        const data = await fetchJson("DeepL", `${deeplBase(env)}/v2/languages?type=target`, { headers: deeplHeaders(env) });
+        return data.map(lang => ({ code: lang.language, name: lang.name, formality: !!lang.supports_formality }));
+    },
+};
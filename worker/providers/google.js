@@ -0,0 +1,119 @@
+/**
+ * Localyse — Google Cloud Translation (v3) adapter
+ *
+ * Secrets: GOOGLE_PROJECT_ID, GOOGLE_SERVICE_ACCOUNT_KEY (the service
+ * account's JSON key; needs the "Cloud Translation API User" role).
+ * The key is exchanged for an OAuth access token, which is kept in memory
+ * until shortly before it expires. Supports HTML; no formality control.
+ */
+
+import { translateInBatches, fetchJson } from "./http.js";
+
+const GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token";
+const GOOGLE_SCOPE = "https://www.googleapis.com/auth/cloud-translation";
+// v3 limits: 1024 strings per call, 30,000 code points recommended
+const GOOGLE_MAX_TEXTS = 1024;
+const GOOGLE_MAX_CHARS = 30000;
+
+let cachedToken = null; // { email, token, expiresAt }
+
+function base64Url(bytes) {
+    let binary = "";
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function pemToDer(pem) {
+    const body = String(pem).replace(/-----[^-]+-----/g, "").replace(/\s+/g, "");
+    return Uint8Array.from(atob(body), c => c.charCodeAt(0));
+}
+
+/** OAuth access token for the service account (signed JWT bearer grant). */
+async function accessToken(env) {
+    const account = JSON.parse(env.GOOGLE_SERVICE_ACCOUNT_KEY);
+    if (cachedToken && cachedToken.email === account.client_email && cachedToken.expiresAt > Date.now() + 60000) {
+        return cachedToken.token;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const encoder = new TextEncoder();
+    const header = base64Url(encoder.encode(JSON.stringify({ alg: "RS256", typ: "JWT" })));
+    const claims = base64Url(encoder.encode(JSON.stringify({
+        iss: account.client_email,
+        scope: GOOGLE_SCOPE,
+        aud: GOOGLE_TOKEN_URL,
+        iat: now,
+        exp: now + 3600,
+    })));
+    const key = await crypto.subtle.importKey(
+        "pkcs8",
+        pemToDer(account.private_key),
+        { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+        false,
+        ["sign"]
+    );
+    const signature = await crypto.subtle.sign("RSASSA-PKCS1-v1_5", key, encoder.encode(`${header}.${claims}`));
+
+    const data = await fetchJson("Google OAuth", GOOGLE_TOKEN_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+            grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+            assertion: `${header}.${claims}.${base64Url(new Uint8Array(signature))}`,
+        }),
+    });
+    cachedToken = { email: account.client_email, token: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 };
+    return cachedToken.token;
+}
+
+function projectUrl(env) {
+    return `https://translation.googleapis.com/v3/projects/${encodeURIComponent(env.GOOGLE_PROJECT_ID)}/locations/global`;
+}
+
+/** Worker locale → Google language code ("zh-Hans" → "zh-CN", "fr-ca" → "fr-CA"). */
+export function googleTargetLang(targetLocale) {
+    const lower = String(targetLocale).toLowerCase();
+    if (lower === "zh-hans") return "zh-CN";
+    if (lower === "zh-hant") return "zh-TW";
+    const [base, region] = String(targetLocale).split("-");
+    return region && region.length === 2 ? `${base.toLowerCase()}-${region.toUpperCase()}` : String(targetLocale);
+}
+
+/** @type {import("./index.js").TranslationProvider} */
+export const google = {
+    name: "google",
+    label: "Google Cloud Translation",
+    formality: false,
+    dictionaryMarkup: false,
+
+    isConfigured(env) {
+        return !!(env.GOOGLE_PROJECT_ID && env.GOOGLE_SERVICE_ACCOUNT_KEY);
+    },
+
+    async translate(env, texts, targetLocale, { textType }) {
+        const token = await accessToken(env);
+        return translateInBatches(texts, GOOGLE_MAX_TEXTS, GOOGLE_MAX_CHARS, async batch => {
+            const data = await fetchJson("Google Translation", `${projectUrl(env)}:translateText`, {
+                method: "POST",
+                headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    contents: batch,
+                    sourceLanguageCode: "en",
+                    targetLanguageCode: googleTargetLang(targetLocale),
+                    mimeType: textType === "html" ? "text/html" : "text/plain",
+                }),
+            });
+            return batch.map((text, i) => data.translations?.[i]?.translatedText || text);
+        });
+    },
+
+    async languages(env) {
+        const token = await accessToken(env);
+        const data = await fetchJson("Google Translation", `${projectUrl(env)}/supportedLanguages?displayLanguageCode=en`, {
+            headers: { "Authorization": `Bearer ${token}` },
+        });
+        return (data.languages || [])
+            .filter(lang => lang.supportTarget)
+            .map(lang => ({ code: lang.languageCode, name: lang.displayName }));
+    },
+};
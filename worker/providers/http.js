@@ -0,0 +1,44 @@
+/**
+ * Localyse — shared helpers for translation provider adapters
+ */
+
+/**
+ * Split texts into batches that respect a provider's per-request limits.
+ * A single text longer than `maxChars` still gets a batch of its own.
+ * @returns {string[][]}
+ */
+export function chunkTexts(texts, maxTexts, maxChars) {
+    const batches = [];
+    let batch = [];
+    let chars = 0;
+    for (const text of texts) {
+        if (batch.length > 0 && (batch.length >= maxTexts || chars + text.length > maxChars)) {
+            batches.push(batch);
+            batch = [];
+            chars = 0;
+        }
+        batch.push(text);
+        chars += text.length;
+    }
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+/** Translate texts batch by batch and concatenate the results in order. */
+export async function translateInBatches(texts, maxTexts, maxChars, translateBatch) {
+    const results = [];
+    for (const batch of chunkTexts(texts, maxTexts, maxChars)) {
+        results.push(...await translateBatch(batch));
+    }
+    return results;
+}
+
+/** fetch + JSON parse; non-2xx responses throw "<label> error (<status>): <body>". */
+export async function fetchJson(label, url, init) {
+    const response = await fetch(url, init);
+    if (!response.ok) {
+        const errText = await response.text();
+        throw new Error(`${label} error (${response.status}): ${errText.slice(0, 200)}`);
+    }
+    return response.json();
+}
@@ -0,0 +1,186 @@
+/**
+ * Localyse — translation provider layer
+ *
+ * Every machine-translation backend implements the same small interface, so
+ * the worker can pick one by configuration and fall back to the next when a
+ * call fails:
+ *
+ *   TRANSLATION_PROVIDERS = "deepl,azure"   # order = preference; default below
+ *
+ * Only providers whose credentials are present take part. A request may ask
+ * for a specific provider (`provider` in the body, `?provider=` on
+ * /languages); it is tried first and the rest of the chain remains the
+ * fallback.
+ *
+ * @typedef {Object} TranslationProvider
+ * @property {string} name                 Config name ("azure", "deepl", …)
+ * @property {string} label                Human-readable name for errors and /languages
+ * @property {boolean} formality           Honours `formality: "formal" | "informal"`
+ * @property {boolean} dictionaryMarkup    Understands Azure's <mstrans:dictionary> glossary markup
+ * @property {(env: Object) => boolean} isConfigured
+ * @property {(env: Object, texts: string[], targetLocale: string, options: { textType: "plain"|"html", formality?: string }) => Promise<string[]>} translate
+ * @property {(env: Object, texts: string[], targetLocales: string[], options: { textType: "plain"|"html", formality?: string }) => Promise<string[][]>} [translateMany]
+ *           Optional — translates into several targets in one upstream call (one array per target)
+ * @property {(env: Object) => Promise<{ code: string, name: string, formality?: boolean }[]>} languages
+ */
+
+import { azure } from "./azure.js";
+import { deepl } from "./deepl.js";
+import { google } from "./google.js";
+import { libretranslate } from "./libretranslate.js";
+import { mock } from "./mock.js";
+
+/** @type {Object<string, TranslationProvider>} */
+export const PROVIDERS = { azure, deepl, google, libretranslate, mock };
+
+// The mock provider is never picked up implicitly — it has to be listed
+const DEFAULT_PROVIDER_ORDER = ["azure", "deepl", "google", "libretranslate"];
+const FORMALITY_VALUES = ["formal", "informal"];
+const LANGUAGES_CACHE_TTL = 86400; // 1 day
+
+/**
+ * Providers to try, in order. `requested` (optional) moves that provider to
+ * the front. Returns { chain } or { error } with a user-facing message.
+ * @returns {{ chain?: TranslationProvider[], error?: string }}
+ */
+export function providerChain(env, requested) {
+    const names = env.TRANSLATION_PROVIDERS
+        ? String(env.TRANSLATION_PROVIDERS).split(",").map(name => name.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_PROVIDER_ORDER;
+    const chain = [];
+    for (const name of names) {
+        const provider = PROVIDERS[name];
+        if (provider && provider.isConfigured(env) && !chain.includes(provider)) chain.push(provider);
+    }
+
+    if (requested === undefined || requested === null || requested === "") return { chain };
+    const name = String(requested).toLowerCase();
+    if (!PROVIDERS[name]) return { error: `Unknown translation provider "${requested}".` };
+    const preferred = chain.find(p => p.name === name);
+    if (!preferred) return { error: `Translation provider "${name}" is not enabled on this server.` };
+    return { chain: [preferred, ...chain.filter(p => p !== preferred)] };
+}
+
+/** Validate the optional `formality` request field. Returns { formality } or { error }. */
+export function parseFormality(value) {
+    if (value === undefined || value === null || value === "") return { formality: null };
+    if (!FORMALITY_VALUES.includes(value)) return { error: "\"formality\" must be \"formal\" or \"informal\"." };
+    return { formality: value };
+}
+
+/**
+ * Translate with the first provider that succeeds. `buildTexts(provider)`
+ * returns the texts to send, so provider-specific markup (glossary
+ * dictionary tags) is only sent to providers that understand it.
+ * @returns {Promise<{ provider: string, translations: string[] }>}
+ */
+export async function translateWithFallback(env, chain, targetLocale, buildTexts, options) {
+    const errors = [];
+    for (const provider of chain) {
+        try {
+            const texts = buildTexts(provider);
+            const translations = await provider.translate(env, texts, targetLocale, {
+                textType: options.textType,
+                ...(provider.formality && options.formality ? { formality: options.formality } : {}),
+            });
+            if (!Array.isArray(translations) || translations.length !== texts.length) {
+                throw new Error(`${provider.label} returned ${translations?.length ?? 0}/${texts.length} results`);
+            }
+            return { provider: provider.name, translations };
+        } catch (err) {
+            console.error(`Provider ${provider.name} failed:`, err.message);
+            errors.push(err.message || `${provider.label} failed`);
+        }
+    }
+    throw new Error(errors.length > 0 ? errors.join("; ") : "No translation provider is configured.");
+}
+
+/**
+ * Multi-locale variant of translateWithFallback for batch requests.
+ * `requests` is a list of { targetLocale, buildTexts(provider) }. Providers
+ * with `translateMany` get one call per set of targets that share texts:
+ * layers every locale has go out once for all of them, while a text only
+ * one locale needs (its plural samples, a formatted price) is sent — and
+ * billed — for that locale alone. The others are called once per locale,
+ * concurrently. A failure on any locale moves the whole batch to the next
+ * provider.
+ * @returns {Promise<{ provider: string, translations: string[][] }>}
+ */
+export async function translateManyWithFallback(env, chain, requests, options) {
+    const errors = [];
+    for (const provider of chain) {
+        try {
+            const textsPerRequest = requests.map(r => r.buildTexts(provider));
+            const providerOptions = {
+                textType: options.textType,
+                ...(provider.formality && options.formality ? { formality: options.formality } : {}),
+            };
+            let translations;
+            if (provider.translateMany && requests.length > 1) {
+                // Each distinct text goes to exactly the targets that asked for it
+                const localesByText = new Map();
+                requests.forEach((r, i) => textsPerRequest[i].forEach(text => {
+                    if (!localesByText.has(text)) localesByText.set(text, new Set());
+                    localesByText.get(text).add(r.targetLocale);
+                }));
+                const calls = new Map(); // "de,fr" → { locales, texts }
+                for (const [text, localeSet] of localesByText) {
+                    const locales = [...localeSet].sort();
+                    const key = locales.join(",");
+                    if (!calls.has(key)) calls.set(key, { locales, texts: [] });
+                    calls.get(key).texts.push(text);
+                }
+
+                const translated = new Map(requests.map(r => [r.targetLocale, new Map()])); // locale → text → translation
+                await Promise.all([...calls.values()].map(async ({ locales, texts }) => {
+                    const perLocale = await provider.translateMany(env, texts, locales, providerOptions);
+                    if (!Array.isArray(perLocale) || perLocale.length !== locales.length ||
+                        perLocale.some(list => !Array.isArray(list) || list.length !== texts.length)) {
+                        throw new Error(`${provider.label} returned an incomplete multi-target result`);
+                    }
+                    locales.forEach((locale, l) => texts.forEach((text, t) => translated.get(locale).set(text, perLocale[l][t])));
+                }));
+                translations = requests.map((r, i) => textsPerRequest[i].map(text => translated.get(r.targetLocale).get(text)));
+            } else {
+                translations = await Promise.all(requests.map(async (r, i) => {
+                    const result = await provider.translate(env, textsPerRequest[i], r.targetLocale, providerOptions);
+                    if (!Array.isArray(result) || result.length !== textsPerRequest[i].length) {
+                        throw new Error(`${provider.label} returned ${result?.length ?? 0}/${textsPerRequest[i].length} results`);
+                    }
+                    return result;
+                }));
+            }
+            return { provider: provider.name, translations };
+        } catch (err) {
+            console.error(`Provider ${provider.name} failed:`, err.message);
+            errors.push(err.message || `${provider.label} failed`);
+        }
+    }
+    throw new Error(errors.length > 0 ? errors.join("; ") : "No translation provider is configured.");
+}
+
+/**
+ * Target languages of the first provider in the chain that answers,
+ * cached in KV for a day.
+ * @returns {Promise<{ provider: string, languages: { code: string, name: string, formality?: boolean }[] }>}
+ */
+export async function listLanguages(env, chain) {
+    const errors = [];
+    for (const provider of chain) {
+        const cacheKey = `languages:${provider.name}`;
+        try {
+            const cached = await env.RATE_LIMIT.get(cacheKey);
+            if (cached) return { provider: provider.name, languages: JSON.parse(cached) };
+        } catch { /* cache miss */ }
+        try {
+            const languages = await provider.languages(env);
+            try {
+                await env.RATE_LIMIT.put(cacheKey, JSON.stringify(languages), { expirationTtl: LANGUAGES_CACHE_TTL });
+            } catch { /* non-critical */ }
+            return { provider: provider.name, languages };
+        } catch (err) {
+            errors.push(err.message || `${provider.label} failed`);
+        }
+    }
+    throw new Error(errors.length > 0 ? errors.join("; ") : "No translation provider is configured.");
+}
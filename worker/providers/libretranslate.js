@@ -0,0 +1,57 @@
+/**
+ * Localyse — LibreTranslate adapter (self-hosted or libretranslate.com)
+ *
+ * Config: LIBRETRANSLATE_URL (e.g. "https://translate.example.com"),
+ * optional secret LIBRETRANSLATE_API_KEY. Supports HTML; no formality.
+ */
+
+import { translateInBatches, fetchJson } from "./http.js";
+
+const LIBRE_MAX_TEXTS = 100;
+const LIBRE_MAX_CHARS = 20000;
+
+function libreUrl(env, path) {
+    return String(env.LIBRETRANSLATE_URL).replace(/\/+$/, "") + path;
+}
+
+/** Worker locale → LibreTranslate code: base language, "zt" for Traditional Chinese. */
+export function libreTargetLang(targetLocale) {
+    const lower = String(targetLocale).toLowerCase();
+    if (lower === "zh-hant" || lower === "zh-tw") return "zt";
+    return lower.split("-")[0];
+}
+
+/** @type {import("./index.js").TranslationProvider} */
+export const libretranslate = {
+    name: "libretranslate",
+    label: "LibreTranslate",
+    formality: false,
+    dictionaryMarkup: false,
+
+    isConfigured(env) {
+        return !!env.LIBRETRANSLATE_URL;
+    },
+
+    async translate(env, texts, targetLocale, { textType }) {
+        return translateInBatches(texts, LIBRE_MAX_TEXTS, LIBRE_MAX_CHARS, async batch => {
+            const data = await fetchJson("LibreTranslate", libreUrl(env, "/translate"), {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    q: batch,
+                    source: "en",
+                    target: libreTargetLang(targetLocale),
+                    format: textType === "html" ? "html" : "text",
+                    ...(env.LIBRETRANSLATE_API_KEY ? { api_key: env.LIBRETRANSLATE_API_KEY } : {}),
+                }),
+            });
+            const translated = Array.isArray(data.translatedText) ? data.translatedText : [data.translatedText];
+            return batch.map((text, i) => (typeof translated[i] === "string" ? translated[i] : text));
+        });
+    },
+
+    async languages(env) {
+        const data = await fetchJson("LibreTranslate", libreUrl(env, "/languages"), {});
+        return data.map(lang => ({ code: lang.code, name: lang.name }));
+    },
+};
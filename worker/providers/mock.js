@@ -0,0 +1,54 @@
+/**
+ * Localyse — deterministic mock provider for development and tests
+ *
+ * Never contacts a network service. Each text comes back unchanged apart
+ * from a " (<locale>)" marker appended after the last character, so markup
+ * and notranslate spans survive. Azure's
+ * dynamic dictionary markup is resolved to its translation, so glossary
+ * handling can be exercised too. Like Azure it takes several target
+ * languages in one call. Only used when listed in TRANSLATION_PROVIDERS.
+ */
+
+const MOCK_LANGUAGES = [
+    ["ar", "Arabic"], ["de", "German"], ["es", "Spanish"], ["fr", "French"], ["he", "Hebrew"],
+    ["hi", "Hindi"], ["it", "Italian"], ["ja", "Japanese"], ["ko", "Korean"], ["nl", "Dutch"],
+    ["pl", "Polish"], ["pt", "Portuguese (Brazil)"], ["pt-PT", "Portuguese (Portugal)"], ["ru", "Russian"],
+    ["sv", "Swedish"], ["tr", "Turkish"], ["zh-Hans", "Chinese Simplified"], ["zh-Hant", "Chinese Traditional"],
+];
+
+function decodeAttribute(text) {
+    return text.replace(/&quot;/g, "\"").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+/** The mock "translation" of one text. */
+export function mockTranslate(text, targetLocale, textType) {
+    const resolved = String(text).replace(
+        /<mstrans:dictionary translation="([^"]*)">[\s\S]*?<\/mstrans:dictionary>/g,
+        (_, translation) => (textType === "html" ? translation : decodeAttribute(translation))
+    );
+    return `${resolved} (${targetLocale})`;
+}
+
+/** @type {import("./index.js").TranslationProvider} */
+export const mock = {
+    name: "mock",
+    label: "Mock (development)",
+    formality: true,
+    dictionaryMarkup: true,
+
+    isConfigured() {
+        return true;
+    },
+
+    async translate(_env, texts, targetLocale, { textType, formality }) {
+        return texts.map(text => mockTranslate(text, formality ? `${targetLocale}, ${formality}` : targetLocale, textType));
+    },
+
+    async translateMany(env, texts, targetLocales, options) {
+        return Promise.all(targetLocales.map(locale => this.translate(env, texts, locale, options)));
+    },
+
+    async languages() {
+        return MOCK_LANGUAGES.map(([code, name]) => ({ code, name }));
+    },
+};
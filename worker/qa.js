@@ -0,0 +1,208 @@
+/**
+ * Localyse — translation QA
+ *
+ * Checks every finished translation for things that usually mean it went
+ * wrong, and returns them as warnings next to the result
+ * (`warnings: [{ check, message }]`) — the translation itself is kept:
+ *   - numbers       a number in the source is missing or changed
+ *   - placeholders  placeholders, URLs or emails differ from the source
+ *   - untranslated  the output is the source text, unchanged
+ *   - length        suspicious length ratio to the source
+ *   - prefix        a leftover "[Layer name]" prefix the source doesn't have
+ *   - script        most letters aren't in the target language's script
+ *   - currency      an amount couldn't be converted (no exchange rate)
+ *
+ * Numbers are compared by their digits, so locale formatting (1,234.5 →
+ * 1 234,5), reordered dates and native digits (١٢) pass. Values reformatted
+ * before translation (3:30 PM → 15:30, see worker/formatting.js) are
+ * compared in their localised form. Glossary terms are left out of the
+ * untranslated and script checks, and words copied from the source out of
+ * the script check — a product name may stay as it is. Locked, rejected
+ * (already explained) and plural layers are not checked.
+ *
+ * @typedef {Object} QaWarning
+ * @property {"numbers"|"placeholders"|"untranslated"|"length"|"prefix"|"script"|"currency"} check
+ * @property {string} message
+ */
+
+import { findTokens, markupToPlain } from "./placeholders.js";
+
+const MIN_RATIO_LENGTH = 15;   // shorter sources vary too much ("OK" → "Aceptar")
+const LENGTH_RATIO = { min: 0.35, max: 2.5 };
+const CJK_LENGTH_RATIO = { min: 0.15, max: 1.5 };
+const MIN_UNTRANSLATED_LETTERS = 4;
+const MIN_SCRIPT_LETTERS = 3;
+const CJK_LANGUAGES = ["ja", "ko", "zh", "lzh", "yue"];
+
+// Expected script per language (Unicode script names); languages not listed use Latin
+const LANGUAGE_SCRIPTS = {
+    ar: ["Arabic"], fa: ["Arabic"], prs: ["Arabic"], ps: ["Arabic"], ur: ["Arabic"], sd: ["Arabic"],
+    ug: ["Arabic"], ks: ["Arabic"], ku: ["Arabic"],
+    ru: ["Cyrillic"], uk: ["Cyrillic"], be: ["Cyrillic"], bg: ["Cyrillic"], mk: ["Cyrillic"], kk: ["Cyrillic"],
+    ky: ["Cyrillic"], tt: ["Cyrillic"], ba: ["Cyrillic"], mn: ["Cyrillic"], sr: ["Cyrillic"],
+    el: ["Greek"], he: ["Hebrew"], yi: ["Hebrew"], hy: ["Armenian"], ka: ["Georgian"],
+    hi: ["Devanagari"], mr: ["Devanagari"], ne: ["Devanagari"], mai: ["Devanagari"], bho: ["Devanagari"],
+    brx: ["Devanagari"], doi: ["Devanagari"], gom: ["Devanagari"], hne: ["Devanagari"],
+    bn: ["Bengali"], as: ["Bengali"], pa: ["Gurmukhi"], gu: ["Gujarati"], or: ["Oriya"],
+    ta: ["Tamil"], te: ["Telugu"], kn: ["Kannada"], ml: ["Malayalam"], si: ["Sinhala"],
+    th: ["Thai"], lo: ["Lao"], km: ["Khmer"], my: ["Myanmar"], bo: ["Tibetan"],
+    am: ["Ethiopic"], ti: ["Ethiopic"], dv: ["Thaana"], iu: ["Canadian_Aboriginal"],
+    zh: ["Han"], lzh: ["Han"], yue: ["Han"], ja: ["Han", "Hiragana", "Katakana"], ko: ["Hangul", "Han"],
+};
+// Script subtags (sr-Latn, mn-Mong, zh-Hant) override the language's default
+const SCRIPT_SUBTAGS = {
+    latn: ["Latin"], cyrl: ["Cyrillic"], arab: ["Arabic"], mong: ["Mongolian"], hans: ["Han"], hant: ["Han"],
+};
+
+// Zero of each decimal digit block, so native digits compare as ASCII
+const DIGIT_ZEROS = [
+    0x0660, 0x06F0, 0x0966, 0x09E6, 0x0A66, 0x0AE6, 0x0B66, 0x0BE6, 0x0C66, 0x0CE6,
+    0x0D66, 0x0E50, 0x0ED0, 0x0F20, 0x1040, 0x17E0, 0x1810, 0xFF10,
+];
+// Digits with thousands groups. Other separators split numbers, so decimals
+// (2.5 / 2,5) and dates (12/25 / 25.12.) compare part by part.
+const NUMBER_PATTERN = /\d+(?:[.,'\s\u066C]\d{3}(?!\d))*/g;
+
+function language(targetLocale) {
+    return String(targetLocale).toLowerCase().split("-")[0];
+}
+
+function isSourceLanguage(targetLocale) {
+    return language(targetLocale) === "en";
+}
+
+/** Unicode scripts expected in `targetLocale`, or null for an unknown script subtag. */
+function expectedScripts(targetLocale) {
+    const subtag = String(targetLocale).split("-").slice(1).find(part => /^[A-Za-z]{4}$/.test(part));
+    if (subtag) return SCRIPT_SUBTAGS[subtag.toLowerCase()] || null;
+    return LANGUAGE_SCRIPTS[language(targetLocale)] || ["Latin"];
+}
+
+function asciiDigits(text) {
+    return text.replace(/\p{Nd}/gu, char => {
+        const code = char.codePointAt(0);
+        const zero = DIGIT_ZEROS.find(z => code >= z && code <= z + 9);
+        return zero === undefined ? char : String(code - zero);
+    });
+}
+
+/** Numbers in a text as digit strings ("1,234.50" → "123450"), tokens excluded. */
+function numbers(text) {
+    const stripped = findTokens(text).reduce((rest, token) => rest.split(token).join(" "), text);
+    return (asciiDigits(stripped).match(NUMBER_PATTERN) || [])
+        .map(match => match.replace(/\D/g, "").replace(/^0+(?=\d)/, ""));
+}
+
+/** Items of `a` not matched one-for-one in `b`. */
+function missingFrom(a, b) {
+    const rest = [...b];
+    return a.filter(item => {
+        const i = rest.indexOf(item);
+        if (i === -1) return true;
+        rest.splice(i, 1);
+        return false;
+    });
+}
+
+/** `text` without tokens and the given glossary strings — what is left to translate. */
+function translatable(text, strings) {
+    let rest = text;
+    for (const s of [...findTokens(text), ...strings].filter(Boolean)) rest = rest.split(s).join(" ");
+    return rest;
+}
+
+function letters(text) {
+    return text.match(/\p{L}/gu) || [];
+}
+
+function quoteList(items) {
+    return items.slice(0, 3).join(", ") + (items.length > 3 ? ", …" : "");
+}
+
+/**
+ * QA warnings for one layer ({ text, format? }) and its result
+ * ({ translated, rejected?, plural? }) in `targetLocale`. `terms` are the
+ * glossary matches for the layer (see matchTerms in worker/glossary.js), and
+ * `localised` the layer's values formatted for the locale (see layerFormats
+ * in worker/formatting.js).
+ * @returns {QaWarning[]}
+ */
+export function qaWarnings(layer, result, targetLocale, terms = [], localised = null) {
+    if (!result || typeof result.translated !== "string" || result.rejected || result.locked || result.plural) return [];
+    const html = layer.format === "html";
+    const source = (html ? markupToPlain(layer.text) : String(layer.text)).trim();
+    const translated = (html ? markupToPlain(result.translated) : result.translated).trim();
+    const warnings = [];
+
+    const numberSource = localised === null ? source
+        : (html ? markupToPlain(localised.text) : String(localised.text)).trim();
+    const lostNumbers = missingFrom(numbers(numberSource), numbers(translated));
+    if (lostNumbers.length > 0) {
+        warnings.push({
+            check: "numbers",
+            message: `${lostNumbers.length === 1 ? "Number" : "Numbers"} ${quoteList(lostNumbers)} missing or changed.`,
+        });
+    }
+
+    const sourceTokens = findTokens(source);
+    const translatedTokens = findTokens(translated);
+    const lostTokens = missingFrom(sourceTokens, translatedTokens);
+    const extraTokens = missingFrom(translatedTokens, sourceTokens);
+    if (lostTokens.length > 0 || extraTokens.length > 0) {
+        warnings.push({
+            check: "placeholders",
+            message: lostTokens.length > 0
+                ? `Missing ${quoteList(lostTokens)}.`
+                : `Unexpected ${quoteList(extraTokens)}, not in the source.`,
+        });
+    }
+
+    const sourceLeft = translatable(source, terms.map(t => t.source));
+    const translatedLeft = translatable(translated, terms.map(t => t.target));
+    const untranslated = !isSourceLanguage(targetLocale) &&
+        letters(sourceLeft).length >= MIN_UNTRANSLATED_LETTERS &&
+        source.replace(/\s+/g, " ").toLowerCase() === translated.replace(/\s+/g, " ").toLowerCase();
+    if (untranslated) {
+        warnings.push({ check: "untranslated", message: "Same as the source — may not have been translated." });
+    }
+
+    if (source.length >= MIN_RATIO_LENGTH && translated.length > 0) {
+        const bounds = CJK_LANGUAGES.includes(language(targetLocale)) ? CJK_LENGTH_RATIO : LENGTH_RATIO;
+        const ratio = translated.length / source.length;
+        if (ratio < bounds.min || ratio > bounds.max) {
+            warnings.push({
+                check: "length",
+                message: `${Math.round(ratio * 100)}% of the source length — check nothing was added or left out.`,
+            });
+        }
+    }
+
+    const prefix = translated.match(/^\[([^\]\n]{1,80})\]/);
+    if (prefix && !source.startsWith(prefix[0])) {
+        warnings.push({ check: "prefix", message: `Starts with "${prefix[0]}", which isn't in the source.` });
+    }
+
+    const scripts = expectedScripts(targetLocale);
+    const sourceWords = new Set(source.match(/\p{L}+/gu) || []);
+    const found = letters(translatedLeft.replace(/\p{Script=Latin}+/gu, word => (sourceWords.has(word) ? " " : word)));
+    if (!untranslated && scripts && found.length >= MIN_SCRIPT_LETTERS) {
+        const pattern = new RegExp(scripts.map(s => `\\p{Script=${s}}`).join("|"), "u");
+        const inScript = found.filter(char => pattern.test(char)).length;
+        if (inScript / found.length < 0.5) {
+            warnings.push({
+                check: "script",
+                message: `Mostly not in ${scripts[0].replace(/_/g, " ")} script — may be in the wrong language.`,
+            });
+        }
+    }
+
+    const unconverted = localised ? localised.unconverted || [] : [];
+    if (unconverted.length > 0) {
+        warnings.push({
+            check: "currency",
+            message: `No exchange rate for ${quoteList(unconverted)} — the amount keeps its value.`,
+        });
+    }
+
+    return warnings;
+}
@@ -0,0 +1,424 @@
+/**
+ * Localyse — rate limiting
+ *
+ * Every quota counter is a Durable Object (RateLimiter, one instance per
+ * counter name), so increments are atomic: concurrent requests for the same
+ * user are serialised by the object instead of racing on a KV get-then-put.
+ * Without the RATE_LIMITER binding (the Node server, tests, `wrangler dev`
+ * without Durable Objects) the same object code runs in-process on an
+ * in-memory stand-in.
+ *
+ * Quotas are per plan, counted over a sliding window and weighted:
+ *   requests    1 per request
+ *   layers      text layers × target locales
+ *   characters  source characters × target locales
+ *
+ *   RATE_LIMIT_PLANS = '{"pro": {"limit": 100000, "weight": "characters"}}'  # merged over DEFAULT_PLANS
+ *   PLAN_ASSIGNMENTS = '{"team:acme": "pro"}'   # or set `plan` when issuing the team's key
+ *   DEFAULT_PLAN     = "pro"                    # teams without a plan; anonymous users stay on "free"
+ *
+ * A window is split into BUCKETS_PER_WINDOW buckets; usage leaves the window
+ * one bucket at a time, so quota frees up gradually rather than all at
+ * midnight. Each subject's counter also keeps today's request, layer and
+ * character counts per locale for GET /usage.
+ *
+ * @typedef {Object} RatePlan
+ * @property {string} name
+ * @property {number} limit      Units allowed per window
+ * @property {number} window     Window length in seconds
+ * @property {"requests"|"layers"|"characters"} weight
+ *
+ * @typedef {Object} Quota
+ * @property {boolean} allowed
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {number} resetAt           Epoch seconds when the full quota is available again
+ * @property {number|null} retryAfter   Seconds until the request would fit (null: it never will)
+ *
+ * @typedef {{ requests: number, layers: number, characters: number }} UsageCounts
+ * @typedef {UsageCounts & { date?: string, locales: Object<string, UsageCounts> }} Usage
+ *           Counts for one UTC day (`date`), with a breakdown per target locale
+ */
+
+export const WEIGHTS = ["requests", "layers", "characters"];
+export const BUCKETS_PER_WINDOW = 24;
+
+const DAY_IN_SECONDS = 86400;
+// The per-IP counter allows this multiple of the plan limit (shared office IPs)
+const IP_LIMIT_MULTIPLIER = 2;
+
+/** @type {Object<string, RatePlan>} */
+export const DEFAULT_PLANS = {
+    free: { name: "free", limit: 2000, window: DAY_IN_SECONDS, weight: "layers" },
+    pro: { name: "pro", limit: 25000, window: DAY_IN_SECONDS, weight: "layers" },
+    team: { name: "team", limit: 100000, window: DAY_IN_SECONDS, weight: "layers" },
+};
+
+const WEIGHT_UNITS = { requests: "requests", layers: "text layers", characters: "characters" };
+
+// ──────────────────────────────────────────────────────────────────────
+// Plans
+// ──────────────────────────────────────────────────────────────────────
+
+function parseJsonVar(value) {
+    if (!value) return {};
+    try {
+        const parsed = typeof value === "string" ? JSON.parse(value) : value;
+        return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+/** Plans from DEFAULT_PLANS with RATE_LIMIT_PLANS merged over them; invalid entries are ignored. */
+export function ratePlans(env) {
+    const plans = { ...DEFAULT_PLANS };
+    for (const [name, override] of Object.entries(parseJsonVar(env.RATE_LIMIT_PLANS))) {
+        if (!override || typeof override !== "object") continue;
+        const plan = { weight: "layers", window: DAY_IN_SECONDS, ...plans[name], ...override, name };
+        plan.limit = Number(plan.limit);
+        plan.window = Number(plan.window);
+        if (plan.limit > 0 && plan.window > 0 && WEIGHTS.includes(plan.weight)) plans[name] = plan;
+    }
+    return plans;
+}
+
+/**
+ * Plan for a request's identity (see worker/auth.js). Anonymous users are
+ * always on "free"; a team gets the plan on its API key, else its entry in
+ * PLAN_ASSIGNMENTS, else DEFAULT_PLAN, else "free".
+ * @param {{ team: string, anonymous: boolean, plan?: string|null }} identity
+ * @returns {RatePlan}
+ */
+export function planFor(env, identity) {
+    const plans = ratePlans(env);
+    const name = identity.anonymous
+        ? "free"
+        : identity.plan || parseJsonVar(env.PLAN_ASSIGNMENTS)[identity.team] || env.DEFAULT_PLAN || "free";
+    return plans[name] || plans.free;
+}
+
+/** Units a translation request uses under the plan's weighting (at least 1). */
+export function requestCost(plan, textLayers, localeCount = 1) {
+    if (plan.weight === "requests") return 1;
+    const perLocale = plan.weight === "characters"
+        ? textLayers.reduce((sum, layer) => sum + (typeof layer.text === "string" ? layer.text.length : 0), 0)
+        : textLayers.length;
+    return Math.max(1, perLocale * localeCount);
+}
+
+/**
+ * Units for the layers still to translate once the translation memory and
+ * cache have been consulted — `pending` lists them per target locale. A
+ * request served entirely from memory or cache is free.
+ */
+export function pendingCost(plan, pending) {
+    const nonEmpty = pending.filter(layers => layers.length > 0);
+    if (nonEmpty.length === 0) return 0;
+    if (plan.weight === "requests") return 1;
+    return nonEmpty.reduce((sum, layers) => sum + requestCost(plan, layers, 1), 0);
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Sliding window
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Try to add `cost` units to a counter. `buckets` is [[startMs, units], …],
+ * oldest first. Returns the updated buckets (unchanged when the request is
+ * refused) and the quota as seen after the request.
+ * @returns {{ buckets: number[][], quota: Quota }}
+ */
+export function consumeWindow(buckets, { cost, limit, window }, now = Date.now()) {
+    const windowMs = window * 1000;
+    const bucketMs = Math.ceil(windowMs / BUCKETS_PER_WINDOW);
+    const live = buckets.filter(([start]) => start + windowMs > now).map(([start, units]) => [start, units]);
+    const used = live.reduce((sum, [, units]) => sum + units, 0);
+    const allowed = used + cost <= limit;
+
+    if (allowed && cost > 0) {
+        const start = now - (now % bucketMs);
+        const last = live[live.length - 1];
+        if (last && last[0] === start) last[1] += cost;
+        else live.push([start, cost]);
+    }
+
+    // When a refused request would fit: once enough of the oldest buckets have left the window
+    let retryAt = null;
+    if (!allowed && cost <= limit) {
+        let freed = 0;
+        for (const [start, units] of live) {
+            freed += units;
+            if (used - freed + cost <= limit) {
+                retryAt = start + windowMs;
+                break;
+            }
+        }
+    }
+
+    const total = allowed ? used + cost : used;
+    const newest = live[live.length - 1];
+    return {
+        buckets: live,
+        quota: {
+            allowed,
+            limit,
+            remaining: Math.max(0, limit - total),
+            resetAt: Math.ceil((newest ? newest[0] + windowMs : now) / 1000),
+            retryAfter: retryAt === null ? null : Math.max(1, Math.ceil((retryAt - now) / 1000)),
+        },
+    };
+}
+
+/** Give back `cost` units taken by consumeWindow, newest buckets first. */
+export function refundWindow(buckets, { cost }) {
+    const next = buckets.map(([start, units]) => [start, units]);
+    let left = cost;
+    for (let i = next.length - 1; i >= 0 && left > 0; i--) {
+        const taken = Math.min(next[i][1], left);
+        next[i][1] -= taken;
+        left -= taken;
+    }
+    return next.filter(([, units]) => units > 0);
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Daily usage
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * What a translation request adds to the daily usage counts, whatever the
+ * plan's weighting: 1 request, plus layers and source characters per locale.
+ * @returns {Usage}
+ */
+export function requestUsage(textLayers, targetLocales) {
+    const characters = textLayers.reduce((sum, layer) => sum + (typeof layer.text === "string" ? layer.text.length : 0), 0);
+    const locales = {};
+    for (const locale of targetLocales) {
+        locales[locale] = { requests: 1, layers: textLayers.length, characters };
+    }
+    return {
+        requests: 1,
+        layers: textLayers.length * targetLocales.length,
+        characters: characters * targetLocales.length,
+        locales,
+    };
+}
+
+/** An empty usage record for the UTC day containing `now`. */
+export function emptyUsage(now = Date.now()) {
+    return { date: new Date(now).toISOString().slice(0, 10), requests: 0, layers: 0, characters: 0, locales: {} };
+}
+
+/**
+ * Add (sign 1) or take back (sign -1) a request's usage. Counts restart on
+ * each UTC day; a refund for a previous day is ignored.
+ * @returns {Usage}
+ */
+export function addUsage(stats, usage, sign = 1, now = Date.now()) {
+    const today = emptyUsage(now);
+    const current = stats && stats.date === today.date ? stats : today;
+    if (current === today && sign < 0) return today;
+
+    const add = (into, from) => ({
+        requests: Math.max(0, (into.requests || 0) + sign * from.requests),
+        layers: Math.max(0, (into.layers || 0) + sign * from.layers),
+        characters: Math.max(0, (into.characters || 0) + sign * from.characters),
+    });
+    const locales = { ...current.locales };
+    for (const [locale, counts] of Object.entries(usage.locales)) {
+        locales[locale] = add(locales[locale] || {}, counts);
+        if (locales[locale].requests === 0) delete locales[locale];
+    }
+    return { date: today.date, ...add(current, usage), locales };
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Durable Object
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * One quota counter. POST { action, cost, limit, window, usage? } where
+ * action is "consume", "refund" (undo a consume) or "peek" (read only);
+ * returns the Quota, and for "peek" also today's Usage. Storage calls inside
+ * a single fetch run behind the object's input gate, so the
+ * read-modify-write can't interleave with another request's.
+ */
+export class RateLimiter {
+    constructor(state) {
+        this.storage = state.storage;
+    }
+
+    async fetch(request) {
+        const { action, cost, limit, window, usage } = await request.json();
+        const now = Date.now();
+        const buckets = (await this.storage.get("buckets")) || [];
+        const stats = await this.storage.get("usage");
+
+        if (action === "peek") {
+            const { quota } = consumeWindow(buckets, { cost: 0, limit, window }, now);
+            return Response.json({ ...quota, usage: addUsage(stats, emptyUsage(now), 1, now) });
+        }
+
+        const refund = action === "refund";
+        const { buckets: next, quota } = refund
+            ? consumeWindow(refundWindow(buckets, { cost }), { cost: 0, limit, window }, now)
+            : consumeWindow(buckets, { cost, limit, window }, now);
+
+        await this.storage.put("buckets", next);
+        if (usage && (refund || quota.allowed)) {
+            await this.storage.put("usage", addUsage(stats, usage, refund ? -1 : 1, now));
+        }
+        // Drop the object's storage once the newest bucket has left the window
+        if (next.length > 0) await this.storage.setAlarm(quota.resetAt * 1000);
+        return Response.json(quota);
+    }
+
+    async alarm() {
+        await this.storage.deleteAll();
+    }
+}
+
+/**
+ * In-process stand-in for the RATE_LIMITER namespace: the same RateLimiter
+ * code with Map storage, and a promise queue per counter in place of the
+ * input gate. Counters live as long as the process.
+ */
+export function createMemoryRateLimiter() {
+    const objects = new Map(); // name → { limiter, queue, timer }
+
+    function enqueue(entry, task) {
+        const run = entry.queue.then(task);
+        entry.queue = run.catch(() => {});
+        return run;
+    }
+
+    function object(name) {
+        let entry = objects.get(name);
+        if (entry) return entry;
+
+        const values = new Map();
+        entry = { queue: Promise.resolve(), timer: null };
+        const storage = {
+            async get(key) { return values.get(key); },
+            async put(key, value) { values.set(key, value); },
+            async deleteAll() { values.clear(); },
+            async setAlarm(time) {
+                clearTimeout(entry.timer);
+                // setTimeout overflows past ~24.8 days
+                const delay = Math.min(Math.max(0, time - Date.now()), 2 ** 31 - 1);
+                entry.timer = setTimeout(() => enqueue(entry, async () => {
+                    await entry.limiter.alarm();
+                    objects.delete(name);
+                }), delay);
+                if (entry.timer.unref) entry.timer.unref();
+            },
+        };
+        entry.limiter = new RateLimiter({ storage });
+        objects.set(name, entry);
+        return entry;
+    }
+
+    return {
+        idFromName(name) {
+            return name;
+        },
+        get(id) {
+            return {
+                fetch: (input, init) => {
+                    const entry = object(id);
+                    return enqueue(entry, () => entry.limiter.fetch(new Request(input, init)));
+                },
+            };
+        },
+    };
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Request check
+// ──────────────────────────────────────────────────────────────────────
+
+let localRateLimiter = null;
+
+async function callCounter(namespace, name, body) {
+    const stub = namespace.get(namespace.idFromName(name));
+    const response = await stub.fetch("https://rate-limiter/", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+    });
+    return response.json();
+}
+
+function rateLimiterNamespace(env) {
+    if (env.RATE_LIMITER) return env.RATE_LIMITER;
+    if (!localRateLimiter) localRateLimiter = createMemoryRateLimiter();
+    return localRateLimiter;
+}
+
+/**
+ * Charge `cost` units to the subject's counter, then to the client IP's
+ * (secondary defence against spoofed user IDs, allowing IP_LIMIT_MULTIPLIER×
+ * the plan limit). When the IP counter refuses, the subject is refunded.
+ * `usage` (see requestUsage) is added to the subject's daily counts.
+ * @returns {Promise<Quota>}
+ */
+export async function checkRateLimit(env, { subject, ipAddress, plan, cost, usage = null }) {
+    const namespace = rateLimiterNamespace(env);
+    const { limit, window } = plan;
+
+    const quota = await callCounter(namespace, subject, { action: "consume", cost, limit, window, usage });
+    if (!quota.allowed || !ipAddress) return quota;
+
+    const ipQuota = await callCounter(namespace, `ip:${plan.name}:${ipAddress}`, {
+        action: "consume", cost, limit: limit * IP_LIMIT_MULTIPLIER, window,
+    });
+    if (ipQuota.allowed) return quota;
+
+    await callCounter(namespace, subject, { action: "refund", cost, limit, window, usage });
+    return { ...ipQuota, limit, remaining: 0 };
+}
+
+/**
+ * Quota and today's usage for a subject, without charging anything.
+ * @returns {Promise<Quota & { usage: Usage }>}
+ */
+export async function readUsage(env, { subject, plan }) {
+    const { limit, window } = plan;
+    return callCounter(rateLimiterNamespace(env), subject, { action: "peek", cost: 0, limit, window });
+}
+
+/** X-RateLimit-* headers for a Quota, plus Retry-After when the request was refused. */
+export function rateLimitHeaders(quota) {
+    const headers = {
+        "X-RateLimit-Limit": String(quota.limit),
+        "X-RateLimit-Remaining": String(quota.remaining),
+        "X-RateLimit-Reset": String(quota.resetAt),
+    };
+    if (!quota.allowed && quota.retryAfter !== null) headers["Retry-After"] = String(quota.retryAfter);
+    return headers;
+}
+
+function describeWindow(seconds) {
+    if (seconds === DAY_IN_SECONDS) return "day";
+    if (seconds === 3600) return "hour";
+    if (seconds % 3600 === 0) return `${seconds / 3600} hours`;
+    return `${seconds} seconds`;
+}
+
+function describeDelay(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours}h ${minutes % 60}min` : `${hours}h`;
+}
+
+/** User-facing message for a refused request. */
+export function rateLimitMessage(plan, quota, cost) {
+    const allowance = `${plan.limit} ${WEIGHT_UNITS[plan.weight]} per ${describeWindow(plan.window)}`;
+    if (quota.retryAfter === null) {
+        return `This request needs ${cost} ${WEIGHT_UNITS[plan.weight]}, more than the ${plan.name} plan allows (${allowance}). Translate fewer layers or locales at a time.`;
+    }
+    return `Rate limit reached (${allowance} on the ${plan.name} plan). Try again in ${describeDelay(quota.retryAfter)}.`;
+}
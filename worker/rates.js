@@ -0,0 +1,184 @@
+/**
+ * Localyse — exchange rates and price points
+ *
+ * Currency amounts are kept at their value by default. A request can ask for
+ * them to be converted into the selected currency instead (`currencyMode`):
+ *   - keep                                same number, new symbol ($49.99 → 49,99 €)
+ *   - convert                             converted with the rate table (→ 45,83 €)
+ *   - convert-and-round-to-price-points   converted, then rounded the way prices
+ *                                         look in that currency (→ 45,99 €, ￥7,480, ₹4,159)
+ *
+ * Rates come from the team's table, uploaded from the plugin through
+ * PUT /rates, or else from a shared table operators store under the `rates`
+ * KV key. Both use the shape exchange-rate APIs answer with:
+ * { base: "USD", rates: { EUR: 0.92, INR: 83.2, … } } — units per 1 `base`.
+ *
+ * KV layout: `rates:<team>` → RateTable, `rates` → RateTable (shared)
+ *
+ * @typedef {"keep"|"convert"|"convert-and-round-to-price-points"} CurrencyMode
+ *
+ * @typedef {Object} RateTable
+ * @property {string} base                   ISO 4217 code the rates are relative to
+ * @property {Object<string, number>} rates  Currency code → units per 1 base
+ * @property {string|null} updatedAt
+ * @property {"team"|"shared"} [source]      Where a loaded table came from
+ */
+
+export const CURRENCY_MODES = ["keep", "convert", "convert-and-round-to-price-points"];
+export const MAX_RATES = 300;
+
+const SHARED_RATES_KEY = "rates";
+const RATES_KEY_PREFIX = "rates:";
+const CODE_PATTERN = /^[A-Za-z]{3}$/;
+
+// How prices end in each currency's home market (its locales' conventions).
+// `ending`: charm pricing on the minor unit (19.99, CHF 19.90).
+// `step` / `minus`: whole units, rounded up to a step less `minus` (¥1,480, ₹499, 199 kr).
+// Currencies not listed end in .99, or in whole units when they have no minor unit.
+const PRICE_POINTS = {
+    CHF: { ending: 0.9 },
+    JPY: { step: 10 },
+    KRW: { step: 100 },
+    TWD: { step: 10 },
+    INR: { step: 10, minus: 1 },
+    SEK: { step: 10, minus: 1 },
+    NOK: { step: 10, minus: 1 },
+    DKK: { step: 10, minus: 1 },
+    CZK: { step: 10, minus: 1 },
+    HUF: { step: 100, minus: 10 },
+    IDR: { step: 1000 },
+    VND: { step: 1000 },
+    CLP: { step: 10 },
+    COP: { step: 100 },
+};
+const DEFAULT_ENDING = 0.99;
+
+/** KV key for a team's rate table. */
+export function ratesKey(team) {
+    return `${RATES_KEY_PREFIX}${team}`;
+}
+
+/** Validate a request's `currencyMode` (default "keep"). Returns { mode } or { error }. */
+export function parseCurrencyMode(input) {
+    if (input === undefined || input === null || input === "") return { mode: "keep" };
+    if (!CURRENCY_MODES.includes(input)) {
+        return { error: `"currencyMode" must be one of: ${CURRENCY_MODES.join(", ")}.` };
+    }
+    return { mode: input };
+}
+
+function parseTable(stored, source) {
+    try {
+        const parsed = JSON.parse(stored);
+        if (parsed && typeof parsed.base === "string" && parsed.rates && typeof parsed.rates === "object") {
+            return { base: parsed.base, rates: parsed.rates, updatedAt: parsed.updatedAt || null, source };
+        }
+    } catch { /* corrupt — ignore */ }
+    return null;
+}
+
+/** The team's rate table, else the shared one, else null. */
+export async function loadRates(env, team) {
+    try {
+        const own = await env.RATE_LIMIT.get(ratesKey(team));
+        const table = own && parseTable(own, "team");
+        if (table) return table;
+        const shared = await env.RATE_LIMIT.get(SHARED_RATES_KEY);
+        return (shared && parseTable(shared, "shared")) || null;
+    } catch {
+        return null;
+    }
+}
+
+/** Identifies a table's contents, for cache keys: "<source>@<updatedAt>". */
+export function ratesTag(table) {
+    return table ? `${table.source || "team"}@${table.updatedAt || ""}` : null;
+}
+
+/** Units of `to` for `amount` units of `from`, or null when the table lacks either rate. */
+export function convertAmount(amount, from, to, table) {
+    if (from === to) return amount;
+    if (!table) return null;
+    const rate = code => (code === table.base ? 1 : table.rates[code]);
+    const fromRate = rate(from);
+    const toRate = rate(to);
+    if (!(fromRate > 0) || !(toRate > 0)) return null;
+    return (amount / fromRate) * toRate;
+}
+
+/**
+ * Round a converted price to a price point in `currency`. `fractionDigits`
+ * is the currency's minor unit (0 for yen); `fractional` says whether the
+ * source price had decimals — "$49" stays a whole price.
+ * @returns {{ value: number, fractionDigits: number }}
+ */
+export function roundToPricePoint(value, currency, fractionDigits, fractional) {
+    const sign = value < 0 ? -1 : 1;
+    const amount = Math.abs(value);
+    const rule = PRICE_POINTS[currency] || (fractionDigits === 0 ? { step: 1 } : { ending: DEFAULT_ENDING });
+    if (rule.step) {
+        const rounded = Math.ceil(amount / rule.step) * rule.step - (rule.minus || 0);
+        return { value: sign * Math.max(rounded, rule.step - (rule.minus || 0)), fractionDigits: 0 };
+    }
+    if (!fractional) return { value: sign * Math.max(1, Math.ceil(amount)), fractionDigits: 0 };
+    const whole = Math.ceil(amount - rule.ending + 1e-9);
+    return { value: sign * (Math.max(whole, 0) + rule.ending), fractionDigits };
+}
+
+/**
+ * Validate the body of PUT /rates.
+ * Returns { value: { base, rates } } or { error }.
+ */
+export function validateRates(input) {
+    if (!input || typeof input !== "object") return { error: "Expected a JSON object." };
+    const { base, rates } = input;
+    if (typeof base !== "string" || !CODE_PATTERN.test(base)) {
+        return { error: "\"base\" must be an ISO 4217 currency code such as \"USD\"." };
+    }
+    if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+        return { error: "\"rates\" must map currency codes to rates, e.g. { \"EUR\": 0.92 }." };
+    }
+    const entries = Object.entries(rates);
+    if (entries.length === 0 || entries.length > MAX_RATES) {
+        return { error: `"rates" must list 1–${MAX_RATES} currencies.` };
+    }
+    const normalised = {};
+    for (const [code, rate] of entries) {
+        if (!CODE_PATTERN.test(code) || typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+            return { error: `Rate for "${code}" must be a positive number, keyed by an ISO 4217 code.` };
+        }
+        normalised[code.toUpperCase()] = rate;
+    }
+    return { value: { base: base.toUpperCase(), rates: normalised } };
+}
+
+/**
+ * GET / PUT / DELETE /rates — the caller's rate table. GET falls back to the
+ * shared table; DELETE removes the team's own. Callers resolve the team and
+ * add CORS `headers`.
+ */
+export async function handleRatesRequest(request, env, team, headers) {
+    const json = (body, status = 200) => Response.json(body, { status, headers });
+
+    if (request.method === "GET") {
+        return json((await loadRates(env, team)) || { base: null, rates: {}, updatedAt: null, source: null });
+    }
+    if (request.method === "DELETE") {
+        await env.RATE_LIMIT.delete(ratesKey(team));
+        return json({ deleted: true });
+    }
+    if (request.method !== "PUT") return json({ error: "Method not allowed." }, 405);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return json({ error: "Invalid JSON body." }, 400);
+    }
+    const { value, error } = validateRates(body);
+    if (error) return json({ error }, 400);
+
+    const table = { ...value, updatedAt: new Date().toISOString() };
+    await env.RATE_LIMIT.put(ratesKey(team), JSON.stringify(table));
+    return json({ ...table, source: "team" });
+}
@@ -0,0 +1,171 @@
+/**
+ * Localyse — self-hosted Node server for the translation proxy
+ *
+ * Runs the same request handler as the Cloudflare Worker (worker/index.js)
+ * on a plain Node HTTP server, for teams that can't send design text
+ * through a third-party Cloudflare account. Requires Node.js 20+.
+ *
+ * Secrets and settings come from environment variables, with the same names
+ * as the Worker secrets/vars (AZURE_TRANSLATOR_KEY, DEEPL_API_KEY,
+ * TRANSLATION_PROVIDERS, OPENAI_API_KEY, RATE_LIMIT_PLANS, …), plus:
+ *
+ *   PORT          = 8787         # listen port
+ *   HOST          = 0.0.0.0      # listen address
+ *   STORAGE       = memory | fs | sqlite   (see worker/storage/)
+ *   STORAGE_PATH  = ./data       # directory (fs) or database file (sqlite)
+ *   TRUST_PROXY   = true | <n>   # take the client IP from X-Forwarded-For, as
+ *                                # added by the last proxy (or the n-th from the right)
+ *
+ * Rate-limit counters are kept in memory (the Worker uses a Durable Object),
+ * so they reset when the server restarts.
+ *
+ * Run:
+ *   npm run server                              # or: node worker/server.js
+ *   node --env-file=.env worker/server.js       # load secrets from a file
+ *
+ * Then point the plugin at it: npm run configure:proxy -- https://localyse.example.com
+ */
+
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import worker from "./index.js";
+import { createStorage } from "./storage/index.js";
+import { createMemoryRateLimiter } from "./ratelimit.js";
+
+const DEFAULT_PORT = 8787;
+// Hard cap on request bodies read into memory; the worker applies its own
+// (smaller) payload limit on top of this.
+const MAX_BODY_BYTES = 1048576; // 1 MB
+
+// ──────────────────────────────────────────────────────────────────────
+// Node ⇄ Fetch API bridging
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Client address for the worker's per-IP rate limit. Cloudflare provides it
+ * as CF-Connecting-IP; here it comes from the socket, or from X-Forwarded-For
+ * when running behind `trustedHops` reverse proxies. Proxies append to the
+ * header, so only the entry `trustedHops` from the right was written by one
+ * of ours — anything left of it is whatever the client sent.
+ */
+export function clientAddress(req, trustedHops = 0) {
+    if (trustedHops > 0) {
+        const forwarded = String(req.headers["x-forwarded-for"] || "").split(",").map(hop => hop.trim());
+        const address = forwarded.length >= trustedHops ? forwarded[forwarded.length - trustedHops] : "";
+        if (address) return address;
+    }
+    return req.socket.remoteAddress || "";
+}
+
+/** Number of trusted proxies from TRUST_PROXY: "true" is one, a number that many, anything else none. */
+export function trustedProxyHops(setting) {
+    if (setting === "true") return 1;
+    const hops = Number(setting);
+    return Number.isInteger(hops) && hops > 0 ? hops : 0;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Drain (and discard) the rest so the 413 can still be sent
+                req.removeAllListeners("data");
+                req.resume();
+                reject(Object.assign(new Error("Payload too large."), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+}
+
+/** Convert a Node request into a Fetch API Request the worker understands. */
+async function toFetchRequest(req, trustedHops) {
+    const headers = new Headers();
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        headers.append(req.rawHeaders[i], req.rawHeaders[i + 1]);
+    }
+    // Never trust a client-supplied value for the rate-limit address
+    headers.set("CF-Connecting-IP", clientAddress(req, trustedHops));
+
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const hasBody = req.method !== "GET" && req.method !== "HEAD";
+    return new Request(url, {
+        method: req.method,
+        headers,
+        body: hasBody ? await readBody(req) : undefined,
+    });
+}
+
+/** Write a Fetch API Response to the Node response, streaming the body. */
+async function sendFetchResponse(response, res) {
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (!response.body) {
+        res.end();
+        return;
+    }
+    const reader = response.body.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        res.write(value);
+    }
+    res.end();
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Server
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Create (but don't start) the HTTP server. `env` is the worker environment:
+ * secrets/settings plus a `RATE_LIMIT` storage adapter and, optionally, a
+ * `RATE_LIMITER` namespace (an in-memory one is used otherwise).
+ * @returns {http.Server}
+ */
+export function createServer(env) {
+    const trustedHops = trustedProxyHops(env.TRUST_PROXY);
+    return http.createServer(async (req, res) => {
+        try {
+            const request = await toFetchRequest(req, trustedHops);
+            await sendFetchResponse(await worker.fetch(request, env), res);
+        } catch (err) {
+            console.error("Request failed:", err.message);
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            res.writeHead(err.status || 500, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+            res.end(JSON.stringify({ error: err.status ? err.message : "Internal server error." }));
+        }
+    });
+}
+
+/** Build the environment from `process.env`-style variables and start listening. */
+export async function startServer(variables = process.env) {
+    const storage = await createStorage(variables);
+    const server = createServer({ ...variables, RATE_LIMIT: storage, RATE_LIMITER: createMemoryRateLimiter() });
+    server.on("close", () => storage.close());
+
+    const port = Number(variables.PORT) || DEFAULT_PORT;
+    const host = variables.HOST || "0.0.0.0";
+    await new Promise(resolve => server.listen(port, host, resolve));
+    console.log(`Localyse proxy listening on http://${host}:${server.address().port} (storage: ${variables.STORAGE || "memory"})`);
+    return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    startServer().then(server => {
+        for (const signal of ["SIGINT", "SIGTERM"]) {
+            process.on(signal, () => server.close(() => process.exit(0)));
+        }
+    }, err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,76 @@
+/**
+ * Localyse — filesystem storage adapter
+ *
+ * One JSON file per key under STORAGE_PATH (default "./data"). File names are
+ * the SHA-256 of the key, so any key is safe on any filesystem. Writes go
+ * through a temporary file and a rename, so a crash never leaves half a value.
+ * Expired entries are removed when they are read, at startup and every
+ * SWEEP_INTERVAL (see worker/storage/memory.js).
+ */
+
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readdir, readFile, writeFile, rename, rm } from "node:fs/promises";
+import path from "node:path";
+import { expiresAt, sweepPeriodically } from "./memory.js";
+
+/** @returns {Promise<import("./index.js").Storage>} */
+export async function createFileStorage(directory) {
+    await mkdir(directory, { recursive: true });
+
+    function fileFor(key) {
+        return path.join(directory, createHash("sha256").update(key).digest("hex") + ".json");
+    }
+
+    async function sweep() {
+        let removed = 0;
+        for (const name of await readdir(directory)) {
+            if (!name.endsWith(".json")) continue;
+            const file = path.join(directory, name);
+            try {
+                const entry = JSON.parse(await readFile(file, "utf8"));
+                if (!entry.expiresAt || entry.expiresAt > Date.now()) continue;
+            } catch {
+                continue; // being replaced, or not ours
+            }
+            await rm(file, { force: true });
+            removed++;
+        }
+        return removed;
+    }
+
+    await sweep();
+    const stopSweeping = sweepPeriodically(sweep);
+
+    return {
+        async get(key) {
+            let entry;
+            try {
+                entry = JSON.parse(await readFile(fileFor(key), "utf8"));
+            } catch {
+                return null; // missing or unreadable
+            }
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+                await rm(fileFor(key), { force: true });
+                return null;
+            }
+            return entry.value;
+        },
+
+        async put(key, value, options = {}) {
+            const file = fileFor(key);
+            const temp = `${file}.${randomUUID()}.tmp`;
+            await writeFile(temp, JSON.stringify({ key, value: String(value), expiresAt: expiresAt(options) }));
+            await rename(temp, file);
+        },
+
+        async delete(key) {
+            await rm(fileFor(key), { force: true });
+        },
+
+        sweep,
+
+        async close() {
+            stopSweeping();
+        },
+    };
+}
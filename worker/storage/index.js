@@ -0,0 +1,43 @@
+/**
+ * Localyse — storage adapters for the Node server
+ *
+ * On Cloudflare the worker keeps rate-limit counters, caches and glossaries
+ * in the RATE_LIMIT KV namespace. The Node server (worker/server.js) passes
+ * one of these adapters in its place; each implements the subset of the KV
+ * API the worker uses:
+ *
+ *   STORAGE = "memory"   # default — lost on restart
+ *   STORAGE = "fs"       # JSON files in STORAGE_PATH (default ./data)
+ *   STORAGE = "sqlite"   # node:sqlite database at STORAGE_PATH (default ./data/localyse.sqlite)
+ *
+ * @typedef {Object} Storage
+ * @property {(key: string) => Promise<string|null>} get
+ * @property {(key: string, value: string, options?: { expirationTtl?: number }) => Promise<void>} put
+ * @property {(key: string) => Promise<void>} delete
+ * @property {() => Promise<number>} sweep   Remove expired entries (also runs on a timer); returns how many
+ * @property {() => Promise<void>} close
+ */
+
+import { createMemoryStorage } from "./memory.js";
+import { createFileStorage } from "./fs.js";
+import { createSqliteStorage } from "./sqlite.js";
+
+export const STORAGE_KINDS = ["memory", "fs", "sqlite"];
+
+/**
+ * Create the adapter selected by `env.STORAGE` / `env.STORAGE_PATH`.
+ * @returns {Promise<Storage>}
+ */
+export async function createStorage(env) {
+    const kind = String(env.STORAGE || "memory").toLowerCase();
+    switch (kind) {
+        case "memory":
+            return createMemoryStorage();
+        case "fs":
+            return createFileStorage(env.STORAGE_PATH || "./data");
+        case "sqlite":
+            return createSqliteStorage(env.STORAGE_PATH || "./data/localyse.sqlite");
+        default:
+            throw new Error(`Unknown STORAGE "${env.STORAGE}" (expected ${STORAGE_KINDS.join(", ")}).`);
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Localyse — in-memory storage adapter
+ *
+ * Non-persistent: rate-limit counters, caches and glossaries are lost when
+ * the process exits. Fine for development and single-instance trials.
+ * Expired entries are removed when read, and every SWEEP_INTERVAL.
+ */
+
+export const SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+/** @returns {import("./index.js").Storage} */
+export function createMemoryStorage() {
+    const entries = new Map(); // key → { value, expiresAt }
+    const stopSweeping = sweepPeriodically(sweep);
+
+    function live(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    async function sweep() {
+        let removed = 0;
+        for (const key of [...entries.keys()]) {
+            if (!live(key)) removed++;
+        }
+        return removed;
+    }
+
+    return {
+        async get(key) {
+            const entry = live(key);
+            return entry ? entry.value : null;
+        },
+
+        async put(key, value, options = {}) {
+            entries.set(key, { value: String(value), expiresAt: expiresAt(options) });
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        sweep,
+
+        async close() {
+            stopSweeping();
+            entries.clear();
+        },
+    };
+}
+
+/**
+ * Call `sweep` every SWEEP_INTERVAL without keeping the process alive (keys
+ * like `cache:<locale>:<hash>` are seldom read again, so expiry on read alone
+ * lets storage grow). Returns a function that stops it.
+ */
+export function sweepPeriodically(sweep) {
+    const timer = setInterval(() => { sweep().catch(() => {}); }, SWEEP_INTERVAL);
+    if (timer.unref) timer.unref();
+    return () => clearInterval(timer);
+}
+
+/** Absolute expiry (ms) for KV-style `{ expirationTtl }` (seconds), or null. */
+export function expiresAt(options) {
+    const ttl = Number(options && options.expirationTtl);
+    return ttl > 0 ? Date.now() + ttl * 1000 : null;
+}
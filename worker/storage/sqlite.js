@@ -0,0 +1,66 @@
+/**
+ * Localyse — SQLite storage adapter
+ *
+ * Uses Node's built-in `node:sqlite` module (Node.js 22.5+), so no native
+ * dependency has to be installed. All keys live in one `kv` table of the
+ * database file at STORAGE_PATH (default "./data/localyse.sqlite").
+ */
+
+import { mkdir } from "node:fs/promises";
+import path from "node:path";
+import { expiresAt, sweepPeriodically } from "./memory.js";
+
+/** @returns {Promise<import("./index.js").Storage>} */
+export async function createSqliteStorage(file) {
+    // getBuiltinModule (Node 22.3+) instead of import(), so bundlers and test
+    // runners don't try to resolve a module older Node versions don't have
+    const sqlite = process.getBuiltinModule?.("node:sqlite");
+    if (!sqlite) throw new Error(`SQLite storage needs Node.js 22.5 or later (running ${process.version}).`);
+    if (file !== ":memory:") await mkdir(path.dirname(file), { recursive: true });
+
+    const db = new sqlite.DatabaseSync(file);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS kv (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            expires_at INTEGER
+        )
+    `);
+    const select = db.prepare("SELECT value, expires_at FROM kv WHERE key = ?");
+    const upsert = db.prepare(
+        "INSERT INTO kv (key, value, expires_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at"
+    );
+    const remove = db.prepare("DELETE FROM kv WHERE key = ?");
+    const purge = db.prepare("DELETE FROM kv WHERE expires_at IS NOT NULL AND expires_at <= ?");
+    const sweep = async () => Number(purge.run(Date.now()).changes);
+    await sweep();
+    const stopSweeping = sweepPeriodically(sweep);
+
+    return {
+        async get(key) {
+            const row = select.get(key);
+            if (!row) return null;
+            if (row.expires_at && row.expires_at <= Date.now()) {
+                remove.run(key);
+                return null;
+            }
+            return row.value;
+        },
+
+        async put(key, value, options = {}) {
+            upsert.run(key, String(value), expiresAt(options));
+        },
+
+        async delete(key) {
+            remove.run(key);
+        },
+
+        sweep,
+
+        async close() {
+            stopSweeping();
+            db.close();
+        },
+    };
+}
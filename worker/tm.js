@@ -0,0 +1,288 @@
+/**
+ * Localyse — translation memory
+ *
+ * A long-lived store of segment translations per team and target locale,
+ * consulted before machine translation:
+ *   - exact matches (same normalised source, same glossary version) are
+ *     served without calling the translation provider or the LLM
+ *   - close matches (similarity ≥ FUZZY_THRESHOLD) are handed to the LLM as
+ *     references, so earlier wording and corrections carry over
+ *
+ * Generated translations are remembered automatically ("mt"). Edits made in
+ * the plugin's results panel are written back through POST /tm ("human") and
+ * are never replaced by generated ones. DELETE /tm forgets a locale, or the
+ * whole memory.
+ *
+ * KV layout: `tm:<team>:<locale>[:<currencies>]` → { entries: { "<source>@<glossary version>": TmEntry } }
+ *            `tmkeys:<team>` → [memory key]  (index for deleting the whole memory)
+ * One value per team and locale keeps a lookup to a single read. Entries
+ * never expire; beyond MAX_TM_ENTRIES the least recently updated are dropped.
+ *
+ * @typedef {Object} TmEntry
+ * @property {string} source            Normalised source segment
+ * @property {string} target
+ * @property {number} glossaryVersion   Team glossary version the target was made with
+ * @property {"mt"|"human"} origin
+ * @property {string} updatedAt
+ *
+ * @typedef {Object} TmReference
+ * @property {string} source
+ * @property {string} translated
+ * @property {number} similarity        0–1
+ */
+
+export const MAX_TM_ENTRIES = 2000;
+export const FUZZY_THRESHOLD = 0.8;
+export const MAX_REFERENCES = 3;
+export const MAX_TM_WRITE_ENTRIES = 500;
+
+const TM_KEY_PREFIX = "tm:";
+const TM_INDEX_PREFIX = "tmkeys:";
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const MAX_SEGMENT_LENGTH = 5000; // same as the worker's per-layer limit
+
+/** Unicode-normalised, trimmed, single-spaced. Case and punctuation are kept — they matter in UI copy. */
+export function normaliseSegment(text) {
+    return String(text).normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+/** KV key for a team's memory in one locale (and currency choice, which changes prices in the output). */
+export function memoryKey(team, targetLocale, localeCurrencies = []) {
+    const currencies = (localeCurrencies || []).map(c => String(c).toUpperCase()).sort().join(",");
+    return `${TM_KEY_PREFIX}${team}:${targetLocale.toLowerCase()}${currencies ? `:${currencies}` : ""}`;
+}
+
+function entryKey(source, glossaryVersion) {
+    return `${normaliseSegment(source)}@${glossaryVersion || 0}`;
+}
+
+/** An empty memory — returned for team/locale pairs with nothing stored yet. */
+export function emptyMemory() {
+    return { entries: {} };
+}
+
+export async function loadMemory(env, key) {
+    try {
+        const stored = await env.RATE_LIMIT.get(key);
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            if (parsed && parsed.entries && typeof parsed.entries === "object") return parsed;
+        }
+    } catch { /* missing or corrupt — start over */ }
+    return emptyMemory();
+}
+
+async function loadMemoryIndex(env, team) {
+    try {
+        const parsed = JSON.parse((await env.RATE_LIMIT.get(`${TM_INDEX_PREFIX}${team}`)) || "[]");
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+/** Store a team's memory under `key` (see memoryKey), listing the key in the team's index. */
+export async function saveMemory(env, team, key, memory) {
+    await env.RATE_LIMIT.put(key, JSON.stringify(memory));
+    const keys = await loadMemoryIndex(env, team);
+    if (!keys.includes(key)) await env.RATE_LIMIT.put(`${TM_INDEX_PREFIX}${team}`, JSON.stringify([...keys, key]));
+}
+
+/**
+ * Delete a team's memory for `targetLocale` (every currency choice), or all
+ * of it when no locale is given. Returns how many memories were deleted.
+ */
+export async function deleteMemory(env, team, targetLocale = null) {
+    const keys = await loadMemoryIndex(env, team);
+    const localeKey = targetLocale ? memoryKey(team, targetLocale) : null;
+    const deleted = localeKey
+        ? keys.filter(key => key === localeKey || key.startsWith(`${localeKey}:`))
+        : keys;
+    await Promise.all([...new Set([...deleted, ...(localeKey ? [localeKey] : [])])].map(key => env.RATE_LIMIT.delete(key)));
+
+    const rest = keys.filter(key => !deleted.includes(key));
+    if (rest.length > 0) await env.RATE_LIMIT.put(`${TM_INDEX_PREFIX}${team}`, JSON.stringify(rest));
+    else await env.RATE_LIMIT.delete(`${TM_INDEX_PREFIX}${team}`);
+    return deleted.length;
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Matching
+// ──────────────────────────────────────────────────────────────────────
+
+function bigrams(text) {
+    const lower = text.toLowerCase();
+    const counts = new Map();
+    for (let i = 0; i < lower.length - 1; i++) {
+        const pair = lower.slice(i, i + 2);
+        counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+}
+
+function diceCoefficient(a, b) {
+    let total = 0;
+    let shared = 0;
+    for (const count of a.values()) total += count;
+    for (const [pair, count] of b) {
+        total += count;
+        shared += Math.min(count, a.get(pair) || 0);
+    }
+    return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * Similarity of two segments (Sørensen–Dice over character bigrams,
+ * case-insensitive): 1 for identical text, 0 for nothing in common.
+ */
+export function similarity(a, b) {
+    const na = normaliseSegment(a);
+    const nb = normaliseSegment(b);
+    if (na === nb) return 1;
+    if (na.length < 2 || nb.length < 2) return na.toLowerCase() === nb.toLowerCase() ? 1 : 0;
+    return diceCoefficient(bigrams(na), bigrams(nb));
+}
+
+/**
+ * Look up layers ({ id, text }) in a memory. Exact matches need the same
+ * glossary version; everything else (including a segment stored under an
+ * older glossary) can only become a reference.
+ * @returns {{ exact: Map<string, string>, references: Map<string, TmReference[]> }}
+ */
+export function lookupMemory(memory, layers, glossaryVersion) {
+    const exact = new Map();
+    const references = new Map();
+    const entries = Object.values(memory.entries);
+    let indexed = null; // bigrams per entry, built on the first miss
+
+    for (const layer of layers) {
+        const hit = memory.entries[entryKey(layer.text, glossaryVersion)];
+        if (hit) {
+            exact.set(layer.id, hit.target);
+            continue;
+        }
+        if (entries.length === 0) continue;
+
+        const source = normaliseSegment(layer.text);
+        if (source.length < 2) continue;
+        if (!indexed) indexed = entries.map(entry => ({ entry, grams: bigrams(entry.source) }));
+        const grams = bigrams(source);
+        const matches = [];
+        for (const { entry, grams: entryGrams } of indexed) {
+            // Dice can't reach the threshold when the lengths are too far apart
+            const shorter = Math.min(source.length, entry.source.length);
+            const longer = Math.max(source.length, entry.source.length);
+            if ((2 * shorter) / (shorter + longer) < FUZZY_THRESHOLD) continue;
+            const score = entry.source === source ? 1 : diceCoefficient(grams, entryGrams);
+            if (score >= FUZZY_THRESHOLD) {
+                matches.push({ source: entry.source, translated: entry.target, similarity: Math.round(score * 100) / 100 });
+            }
+        }
+        if (matches.length > 0) {
+            references.set(layer.id, matches.sort((a, b) => b.similarity - a.similarity).slice(0, MAX_REFERENCES));
+        }
+    }
+    return { exact, references };
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// Writing
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Add translations ({ source, target }) to a memory. Generated ("mt")
+ * entries never replace human ones. Returns the updated memory and whether
+ * anything changed.
+ */
+export function rememberTranslations(memory, pairs, glossaryVersion, origin = "mt") {
+    const entries = { ...memory.entries };
+    const updatedAt = new Date().toISOString();
+    let changed = false;
+
+    for (const { source, target } of pairs) {
+        const key = entryKey(source, glossaryVersion);
+        const existing = entries[key];
+        if (existing && existing.target === target && (existing.origin === origin || origin === "mt")) continue;
+        if (existing && existing.origin === "human" && origin === "mt") continue;
+        entries[key] = { source: normaliseSegment(source), target, glossaryVersion: glossaryVersion || 0, origin, updatedAt };
+        changed = true;
+    }
+
+    const keys = Object.keys(entries);
+    if (keys.length > MAX_TM_ENTRIES) {
+        keys.sort((a, b) => entries[a].updatedAt.localeCompare(entries[b].updatedAt));
+        for (const key of keys.slice(0, keys.length - MAX_TM_ENTRIES)) delete entries[key];
+    }
+    return { memory: { entries }, changed };
+}
+
+/**
+ * Add translations to the stored memory under `key`. The memory is read again
+ * here rather than taken from the start of a run, so human edits saved while
+ * a translation was in progress are kept. Returns whether anything changed.
+ */
+export async function updateMemory(env, team, key, pairs, glossaryVersion, origin = "mt") {
+    const { memory, changed } = rememberTranslations(await loadMemory(env, key), pairs, glossaryVersion, origin);
+    if (changed) await saveMemory(env, team, key, memory);
+    return changed;
+}
+
+/**
+ * Validate the body of POST /tm.
+ * Returns { value: { targetLocale, localeCurrencies, entries } } or { error }.
+ */
+export function validateMemoryWrite(input) {
+    if (!input || typeof input !== "object") return { error: "Expected a JSON object." };
+    const { targetLocale, localeCurrencies = [], entries } = input;
+    if (typeof targetLocale !== "string" || !LOCALE_PATTERN.test(targetLocale)) {
+        return { error: "\"targetLocale\" must be a locale code such as \"fr\" or \"pt-BR\"." };
+    }
+    if (!Array.isArray(localeCurrencies) || localeCurrencies.some(c => typeof c !== "string" || !/^[A-Za-z]{3}$/.test(c))) {
+        return { error: "\"localeCurrencies\" must be a list of ISO 4217 codes." };
+    }
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_TM_WRITE_ENTRIES) {
+        return { error: `"entries" must list 1–${MAX_TM_WRITE_ENTRIES} { source, target } pairs.` };
+    }
+    for (const entry of entries) {
+        const valid = entry && typeof entry.source === "string" && typeof entry.target === "string" &&
+            normaliseSegment(entry.source) && entry.target.trim() &&
+            entry.source.length <= MAX_SEGMENT_LENGTH && entry.target.length <= MAX_SEGMENT_LENGTH;
+        if (!valid) return { error: `Each entry needs a non-empty "source" and "target" (max ${MAX_SEGMENT_LENGTH} characters).` };
+    }
+    return {
+        value: {
+            targetLocale,
+            localeCurrencies,
+            entries: entries.map(e => ({ source: e.source, target: e.target.trim() })),
+        },
+    };
+}
+
+/**
+ * POST /tm — write reviewed translations back into the team's memory.
+ * DELETE /tm[?targetLocale=fr] — forget one locale, or everything.
+ * Callers resolve the team and its glossary version and add CORS `headers`.
+ */
+export async function handleMemoryRequest(request, env, team, glossaryVersion, headers) {
+    const json = (body, status = 200) => Response.json(body, { status, headers });
+    if (request.method === "DELETE") {
+        const targetLocale = new URL(request.url).searchParams.get("targetLocale");
+        if (targetLocale !== null && !LOCALE_PATTERN.test(targetLocale)) {
+            return json({ error: "\"targetLocale\" must be a locale code such as \"fr\" or \"pt-BR\"." }, 400);
+        }
+        return json({ deleted: await deleteMemory(env, team, targetLocale) });
+    }
+    if (request.method !== "POST") return json({ error: "Method not allowed." }, 405);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return json({ error: "Invalid JSON body." }, 400);
+    }
+    const { value, error } = validateMemoryWrite(body);
+    if (error) return json({ error }, 400);
+
+    await updateMemory(env, team, memoryKey(team, value.targetLocale, value.localeCurrencies), value.entries, glossaryVersion, "human");
+    return json({ saved: value.entries.length });
+}